@@ -0,0 +1,87 @@
+// api.ts
+import type { StreamChunk } from './types';
+
+const TOKEN_KEY = 'authToken';
+
+export const getAuthToken = (): string | null => localStorage.getItem(TOKEN_KEY);
+
+export const setAuthToken = (token: string | null) => {
+  if (token) {
+    localStorage.setItem(TOKEN_KEY, token);
+  } else {
+    localStorage.removeItem(TOKEN_KEY);
+  }
+};
+
+/**
+ * fetch() for the proxy API, adding the stored API key or token
+ * as a bearer credential when one is set
+ */
+export const apiFetch = (input: RequestInfo | URL, init: RequestInit = {}) => {
+  const headers = new Headers(init.headers);
+  const token = getAuthToken();
+  if (token && !headers.has('Authorization')) {
+    headers.set('Authorization', `Bearer ${token}`);
+  }
+  return fetch(input, { ...init, headers });
+};
+
+/**
+ * apiFetch for JSON endpoints, throwing the server's error message
+ * when the response is not successful
+ */
+export const apiRequest = async (url: string, options: RequestInit = {}) => {
+  const response = await apiFetch(url, {
+    ...options,
+    headers: { 'Content-Type': 'application/json', ...(options.headers || {}) }
+  });
+  if (!response.ok) {
+    const errorData = await response.json().catch(() => ({}));
+    throw new Error(errorData.error?.message || `Request failed with status ${response.status}`);
+  }
+  return response;
+};
+
+/**
+ * Read a server-sent event stream of chat completion chunks, calling
+ * `onChunk` with each parsed chunk until the stream ends or sends [DONE].
+ * Errors the server reports inside the stream are thrown.
+ */
+export const readEventStream = async (response: Response, onChunk: (chunk: StreamChunk) => void) => {
+  if (!response.body) {
+    throw new Error("Response body is null");
+  }
+
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder("utf-8");
+  let buffer = '';
+
+  while (true) {
+    const { done, value } = await reader.read();
+    if (done) return;
+
+    buffer += decoder.decode(value, { stream: true });
+    const lines = buffer.split('\n');
+    buffer = lines.pop() || '';
+
+    for (const line of lines) {
+      if (!line.startsWith('data: ')) continue;
+      const data = line.substring(6);
+      if (data === '[DONE]') return;
+
+      let parsed;
+      try {
+        parsed = JSON.parse(data);
+      } catch (e) {
+        console.error('Error parsing chunk:', e);
+        continue;
+      }
+
+      // Upstream errors can arrive after the stream has started
+      if (parsed.error) {
+        throw new Error(parsed.error.message || "Unknown streaming error");
+      }
+      onChunk(parsed);
+    }
+  }
+};
@@ -0,0 +1,147 @@
+// attachments.ts
+import { v4 as uuidv4 } from 'uuid';
+import type { Attachment, ChatMessage, MessageContent } from './types';
+
+export interface AttachmentLimits {
+  // Largest image, decoded, the server accepts
+  maxBytes: number;
+  // Most images the server accepts in one request
+  maxImages: number;
+}
+
+// Used until /api/models-config reports the server's limits
+export const DEFAULT_ATTACHMENT_LIMITS: AttachmentLimits = {
+  maxBytes: 5 * 1024 * 1024,
+  maxImages: 10
+};
+
+const IMAGE_TYPES = ['image/png', 'image/jpeg', 'image/gif', 'image/webp'];
+
+// Files inlined as text when the browser gives them no text/* type
+const TEXT_EXTENSIONS = /\.(txt|md|markdown|csv|tsv|json|jsonl|ya?ml|toml|ini|xml|html?|css|log|sql|sh|py|rb|go|rs|java|kt|c|h|cpp|hpp|cs|php|js|mjs|ts|jsx|tsx|vue)$/i;
+
+// Longest text file inlined in a message
+export const MAX_TEXT_CHARS = 100000;
+
+// Longest side of an image as sent; vision models scale larger ones down anyway
+const MAX_IMAGE_DIMENSION = 2048;
+const JPEG_QUALITY = 0.85;
+
+export const isImageFile = (file: File) => IMAGE_TYPES.includes(file.type);
+
+export const isTextFile = (file: File) =>
+  file.type.startsWith('text/') || file.type === 'application/json' || TEXT_EXTENSIONS.test(file.name);
+
+/** Decoded size of a base64 data URL */
+export const dataUrlBytes = (url: string): number => {
+  const data = url.slice(url.indexOf(',') + 1);
+  const padding = data.endsWith('==') ? 2 : data.endsWith('=') ? 1 : 0;
+  return Math.floor(data.length * 3 / 4) - padding;
+};
+
+const readAsDataUrl = (blob: Blob) => new Promise<string>((resolve, reject) => {
+  const reader = new FileReader();
+  reader.onload = () => resolve(reader.result as string);
+  reader.onerror = () => reject(reader.error);
+  reader.readAsDataURL(blob);
+});
+
+/**
+ * Data URL of an image, redrawn as a JPEG no larger than MAX_IMAGE_DIMENSION
+ * when it is bigger than that or than `maxBytes`. Screenshots are usually
+ * far below the limit once scaled.
+ */
+const imageDataUrl = async (file: File, maxBytes: number): Promise<string> => {
+  const bitmap = await createImageBitmap(file);
+  const scale = Math.min(1, MAX_IMAGE_DIMENSION / Math.max(bitmap.width, bitmap.height));
+  if (scale === 1 && file.size <= maxBytes) {
+    bitmap.close();
+    return readAsDataUrl(file);
+  }
+
+  const canvas = document.createElement('canvas');
+  canvas.width = Math.round(bitmap.width * scale);
+  canvas.height = Math.round(bitmap.height * scale);
+  const context = canvas.getContext('2d');
+  if (!context) {
+    throw new Error('Images cannot be resized in this browser');
+  }
+  // JPEG has no transparency, keep transparent areas white rather than black
+  context.fillStyle = '#fff';
+  context.fillRect(0, 0, canvas.width, canvas.height);
+  context.drawImage(bitmap, 0, 0, canvas.width, canvas.height);
+  bitmap.close();
+  return canvas.toDataURL('image/jpeg', JPEG_QUALITY);
+};
+
+/**
+ * Read a dropped or pasted file as an attachment: images become data URLs,
+ * text files are read to be inlined. Other files and files over the limits
+ * are rejected with an error saying why.
+ */
+export const readAttachment = async (file: File, limits: AttachmentLimits): Promise<Attachment> => {
+  const name = file.name || (isImageFile(file) ? 'Pasted image' : 'Pasted text');
+  const base = { id: uuidv4(), name, mimeType: file.type, size: file.size };
+
+  if (isImageFile(file)) {
+    const dataUrl = await imageDataUrl(file, limits.maxBytes);
+    if (dataUrlBytes(dataUrl) > limits.maxBytes) {
+      throw new Error(`${name} is larger than ${Math.floor(limits.maxBytes / 1024 / 1024)} MB`);
+    }
+    return { ...base, kind: 'image', dataUrl };
+  }
+
+  if (isTextFile(file)) {
+    const text = await file.text();
+    if (text.length > MAX_TEXT_CHARS) {
+      throw new Error(`${name} is longer than ${MAX_TEXT_CHARS.toLocaleString()} characters`);
+    }
+    return { ...base, kind: 'text', text };
+  }
+
+  throw new Error(`${name} cannot be attached, only images (PNG, JPEG, GIF, WebP) and text files can`);
+};
+
+// Code fence longer than any backtick run in the text, so the file cannot close it
+const fenceFor = (text: string) => {
+  const longest = Math.max(2, ...(text.match(/`+/g) || []).map(run => run.length));
+  return '`'.repeat(longest + 1);
+};
+
+/**
+ * Content of a message as sent to the model. Text files are inlined before
+ * the message text; images follow as image_url parts. Messages without
+ * images stay plain strings, which every model accepts.
+ */
+export const toMessageContent = (message: Pick<ChatMessage, 'content' | 'attachments'>): MessageContent => {
+  const attachments = message.attachments || [];
+  if (attachments.length === 0) {
+    return message.content;
+  }
+
+  const files = attachments
+    .filter(attachment => attachment.kind === 'text')
+    .map(({ name, text = '' }) => {
+      const fence = fenceFor(text);
+      return `File: ${name}\n${fence}\n${text}\n${fence}`;
+    });
+  const text = [...files, message.content].filter(Boolean).join('\n\n');
+
+  const images = attachments.filter(attachment => attachment.kind === 'image' && attachment.dataUrl);
+  if (images.length === 0) {
+    return text;
+  }
+  return [
+    ...(text ? [{ type: 'text' as const, text }] : []),
+    ...images.map(image => ({ type: 'image_url' as const, image_url: { url: image.dataUrl as string } }))
+  ];
+};
+
+// Tokens counted for an image, the server's estimate too
+export const IMAGE_TOKENS = 765;
+
+/** Characters of the inlined files and the number of images of a message */
+export const attachmentSize = (attachments: Attachment[] = []) => ({
+  chars: attachments.reduce((sum, attachment) => sum + (attachment.text?.length || 0), 0),
+  images: attachments.filter(attachment => attachment.kind === 'image').length
+});
@@ -0,0 +1,107 @@
+// branches.ts
+import { v4 as uuidv4 } from 'uuid';
+import type { ChatMessage, Conversation } from './types';
+
+// Messages form a tree through parentId. `messages` holds the active branch,
+// from the first message to the current leaf; every other message of the tree
+// is in `branches`, ordered by when it left the active branch.
+
+export interface BranchPosition {
+  // 1-based position among the alternatives, in creation order
+  position: number;
+  count: number;
+}
+
+/**
+ * Give messages saved before conversations were trees an ID and a parent
+ * link. Changes the conversation in place and returns it.
+ */
+export const upgradeConversation = (conversation: Conversation): Conversation => {
+  let parentId: string | null = null;
+  for (const message of conversation.messages) {
+    message.id ||= uuidv4();
+    if (message.parentId === undefined) {
+      message.parentId = parentId;
+    }
+    parentId = message.id;
+  }
+  conversation.branches ||= [];
+  return conversation;
+};
+
+/** Add a message at the end of the active branch */
+export const appendMessage = (conversation: Conversation, message: ChatMessage) => {
+  const parent = conversation.messages[conversation.messages.length - 1];
+  conversation.messages.push({
+    ...message,
+    id: uuidv4(),
+    parentId: parent?.id ?? null,
+    createdAt: Date.now()
+  });
+};
+
+/**
+ * Move the message at `index` and everything after it off the active branch,
+ * so a new alternative can take its place. A summary that covers any of the
+ * moved messages no longer describes the conversation and is dropped.
+ */
+export const detachFrom = (conversation: Conversation, index: number) => {
+  const detached = conversation.messages.splice(index);
+  (conversation.branches ||= []).push(...detached);
+  if (conversation.summary && conversation.summary.upTo > index) {
+    delete conversation.summary;
+  }
+  conversation.lastUpdatedAt = Date.now();
+};
+
+const alternativesOf = (conversation: Conversation, message: ChatMessage) =>
+  [...conversation.messages, ...(conversation.branches || [])]
+    .filter(candidate => candidate.parentId === message.parentId)
+    .sort((a, b) => (a.createdAt ?? 0) - (b.createdAt ?? 0));
+
+/** Position of each message of the active branch among its alternatives, by ID */
+export const describeBranches = (conversation: Conversation | undefined): Map<string, BranchPosition> => {
+  const positions = new Map<string, BranchPosition>();
+  if (!conversation?.branches?.length) return positions;
+
+  const children = new Map<string | null, ChatMessage[]>();
+  for (const message of [...conversation.messages, ...conversation.branches]) {
+    const parentId = message.parentId ?? null;
+    const siblings = children.get(parentId) || [];
+    siblings.push(message);
+    children.set(parentId, siblings);
+  }
+
+  for (const message of conversation.messages) {
+    const alternatives = (children.get(message.parentId ?? null) || [])
+      .sort((a, b) => (a.createdAt ?? 0) - (b.createdAt ?? 0));
+    positions.set(message.id as string, {
+      position: alternatives.findIndex(alternative => alternative.id === message.id) + 1,
+      count: alternatives.length
+    });
+  }
+  return positions;
+};
+
+/**
+ * Show another alternative of the message at `index`, e.g. the next (+1) or
+ * previous (-1) one. The branch continues the way it was last shown.
+ */
+export const switchBranch = (conversation: Conversation, index: number, offset: number) => {
+  const message = conversation.messages[index];
+  const alternatives = alternativesOf(conversation, message);
+  const target = alternatives[alternatives.findIndex(alternative => alternative.id === message.id) + offset];
+  if (!target) return;
+
+  detachFrom(conversation, index);
+  const branches = conversation.branches as ChatMessage[];
+
+  // The child that left the active branch last is the one shown before
+  let next: ChatMessage | undefined = target;
+  while (next) {
+    const id: string | undefined = next.id;
+    branches.splice(branches.findIndex(candidate => candidate.id === id), 1);
+    conversation.messages.push(next);
+    next = branches.findLast(candidate => candidate.parentId === id);
+  }
+};
@@ -0,0 +1,155 @@
+// compare.ts
+import type { TokenUsage } from './types';
+import { apiFetch, apiRequest, readEventStream } from './api';
+import { estimateTokens, messageTokens } from './context';
+
+export const MIN_COMPARE_MODELS = 2;
+export const MAX_COMPARE_MODELS = 4;
+
+export interface ModelPricing {
+  // USD per million tokens
+  input: number;
+  output: number;
+}
+
+// Model as listed in the model selector
+interface ModelOption {
+  name: string;
+  display_name: string;
+  service_id: string;
+  pricing?: ModelPricing | null;
+}
+
+/** One model's answer in a comparison, filled in while it streams */
+export interface CompareRun {
+  model: string;
+  service: string | null;
+  displayName: string;
+  pricing: ModelPricing | null;
+  content: string;
+  status: 'streaming' | 'done' | 'stopped' | 'error';
+  error: string | null;
+  ttftMs: number | null;
+  latencyMs: number | null;
+  promptTokens: number | null;
+  completionTokens: number | null;
+  // Token counts are estimates, the provider did not report usage
+  estimated: boolean;
+  cost: number | null;
+}
+
+export const createRun = (model: ModelOption): CompareRun => ({
+  model: model.name,
+  service: model.service_id || null,
+  displayName: model.display_name || model.name,
+  pricing: model.pricing || null,
+  content: '',
+  status: 'streaming',
+  error: null,
+  ttftMs: null,
+  latencyMs: null,
+  promptTokens: null,
+  completionTokens: null,
+  estimated: false,
+  cost: null
+});
+
+const costOf = (pricing: ModelPricing | null, promptTokens: number, completionTokens: number) =>
+  pricing ? (promptTokens * pricing.input + completionTokens * pricing.output) / 1_000_000 : null;
+
+/**
+ * Stream one model's answer into its run, measuring time to first token,
+ * total latency, tokens and cost. Never throws: failures end up in the run.
+ */
+export const streamRun = async (
+  run: CompareRun,
+  messages: { role: string; content: string }[],
+  endpoint: string,
+  signal: AbortSignal
+) => {
+  const startedAt = Date.now();
+  let usage: TokenUsage | null = null;
+
+  try {
+    const response = await apiFetch(endpoint, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        model: run.model,
+        messages,
+        stream: true,
+        // Fallback models would blur the comparison
+        failover: false,
+        ...(run.service ? { service_id: run.service } : {})
+      }),
+      signal
+    });
+    if (!response.ok) {
+      const errorData = await response.json().catch(() => ({}));
+      throw new Error(errorData.error?.message || `Request failed with status ${response.status}`);
+    }
+
+    await readEventStream(response, chunk => {
+      const text = chunk.choices?.[0]?.delta?.content;
+      if (text) {
+        run.ttftMs ??= Date.now() - startedAt;
+        run.content += text;
+      }
+      if (chunk.usage) {
+        usage = chunk.usage;
+      }
+    });
+    run.status = 'done';
+  } catch (err) {
+    const error = err as Error;
+    run.status = error.name === 'AbortError' ? 'stopped' : 'error';
+    run.error = run.status === 'error' ? error.message : null;
+  } finally {
+    const reported = usage as TokenUsage | null;
+    run.latencyMs = Date.now() - startedAt;
+    run.estimated = !reported;
+    run.promptTokens = reported
+      ? reported.prompt_tokens
+      : messages.reduce((sum, message) => sum + messageTokens(message), 0);
+    run.completionTokens = reported ? reported.completion_tokens : estimateTokens(run.content);
+    run.cost = costOf(run.pricing, run.promptTokens, run.completionTokens);
+  }
+};
+
+/**
+ * Store the user's vote. The first vote saves the whole comparison; later
+ * votes only change the winner.
+ * @returns ID of the stored comparison
+ */
+export const recordVote = async (
+  comparisonId: string | null,
+  comparison: { prompt: string; systemPrompt: string; runs: CompareRun[] },
+  winner: string
+): Promise<string> => {
+  if (comparisonId) {
+    await apiRequest(`/api/comparisons/${encodeURIComponent(comparisonId)}/vote`, {
+      method: 'PUT',
+      body: JSON.stringify({ winner })
+    });
+    return comparisonId;
+  }
+
+  const response = await apiRequest('/api/comparisons', {
+    method: 'POST',
+    body: JSON.stringify({
+      prompt: comparison.prompt,
+      systemPrompt: comparison.systemPrompt,
+      winner,
+      // Display-only fields stay in the browser
+      results: comparison.runs.map(({ displayName, pricing, status, ...result }) => result)
+    })
+  });
+  const created = await response.json();
+  return created.id;
+};
+
+export const formatDuration = (ms: number | null): string =>
+  ms === null ? '–' : `${(ms / 1000).toFixed(2)}s`;
+
+export const formatCost = (cost: number | null): string =>
+  cost === null ? '' : `$${cost.toFixed(cost < 0.01 ? 5 : 3)}`;
@@ -0,0 +1,154 @@
+// context.ts
+import type { ChatMessage, ConversationSummary } from './types';
+import { IMAGE_TOKENS, attachmentSize } from './attachments';
+
+// Same rough ratio the server uses to estimate usage when providers do not report it
+const CHARS_PER_TOKEN = 4;
+
+// Role and separators added by the chat format around each message
+const MESSAGE_OVERHEAD = 4;
+
+// Room left for the answer (the server's default max_tokens)
+export const RESPONSE_RESERVE = 1024;
+
+// Room kept for the running summary once older turns no longer fit
+export const SUMMARY_RESERVE = 512;
+
+export const DEFAULT_CONTEXT_WINDOW = 8192;
+
+// Context sizes of well-known model families, most specific patterns first
+const CONTEXT_WINDOWS: [RegExp, number][] = [
+  [/gpt-4o|gpt-4\.1|gpt-4-turbo|gpt-4-1106|gpt-4-0125|\bo[134](-mini)?\b/i, 128000],
+  [/gpt-4-32k/i, 32768],
+  [/gpt-4/i, 8192],
+  [/gpt-3\.5-turbo/i, 16385],
+  [/claude/i, 200000],
+  [/llama-?3\.[1-3]|llama3\.[1-3]/i, 128000],
+  [/llama-?3/i, 8192],
+  [/llama-?2/i, 4096],
+  [/mixtral|mistral/i, 32768],
+  [/qwen/i, 32768],
+  [/gemma-?3/i, 128000],
+  [/gemma/i, 8192],
+  [/phi-?[34]/i, 16384],
+  [/deepseek/i, 65536]
+];
+
+export const estimateTokens = (text: string): number => Math.ceil(text.length / CHARS_PER_TOKEN);
+
+export const messageTokens = (message: Pick<ChatMessage, 'content' | 'tool_calls' | 'attachments'>): number => {
+  const attached = attachmentSize(message.attachments);
+  return MESSAGE_OVERHEAD +
+    estimateTokens(message.content || '') +
+    Math.ceil(attached.chars / CHARS_PER_TOKEN) +
+    attached.images * IMAGE_TOKENS +
+    (message.tool_calls ? estimateTokens(JSON.stringify(message.tool_calls)) : 0);
+};
+
+/**
+ * Context window of a model: the size configured on the server when there is
+ * one, otherwise looked up by model name
+ */
+export const contextWindowFor = (modelName: string, configured?: number | null): number => {
+  if (configured) return configured;
+  const known = CONTEXT_WINDOWS.find(([pattern]) => pattern.test(modelName));
+  return known ? known[1] : DEFAULT_CONTEXT_WINDOW;
+};
+
+/**
+ * Prompt budget for a model: its window minus room for the answer, capped by
+ * the conversation's own budget when set
+ */
+export const promptBudget = (contextWindow: number, cap?: number | null): number => {
+  const available = Math.max(contextWindow - RESPONSE_RESERVE, 256);
+  return cap && cap > 0 ? Math.min(cap, available) : available;
+};
+
+export interface ContextPlan {
+  // Index of the first message sent; earlier ones are covered by the summary
+  startIndex: number;
+  // Estimated prompt tokens, fixed messages and summary included
+  tokens: number;
+  budget: number;
+  // Messages before startIndex that the summary does not cover yet
+  unsummarized: ChatMessage[];
+}
+
+/**
+ * Fit as much recent history as possible in the budget. When older turns do
+ * not fit, room is kept for a summary of them.
+ * @param messages - Conversation history, oldest first
+ * @param budget - Prompt budget in tokens
+ * @param fixedTokens - Tokens of the system messages sent with every request
+ * @param summary - Running summary of earlier turns, if any
+ */
+export const planContext = (
+  messages: ChatMessage[],
+  budget: number,
+  fixedTokens: number,
+  summary?: ConversationSummary
+): ContextPlan => {
+  const sizes = messages.map(messageTokens);
+  const total = sizes.reduce((sum, size) => sum + size, 0);
+
+  if (fixedTokens + total <= budget) {
+    return { startIndex: 0, tokens: fixedTokens + total, budget, unsummarized: [] };
+  }
+
+  const summaryTokens = summary ? Math.max(messageTokens(summary), SUMMARY_RESERVE) : SUMMARY_RESERVE;
+  let available = budget - fixedTokens - summaryTokens;
+  let startIndex = messages.length;
+
+  // Newest messages first; the latest one is always sent, even when too long
+  while (startIndex > 0 && (sizes[startIndex - 1] <= available || startIndex === messages.length)) {
+    startIndex--;
+    available -= sizes[startIndex];
+  }
+
+  // A tool result cannot be sent without the assistant message that asked for it
+  while (startIndex < messages.length - 1 && messages[startIndex].role === 'tool') {
+    startIndex++;
+  }
+
+  const sent = sizes.slice(startIndex).reduce((sum, size) => sum + size, 0);
+  const summarizedUpTo = summary ? summary.upTo : 0;
+
+  return {
+    startIndex,
+    tokens: fixedTokens + (summary ? messageTokens(summary) : 0) + sent,
+    budget,
+    unsummarized: messages.slice(Math.min(summarizedUpTo, startIndex), startIndex)
+  };
+};
+
+// Longest excerpt of a single message given to the summarizer
+const SUMMARY_EXCERPT_CHARS = 2000;
+
+/** Messages asking the model to fold older turns into the running summary */
+export const buildSummaryRequest = (previous: string | undefined, messages: ChatMessage[]) => {
+  const transcript = messages.map(message => {
+    const text = message.content || (message.tool_calls ? JSON.stringify(message.tool_calls) : '');
+    const excerpt = text.length > SUMMARY_EXCERPT_CHARS
+      ? `${text.slice(0, SUMMARY_EXCERPT_CHARS)} [...]`
+      : text;
+    const attached = (message.attachments || []).map(attachment => attachment.name);
+    return `${message.role}: ${excerpt}${attached.length > 0 ? ` [attached: ${attached.join(', ')}]` : ''}`;
+  }).join('\n\n');
+
+  return [
+    {
+      role: 'system',
+      content: 'You maintain a running summary of a conversation between a user and an assistant. ' +
+        'Merge the new messages into the summary. Keep facts, decisions, names, numbers and open questions; ' +
+        'drop small talk. Answer with the updated summary only, in at most 300 words.'
+    },
+    {
+      role: 'user',
+      content: (previous ? `Current summary:\n${previous}\n\n` : '') + `New messages:\n${transcript}`
+    }
+  ];
+};
+
+/** Compact token count for display, e.g. 1.2k */
+export const formatTokens = (tokens: number): string =>
+  tokens >= 1000 ? `${(tokens / 1000).toFixed(tokens >= 10000 ? 0 : 1)}k` : String(tokens);
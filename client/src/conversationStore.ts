@@ -0,0 +1,165 @@
+// conversationStore.ts
+import type { Conversation } from './types';
+import { apiFetch } from './api';
+
+const LOCAL_KEY = 'conversations';
+const MIGRATED_KEY = 'conversationsMigrated';
+const PENDING_KEY = 'conversationsPendingSync';
+const API_BASE = '/api/conversations';
+
+const readJson = <T>(key: string, fallback: T): T => {
+  try {
+    const raw = localStorage.getItem(key);
+    return raw ? JSON.parse(raw) : fallback;
+  } catch (err) {
+    console.error(`Failed to parse ${key} from localStorage:`, err);
+    return fallback;
+  }
+};
+
+const writeJson = (key: string, value: unknown) => {
+  try {
+    localStorage.setItem(key, JSON.stringify(value));
+  } catch (err) {
+    // Quota errors only affect the offline copy, the server keeps the data
+    console.warn(`Failed to write ${key} to localStorage:`, err);
+  }
+};
+
+const request = async (url: string, options: RequestInit = {}) => {
+  const response = await apiFetch(url, {
+    ...options,
+    headers: { 'Content-Type': 'application/json', ...(options.headers || {}) }
+  });
+  // Deleting a conversation the server does not have is done already; a
+  // save it refuses must fail so the conversation stays pending
+  const alreadyGone = options.method === 'DELETE' && response.status === 404;
+  if (!response.ok && !alreadyGone) {
+    const errorData = await response.json().catch(() => ({}));
+    throw new Error(errorData.error?.message || `Request failed with status ${response.status}`);
+  }
+  return response;
+};
+
+/** Conversations cached in localStorage (offline copy) */
+export const loadLocalConversations = (): Conversation[] => readJson(LOCAL_KEY, []);
+
+export const saveLocalConversations = (conversations: Conversation[]) => {
+  writeJson(LOCAL_KEY, conversations);
+};
+
+export const fetchConversations = async (): Promise<Conversation[]> => {
+  const response = await request(API_BASE);
+  const data = await response.json();
+  return data.conversations || [];
+};
+
+export const saveConversation = async (conversation: Conversation) => {
+  await request(`${API_BASE}/${encodeURIComponent(conversation.id)}`, {
+    method: 'PUT',
+    body: JSON.stringify(conversation)
+  });
+};
+
+export const removeConversation = async (id: string) => {
+  await request(`${API_BASE}/${encodeURIComponent(id)}`, { method: 'DELETE' });
+};
+
+/**
+ * Load conversations from the server, pushing local data it does not have yet:
+ * everything on the first load (migration from localStorage-only storage) and
+ * afterwards only conversations changed while the server was unreachable.
+ * Throws when the server cannot be reached.
+ */
+export const loadConversations = async (): Promise<Conversation[]> => {
+  const local = loadLocalConversations();
+  const migrated = localStorage.getItem(MIGRATED_KEY) === 'true';
+  const pending = new Set<string>(readJson(PENDING_KEY, []));
+
+  const remote = await fetchConversations();
+  const remoteById = new Map(remote.map(conv => [conv.id, conv]));
+
+  const toPush = local.filter(conv => {
+    if (migrated && !pending.has(conv.id)) return false;
+    const remoteConv = remoteById.get(conv.id);
+    return !remoteConv || conv.lastUpdatedAt > remoteConv.lastUpdatedAt;
+  });
+
+  // Conversations the server refuses stay local and pending, the others still load
+  const failed: string[] = [];
+  for (const conv of toPush) {
+    try {
+      await saveConversation(conv);
+    } catch (err) {
+      console.error(`Failed to sync conversation ${conv.id}:`, err);
+      failed.push(conv.id);
+    }
+    remoteById.set(conv.id, conv);
+  }
+
+  localStorage.setItem(MIGRATED_KEY, 'true');
+  writeJson(PENDING_KEY, failed);
+
+  return [...remoteById.values()];
+};
+
+/**
+ * Debounced sync of changed conversations to the server. Each call to
+ * `schedule` compares conversations against the last synced snapshot and
+ * only sends the ones that changed.
+ */
+export const createConversationSync = (delay = 1000) => {
+  const snapshots = new Map<string, string>();
+  let timer: ReturnType<typeof setTimeout> | null = null;
+  let latest: Conversation[] = [];
+
+  const markPending = (ids: string[]) => {
+    const pending = new Set<string>(readJson(PENDING_KEY, []));
+    ids.forEach(id => pending.add(id));
+    writeJson(PENDING_KEY, [...pending]);
+  };
+
+  const flush = async () => {
+    timer = null;
+    const failed: string[] = [];
+
+    for (const conv of latest) {
+      const snapshot = JSON.stringify(conv);
+      if (snapshots.get(conv.id) === snapshot) continue;
+
+      try {
+        await saveConversation(conv);
+        snapshots.set(conv.id, snapshot);
+      } catch (err) {
+        console.error(`Failed to sync conversation ${conv.id}:`, err);
+        failed.push(conv.id);
+      }
+    }
+
+    if (failed.length > 0) {
+      markPending(failed);
+    }
+  };
+
+  return {
+    /** Record conversations as already in sync with the server */
+    markSynced(conversations: Conversation[]) {
+      conversations.forEach(conv => snapshots.set(conv.id, JSON.stringify(conv)));
+    },
+
+    schedule(conversations: Conversation[]) {
+      latest = conversations;
+      if (timer) clearTimeout(timer);
+      timer = setTimeout(flush, delay);
+    },
+
+    async remove(id: string) {
+      snapshots.delete(id);
+      try {
+        await removeConversation(id);
+      } catch (err) {
+        console.error(`Failed to delete conversation ${id} on the server:`, err);
+      }
+    }
+  };
+};
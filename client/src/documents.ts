@@ -0,0 +1,72 @@
+// documents.ts
+import type { Citation, DocumentInfo, Passage } from './types';
+import { apiRequest } from './api';
+
+export const DOCUMENT_TYPES = '.txt,.md,.markdown,.pdf';
+
+const documentsUrl = (conversationId: string) =>
+  `/api/conversations/${encodeURIComponent(conversationId)}/documents`;
+
+const toBase64 = async (file: File): Promise<string> => {
+  const bytes = new Uint8Array(await file.arrayBuffer());
+  let binary = '';
+  // Convert in slices, spreading a large file at once overflows the call stack
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  }
+  return btoa(binary);
+};
+
+export const listDocuments = async (conversationId: string): Promise<DocumentInfo[]> => {
+  const response = await apiRequest(documentsUrl(conversationId));
+  const data = await response.json();
+  return data.documents || [];
+};
+
+/** Upload a file; the server extracts, chunks and embeds its text */
+export const uploadDocument = async (conversationId: string, file: File): Promise<DocumentInfo> => {
+  const response = await apiRequest(documentsUrl(conversationId), {
+    method: 'POST',
+    body: JSON.stringify({ name: file.name, content: await toBase64(file) })
+  });
+  return response.json();
+};
+
+export const deleteDocument = async (conversationId: string, documentId: string) => {
+  await apiRequest(`${documentsUrl(conversationId)}/${encodeURIComponent(documentId)}`, { method: 'DELETE' });
+};
+
+export const searchDocuments = async (conversationId: string, query: string, topK = 4): Promise<Passage[]> => {
+  const response = await apiRequest(`${documentsUrl(conversationId)}/search`, {
+    method: 'POST',
+    body: JSON.stringify({ query, topK })
+  });
+  const data = await response.json();
+  return data.passages || [];
+};
+
+/** System prompt giving the model the retrieved passages, numbered for citation */
+export const buildContextPrompt = (passages: Passage[]): string => [
+  'Answer using the following passages from the user\'s documents. ' +
+    'Cite the passages you use with their number in square brackets, e.g. [1]. ' +
+    'If the passages do not contain the answer, say so.',
+  ...passages.map((passage, index) =>
+    `[${index + 1}] (${passage.documentName})\n${passage.text}`)
+].join('\n\n');
+
+/** Passages an answer actually cites, in citation order */
+export const citationsFor = (answer: string, passages: Passage[]): Citation[] => {
+  const numbers = new Set<number>();
+  for (const match of answer.matchAll(/\[(\d+)\]/g)) {
+    const number = Number(match[1]);
+    if (number >= 1 && number <= passages.length) {
+      numbers.add(number);
+    }
+  }
+
+  return [...numbers].sort((a, b) => a - b).map(number => ({
+    number,
+    documentName: passages[number - 1].documentName,
+    text: passages[number - 1].text
+  }));
+};
@@ -0,0 +1,73 @@
+// health.ts
+
+export type HealthStatus = 'up' | 'down' | 'unknown' | 'unconfigured';
+
+export interface ModelHealth {
+  name: string;
+  status: HealthStatus;
+  latency_ms: number | null;
+  last_success_at: string | null;
+  last_error: string | null;
+  last_error_at: string | null;
+}
+
+export interface ServiceHealth {
+  id: string;
+  name: string;
+  status: HealthStatus;
+  latency_ms: number | null;
+  checked_at: string | null;
+  last_error: string | null;
+  models_error: string | null;
+  models: ModelHealth[];
+}
+
+const STATUS_LABELS: Record<HealthStatus, string> = {
+  up: 'available',
+  down: 'unavailable',
+  unknown: 'not checked',
+  unconfigured: 'no API key'
+};
+
+/**
+ * Status of every model from the readiness endpoint, keyed by model name.
+ * The endpoint answers 503 with the same report when nothing is up, so
+ * only a missing report is an error; null is returned then.
+ */
+export const fetchModelHealth = async (): Promise<Record<string, ModelHealth> | null> => {
+  try {
+    const response = await fetch('/health/ready');
+    const data = await response.json();
+    if (!Array.isArray(data.services)) return null;
+
+    const models: Record<string, ModelHealth> = {};
+    for (const service of data.services as ServiceHealth[]) {
+      for (const model of service.models) {
+        // Service errors explain a model that has not failed on its own
+        models[model.name] = { ...model, last_error: model.last_error || service.last_error };
+      }
+    }
+    return models;
+  } catch {
+    return null;
+  }
+};
+
+/** One-line description of a model's status, for tooltips */
+export const describeModelHealth = (health: ModelHealth | undefined): string => {
+  if (!health) return '';
+  const parts = [STATUS_LABELS[health.status] || health.status];
+  if (health.latency_ms !== null) {
+    parts.push(`${health.latency_ms} ms to first token`);
+  }
+  if (health.status !== 'up' && health.last_error) {
+    parts.push(health.last_error);
+  }
+  return parts.join(' · ');
+};
+
+/** Marker shown after a model's name in the selector, empty when it is up */
+export const healthMarker = (health: ModelHealth | undefined): string => {
+  if (!health || health.status === 'up') return '';
+  return ` (${STATUS_LABELS[health.status] || health.status})`;
+};
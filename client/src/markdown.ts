@@ -0,0 +1,169 @@
+// markdown.ts
+import MarkdownIt from 'markdown-it';
+import markdownItKatex from '@vscode/markdown-it-katex';
+import DOMPurify from 'dompurify';
+import hljs from 'highlight.js/lib/common';
+import 'katex/dist/katex.min.css';
+import 'highlight.js/styles/github-dark.css';
+
+const md = new MarkdownIt({
+  html: false, // Raw HTML from the model is shown as text
+  linkify: true,
+  breaks: true
+});
+
+md.use(markdownItKatex, { throwOnError: false });
+
+// Code blocks get a language label, a copy button and highlighting. Mermaid
+// blocks become diagram placeholders, except while the answer is streaming.
+md.renderer.rules.fence = (tokens, idx, _options, env) => {
+  const token = tokens[idx];
+  const language = token.info.trim().split(/\s+/)[0].toLowerCase();
+  const code = token.content;
+  const escaped = md.utils.escapeHtml(code);
+
+  if (language === 'mermaid' && !env?.streaming) {
+    return `<div class="mermaid-diagram" data-source="${md.utils.escapeHtml(code)}"><pre><code>${escaped}</code></pre></div>`;
+  }
+
+  const highlighted = language && hljs.getLanguage(language)
+    ? hljs.highlight(code, { language, ignoreIllegals: true }).value
+    : escaped;
+
+  return '<div class="code-block">' +
+    '<div class="code-block-header">' +
+    `<span class="code-language">${md.utils.escapeHtml(language || 'text')}</span>` +
+    '<button type="button" class="copy-code-btn">Copy</button>' +
+    '</div>' +
+    `<pre><code class="hljs">${highlighted}</code></pre>` +
+    '</div>';
+};
+
+// Links open in a new tab without giving the target page access to this one
+DOMPurify.addHook('afterSanitizeAttributes', (node) => {
+  if (node.tagName === 'A' && node.getAttribute('href')) {
+    node.setAttribute('target', '_blank');
+    node.setAttribute('rel', 'noopener noreferrer');
+  }
+});
+
+/**
+ * Close constructs a partial answer leaves open, so a growing answer renders
+ * the same way it will once complete: an open code fence is closed, and an
+ * unfinished $$ math block is shown as plain text until its end arrives.
+ */
+export const completePartialMarkdown = (text: string): string => {
+  let fence: string | null = null;
+  let mathStart = -1;
+  let offset = 0;
+
+  for (const line of text.split('\n')) {
+    const marker = line.match(/^\s{0,3}(`{3,}|~{3,})/);
+    if (marker) {
+      if (!fence) {
+        fence = marker[1];
+      } else if (marker[1][0] === fence[0] && marker[1].length >= fence.length) {
+        fence = null;
+      }
+    } else if (!fence) {
+      // $$ delimiters outside code toggle display math
+      for (const match of line.matchAll(/\$\$/g)) {
+        mathStart = mathStart === -1 ? offset + (match.index ?? 0) : -1;
+      }
+    }
+    offset += line.length + 1;
+  }
+
+  if (fence) {
+    return `${text}\n${fence}`;
+  }
+  if (mathStart !== -1) {
+    return text.slice(0, mathStart) + text.slice(mathStart).replace(/\$/g, '\\$');
+  }
+  return text;
+};
+
+// Rendered HTML of finished messages, which do not change
+const cache = new Map<string, string>();
+const CACHE_SIZE = 500;
+
+/**
+ * Render Markdown to sanitized HTML
+ * @param text - Markdown source
+ * @param streaming - Whether the text is a partial answer still being received
+ */
+export const renderMarkdown = (text: string, streaming = false): string => {
+  if (!text) return '';
+
+  if (!streaming && cache.has(text)) {
+    return cache.get(text) as string;
+  }
+
+  const source = streaming ? completePartialMarkdown(text) : text;
+  const html = DOMPurify.sanitize(md.render(source, { streaming }));
+
+  if (!streaming) {
+    if (cache.size >= CACHE_SIZE) {
+      cache.delete(cache.keys().next().value as string);
+    }
+    cache.set(text, html);
+  }
+  return html;
+};
+
+/**
+ * Copy the code of the block whose copy button was clicked. Meant to be
+ * called from a click handler on a container of rendered messages.
+ * @returns Whether the click was on a copy button
+ */
+export const handleCopyClick = (event: MouseEvent): boolean => {
+  const button = (event.target as HTMLElement).closest('.copy-code-btn');
+  const code = button?.closest('.code-block')?.querySelector('code');
+  if (!button || !code) return false;
+
+  navigator.clipboard.writeText(code.textContent || '').then(() => {
+    button.textContent = 'Copied';
+    setTimeout(() => {
+      button.textContent = 'Copy';
+    }, 1500);
+  }).catch(err => {
+    console.error('Failed to copy code:', err);
+  });
+  return true;
+};
+
+let diagramCount = 0;
+
+/**
+ * Render the Mermaid placeholders found in a container. Mermaid is large, so
+ * it is only loaded once a diagram shows up.
+ */
+export const renderDiagrams = async (container: HTMLElement | null, dark = false) => {
+  const placeholders = container
+    ? Array.from(container.querySelectorAll<HTMLElement>('.mermaid-diagram:not([data-rendered])'))
+    : [];
+  if (placeholders.length === 0) return;
+
+  // Mark first, so a re-render while mermaid loads does not render twice
+  placeholders.forEach(placeholder => placeholder.setAttribute('data-rendered', 'pending'));
+
+  const { default: mermaid } = await import('mermaid');
+  mermaid.initialize({
+    startOnLoad: false,
+    securityLevel: 'strict',
+    theme: dark ? 'dark' : 'default'
+  });
+
+  for (const placeholder of placeholders) {
+    try {
+      // The strict security level makes mermaid sanitize the labels itself
+      const { svg } = await mermaid.render(`mermaid-${++diagramCount}`, placeholder.dataset.source || '');
+      placeholder.innerHTML = svg;
+      placeholder.setAttribute('data-rendered', 'true');
+    } catch (err) {
+      // Keep showing the source when the diagram does not parse
+      placeholder.setAttribute('data-rendered', 'error');
+      console.warn('Failed to render Mermaid diagram:', err);
+    }
+  }
+};
@@ -0,0 +1,58 @@
+// presets.ts
+import type { PromptPreset } from './types';
+import { apiRequest } from './api';
+
+export const DEFAULT_SYSTEM_PROMPT = 'You are a helpful assistant.';
+
+const API_BASE = '/api/presets';
+
+// Variables filled in automatically when the prompt is sent
+const AUTOMATIC_VARIABLES = ['date', 'time', 'model'];
+
+export const fetchPresets = async (): Promise<PromptPreset[]> => {
+  const response = await apiRequest(API_BASE);
+  const data = await response.json();
+  return data.presets || [];
+};
+
+type PresetFields = Pick<PromptPreset, 'name' | 'description' | 'systemPrompt' | 'variables'>;
+
+/** Create a shared preset, or update it when an ID is given */
+export const savePreset = async (preset: PresetFields, id?: string): Promise<PromptPreset> => {
+  const response = await apiRequest(id ? `${API_BASE}/${encodeURIComponent(id)}` : API_BASE, {
+    method: id ? 'PUT' : 'POST',
+    body: JSON.stringify(preset)
+  });
+  return response.json();
+};
+
+export const deletePreset = async (id: string) => {
+  await apiRequest(`${API_BASE}/${encodeURIComponent(id)}`, { method: 'DELETE' });
+};
+
+/** Names of the {{variables}} in a prompt the user has to fill in, in order */
+export const templateVariables = (prompt: string): string[] => {
+  const names = new Set<string>();
+  for (const match of prompt.matchAll(/\{\{\s*([\w-]+)\s*\}\}/g)) {
+    if (!AUTOMATIC_VARIABLES.includes(match[1])) {
+      names.add(match[1]);
+    }
+  }
+  return [...names];
+};
+
+/**
+ * Replace the {{variables}} of a prompt. {{date}}, {{time}} and {{model}} are
+ * filled in automatically; unknown variables are left as-is.
+ */
+export const renderPrompt = (prompt: string, values: Record<string, string>, model = ''): string => {
+  const now = new Date();
+  const all: Record<string, string> = {
+    date: now.toLocaleDateString(),
+    time: now.toLocaleTimeString(),
+    model,
+    ...values
+  };
+  return prompt.replace(/\{\{\s*([\w-]+)\s*\}\}/g, (placeholder, name) =>
+    all[name] !== undefined && all[name] !== '' ? all[name] : placeholder);
+};
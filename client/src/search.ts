@@ -0,0 +1,267 @@
+// search.ts
+import type { Conversation } from './types';
+
+export interface SearchFilters {
+  modelKey?: string;
+  serviceId?: string;
+  // Inclusive range of days (timestamps) the conversation was active in
+  from?: number | null;
+  to?: number | null;
+}
+
+export interface HighlightPart {
+  text: string;
+  match: boolean;
+}
+
+export interface SearchResult {
+  conversationId: string;
+  title: string;
+  // Matching message, or null when the title or only the filters matched
+  messageIndex: number | null;
+  role: string | null;
+  snippet: HighlightPart[];
+}
+
+interface IndexedDocument {
+  conversationId: string;
+  messageIndex: number | null;
+  role: string | null;
+  text: string;
+  tokens: Set<string>;
+}
+
+interface IndexedConversation {
+  // Changes whenever the conversation is edited, see signatureOf
+  signature: string;
+  title: string;
+  modelKey: string;
+  createdAt: number;
+  lastUpdatedAt: number;
+  documentKeys: string[];
+}
+
+const MAX_RESULTS = 100;
+const SNIPPET_BEFORE = 60;
+const SNIPPET_LENGTH = 200;
+
+const tokenize = (text: string): string[] => text.toLowerCase().match(/[\p{L}\p{N}_]+/gu) || [];
+
+const escapeRegExp = (text: string) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const signatureOf = (conversation: Conversation) => {
+  const last = conversation.messages[conversation.messages.length - 1];
+  return [
+    conversation.lastUpdatedAt,
+    conversation.title,
+    conversation.messages.length,
+    last?.content?.length ?? 0
+  ].join('\u0000');
+};
+
+/**
+ * Split text into highlighted and plain parts, cut to a snippet around the
+ * first match. Terms match at the start of words, like the index does.
+ */
+export const highlight = (text: string, terms: string[]): HighlightPart[] => {
+  const pattern = terms.length > 0
+    ? new RegExp(`(?<![\\p{L}\\p{N}_])(?:${terms.map(escapeRegExp).join('|')})`, 'giu')
+    : null;
+  const matches = pattern ? [...text.matchAll(pattern)] : [];
+
+  const first = matches.length > 0 ? matches[0].index ?? 0 : 0;
+  const start = Math.max(0, first - SNIPPET_BEFORE);
+  const end = Math.min(text.length, start + SNIPPET_LENGTH);
+
+  const parts: HighlightPart[] = [];
+  let position = start;
+  for (const match of matches) {
+    const index = match.index ?? 0;
+    if (index < start) continue;
+    if (index >= end) break;
+    if (index > position) {
+      parts.push({ text: text.slice(position, index), match: false });
+    }
+    parts.push({ text: match[0], match: true });
+    position = index + match[0].length;
+  }
+  if (position < end) {
+    parts.push({ text: text.slice(position, end), match: false });
+  }
+
+  if (start > 0) {
+    parts.unshift({ text: '…', match: false });
+  }
+  if (end < text.length) {
+    parts.push({ text: '…', match: false });
+  }
+  return parts;
+};
+
+/**
+ * Inverted index over conversation titles and message contents. `update`
+ * only re-indexes conversations that changed since the previous call, and
+ * query terms match words by prefix, so results can follow every keystroke.
+ * @param serviceOf - Service ID of a model key, for the service filter
+ */
+export const createSearchIndex = (serviceOf: (modelKey: string) => string) => {
+  const documents = new Map<string, IndexedDocument>();
+  const postings = new Map<string, Set<string>>();
+  const indexed = new Map<string, IndexedConversation>();
+  // Sorted tokens for prefix lookups, rebuilt when tokens come or go
+  let vocabulary: string[] | null = null;
+
+  const addDocument = (key: string, document: Omit<IndexedDocument, 'tokens'>) => {
+    const tokens = new Set(tokenize(document.text));
+    documents.set(key, { ...document, tokens });
+    for (const token of tokens) {
+      let keys = postings.get(token);
+      if (!keys) {
+        keys = new Set();
+        postings.set(token, keys);
+        vocabulary = null;
+      }
+      keys.add(key);
+    }
+  };
+
+  const removeConversation = (id: string) => {
+    const entry = indexed.get(id);
+    if (!entry) return;
+
+    for (const key of entry.documentKeys) {
+      for (const token of documents.get(key)?.tokens || []) {
+        const keys = postings.get(token);
+        keys?.delete(key);
+        if (keys && keys.size === 0) {
+          postings.delete(token);
+          vocabulary = null;
+        }
+      }
+      documents.delete(key);
+    }
+    indexed.delete(id);
+  };
+
+  const addConversation = (conversation: Conversation) => {
+    const titleKey = `${conversation.id}:title`;
+    addDocument(titleKey, {
+      conversationId: conversation.id,
+      messageIndex: null,
+      role: null,
+      text: conversation.title
+    });
+
+    const documentKeys = [titleKey];
+    conversation.messages.forEach((message, index) => {
+      if (!message.content) return;
+      const key = `${conversation.id}:${index}`;
+      addDocument(key, {
+        conversationId: conversation.id,
+        messageIndex: index,
+        role: message.role,
+        text: message.content
+      });
+      documentKeys.push(key);
+    });
+
+    indexed.set(conversation.id, {
+      signature: signatureOf(conversation),
+      title: conversation.title,
+      modelKey: conversation.modelKey || '',
+      createdAt: conversation.createdAt,
+      lastUpdatedAt: conversation.lastUpdatedAt,
+      documentKeys
+    });
+  };
+
+  // Documents containing a word that starts with the term
+  const documentsMatching = (term: string): Set<string> => {
+    if (!vocabulary) {
+      vocabulary = [...postings.keys()].sort();
+    }
+
+    // Binary search for the first token >= term
+    let low = 0;
+    let high = vocabulary.length;
+    while (low < high) {
+      const middle = (low + high) >> 1;
+      if (vocabulary[middle] < term) low = middle + 1;
+      else high = middle;
+    }
+
+    const keys = new Set<string>();
+    for (let i = low; i < vocabulary.length && vocabulary[i].startsWith(term); i++) {
+      postings.get(vocabulary[i])?.forEach(key => keys.add(key));
+    }
+    return keys;
+  };
+
+  const matchesFilters = (entry: IndexedConversation, filters: SearchFilters) =>
+    (!filters.modelKey || entry.modelKey === filters.modelKey) &&
+    (!filters.serviceId || (entry.modelKey && serviceOf(entry.modelKey) === filters.serviceId)) &&
+    (!filters.from || entry.lastUpdatedAt >= filters.from) &&
+    (!filters.to || entry.createdAt <= filters.to);
+
+  return {
+    /** Bring the index in line with the current conversations */
+    update(conversations: Conversation[]) {
+      const current = new Set<string>();
+      for (const conversation of conversations) {
+        current.add(conversation.id);
+        if (indexed.get(conversation.id)?.signature !== signatureOf(conversation)) {
+          removeConversation(conversation.id);
+          addConversation(conversation);
+        }
+      }
+      for (const id of [...indexed.keys()]) {
+        if (!current.has(id)) {
+          removeConversation(id);
+        }
+      }
+    },
+
+    /**
+     * Titles and messages containing every term of the query, most recently
+     * updated conversations first. Without terms, lists the conversations
+     * the filters match.
+     */
+    search(query: string, filters: SearchFilters = {}): SearchResult[] {
+      const terms = [...new Set(tokenize(query))];
+      const conversationsByRecency = [...indexed.entries()]
+        .filter(([, entry]) => matchesFilters(entry, filters))
+        .sort(([, a], [, b]) => b.lastUpdatedAt - a.lastUpdatedAt);
+
+      if (terms.length === 0) {
+        return conversationsByRecency.slice(0, MAX_RESULTS).map(([id, entry]) => ({
+          conversationId: id,
+          title: entry.title,
+          messageIndex: null,
+          role: null,
+          snippet: []
+        }));
+      }
+
+      // Intersect starting from the rarest term
+      const sets = terms.map(documentsMatching).sort((a, b) => a.size - b.size);
+      const matching = new Set([...sets[0]].filter(key => sets.every(set => set.has(key))));
+
+      const results: SearchResult[] = [];
+      for (const [id, entry] of conversationsByRecency) {
+        for (const key of entry.documentKeys) {
+          if (!matching.has(key)) continue;
+          const document = documents.get(key) as IndexedDocument;
+          results.push({
+            conversationId: id,
+            title: entry.title,
+            messageIndex: document.messageIndex,
+            role: document.role,
+            snippet: highlight(document.text, terms)
+          });
+          if (results.length >= MAX_RESULTS) return results;
+        }
+      }
+      return results;
+    }
+  };
+};
@@ -0,0 +1,133 @@
+// structured.ts
+import type { OutputSchema } from './types';
+
+export const DEFAULT_VALIDATION_RETRIES = 1;
+export const MAX_VALIDATION_RETRIES = 3;
+
+// Starting points offered in the schema editor
+export const EXAMPLE_SCHEMAS: { name: string; schema: Record<string, unknown> }[] = [
+  {
+    name: 'contact',
+    schema: {
+      type: 'object',
+      properties: {
+        name: { type: 'string' },
+        email: { type: ['string', 'null'] },
+        phone: { type: ['string', 'null'] },
+        company: { type: ['string', 'null'] }
+      },
+      required: ['name', 'email', 'phone', 'company'],
+      additionalProperties: false
+    }
+  },
+  {
+    name: 'invoice',
+    schema: {
+      type: 'object',
+      properties: {
+        number: { type: 'string' },
+        date: { type: 'string', description: 'ISO 8601 date' },
+        currency: { type: 'string' },
+        lines: {
+          type: 'array',
+          items: {
+            type: 'object',
+            properties: {
+              description: { type: 'string' },
+              quantity: { type: 'number' },
+              amount: { type: 'number' }
+            },
+            required: ['description', 'quantity', 'amount'],
+            additionalProperties: false
+          }
+        },
+        total: { type: 'number' }
+      },
+      required: ['number', 'date', 'currency', 'lines', 'total'],
+      additionalProperties: false
+    }
+  },
+  {
+    name: 'sentiment',
+    schema: {
+      type: 'object',
+      properties: {
+        sentiment: { type: 'string', enum: ['positive', 'neutral', 'negative'] },
+        confidence: { type: 'number', minimum: 0, maximum: 1 },
+        reasons: { type: 'array', items: { type: 'string' } }
+      },
+      required: ['sentiment', 'confidence', 'reasons'],
+      additionalProperties: false
+    }
+  }
+];
+
+/**
+ * Read a schema pasted in the editor. The server checks that it is a valid
+ * JSON Schema; here it only has to be a JSON object.
+ */
+export const parseSchema = (text: string): Record<string, unknown> => {
+  let schema: unknown;
+  try {
+    schema = JSON.parse(text);
+  } catch (err) {
+    throw new Error(`The schema is not valid JSON: ${(err as Error).message}`);
+  }
+  if (!schema || typeof schema !== 'object' || Array.isArray(schema)) {
+    throw new Error('The schema must be a JSON object');
+  }
+  return schema as Record<string, unknown>;
+};
+
+/** Request fields asking for answers matching the conversation's schema */
+export const structuredRequestFields = (outputSchema: OutputSchema) => ({
+  response_format: {
+    type: 'json_schema',
+    json_schema: { name: outputSchema.name || 'response', schema: outputSchema.schema }
+  },
+  validation_retries: outputSchema.retries
+});
+
+const escapeHtml = (text: string) => text
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+// Objects and arrays nested deeper than this start collapsed
+const OPEN_DEPTH = 2;
+
+const renderNode = (value: unknown, key: string | null, depth: number): string => {
+  const label = key === null ? '' : `<span class="json-key">${escapeHtml(key)}</span>: `;
+
+  if (value === null || typeof value !== 'object') {
+    const type = value === null ? 'null' : typeof value;
+    return `<div class="json-leaf">${label}<span class="json-${type}">${escapeHtml(JSON.stringify(value))}</span></div>`;
+  }
+
+  const isArray = Array.isArray(value);
+  const entries = isArray
+    ? (value as unknown[]).map((item, index) => [String(index), item] as const)
+    : Object.entries(value as Record<string, unknown>);
+  const summary = isArray ? `[${entries.length}]` : `{${entries.length}}`;
+  if (entries.length === 0) {
+    return `<div class="json-leaf">${label}<span class="json-empty">${isArray ? '[]' : '{}'}</span></div>`;
+  }
+  const children = entries.map(([childKey, child]) => renderNode(child, childKey, depth + 1)).join('');
+  return `<details class="json-node"${depth < OPEN_DEPTH ? ' open' : ''}>` +
+    `<summary>${label}<span class="json-summary">${summary}</span></summary>${children}</details>`;
+};
+
+/**
+ * HTML of a collapsible tree of a JSON text, built from <details> elements.
+ * Returns null when the text is not JSON.
+ */
+export const renderJsonTree = (text: string): string | null => {
+  let value: unknown;
+  try {
+    value = JSON.parse(text);
+  } catch {
+    return null;
+  }
+  return `<div class="json-tree">${renderNode(value, null, 0)}</div>`;
+};
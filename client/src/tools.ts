@@ -0,0 +1,214 @@
+// tools.ts
+import type { ToolCall } from './types';
+import { apiFetch } from './api';
+
+export interface ToolDefinition {
+  type: 'function';
+  function: {
+    name: string;
+    description?: string;
+    parameters?: Record<string, unknown>;
+  };
+}
+
+interface RegisteredTool {
+  definition: ToolDefinition;
+  run: (args: Record<string, unknown>) => unknown | Promise<unknown>;
+}
+
+const registry = new Map<string, RegisteredTool>();
+
+/** Register a tool the model may call. Later registrations replace earlier ones. */
+export const registerTool = (definition: ToolDefinition, run: RegisteredTool['run']) => {
+  registry.set(definition.function.name, { definition, run });
+};
+
+/** Definitions of all registered tools, in the form sent as `tools` */
+export const getToolDefinitions = (): ToolDefinition[] =>
+  [...registry.values()].map(tool => tool.definition);
+
+/**
+ * Register the tools the server runs. Calls are forwarded to /api/tools/:name.
+ * Failures are logged and leave the browser tools available.
+ */
+export const loadServerTools = async () => {
+  try {
+    const response = await apiFetch('/api/tools');
+    if (!response.ok) return;
+    const data = await response.json();
+
+    for (const definition of (data.tools || []) as ToolDefinition[]) {
+      const name = definition.function.name;
+      registerTool(definition, async (args) => {
+        const result = await apiFetch(`/api/tools/${encodeURIComponent(name)}`, {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({ arguments: args })
+        });
+        const body = await result.json().catch(() => ({}));
+        if (!result.ok) {
+          throw new Error(body.error?.message || `Tool ${name} failed with status ${result.status}`);
+        }
+        return body.result;
+      });
+    }
+  } catch (err) {
+    console.error('Failed to load server tools:', err);
+  }
+};
+
+/**
+ * Run a tool call requested by the model. Errors are returned as the tool
+ * result so the model can see them and recover.
+ * @returns Content of the `tool` message answering the call
+ */
+export const runToolCall = async (call: ToolCall): Promise<string> => {
+  const tool = registry.get(call.function.name);
+  if (!tool) {
+    return JSON.stringify({ error: `Unknown tool: ${call.function.name}` });
+  }
+
+  try {
+    const args = call.function.arguments ? JSON.parse(call.function.arguments) : {};
+    const result = await tool.run(args);
+    return typeof result === 'string' ? result : JSON.stringify(result);
+  } catch (err) {
+    return JSON.stringify({ error: err instanceof Error ? err.message : String(err) });
+  }
+};
+
+const FUNCTIONS: Record<string, (x: number) => number> = {
+  sqrt: Math.sqrt,
+  sin: Math.sin,
+  cos: Math.cos,
+  tan: Math.tan,
+  log: Math.log10,
+  ln: Math.log,
+  abs: Math.abs,
+  round: Math.round,
+  floor: Math.floor,
+  ceil: Math.ceil
+};
+
+const CONSTANTS: Record<string, number> = {
+  pi: Math.PI,
+  e: Math.E
+};
+
+/**
+ * Evaluate an arithmetic expression with a small recursive-descent parser
+ * (no eval). Supports + - * / % ^, parentheses, unary minus, the functions
+ * in FUNCTIONS and the constants pi and e.
+ */
+export const evaluateExpression = (expression: string): number => {
+  const tokens = expression.match(/\d+(?:\.\d+)?(?:e[+-]?\d+)?|\.\d+|[a-z]+|[-+*/%^()]|\S/gi) || [];
+  let pos = 0;
+
+  const peek = () => tokens[pos];
+  const next = () => tokens[pos++];
+  const expect = (token: string) => {
+    if (next() !== token) throw new Error(`Expected "${token}"`);
+  };
+
+  // expression := term (('+' | '-') term)*
+  const parseExpression = (): number => {
+    let value = parseTerm();
+    while (peek() === '+' || peek() === '-') {
+      value = next() === '+' ? value + parseTerm() : value - parseTerm();
+    }
+    return value;
+  };
+
+  // term := unary (('*' | '/' | '%') unary)*
+  const parseTerm = (): number => {
+    let value = parseUnary();
+    while (peek() === '*' || peek() === '/' || peek() === '%') {
+      const op = next();
+      const right = parseUnary();
+      value = op === '*' ? value * right : op === '/' ? value / right : value % right;
+    }
+    return value;
+  };
+
+  // unary := '-' unary | power
+  const parseUnary = (): number => {
+    if (peek() === '-') {
+      next();
+      return -parseUnary();
+    }
+    if (peek() === '+') {
+      next();
+      return parseUnary();
+    }
+    return parsePower();
+  };
+
+  // power := primary ('^' unary)?   (right-associative)
+  const parsePower = (): number => {
+    const base = parsePrimary();
+    if (peek() === '^') {
+      next();
+      return Math.pow(base, parseUnary());
+    }
+    return base;
+  };
+
+  // primary := number | constant | function '(' expression ')' | '(' expression ')'
+  const parsePrimary = (): number => {
+    const token = next();
+    if (token === undefined) throw new Error('Unexpected end of expression');
+
+    if (token === '(') {
+      const value = parseExpression();
+      expect(')');
+      return value;
+    }
+    if (/^[\d.]/.test(token)) {
+      return Number(token);
+    }
+
+    const name = token.toLowerCase();
+    if (name in CONSTANTS) {
+      return CONSTANTS[name];
+    }
+    if (name in FUNCTIONS) {
+      expect('(');
+      const value = parseExpression();
+      expect(')');
+      return FUNCTIONS[name](value);
+    }
+    throw new Error(`Unexpected "${token}"`);
+  };
+
+  const result = parseExpression();
+  if (pos < tokens.length) {
+    throw new Error(`Unexpected "${tokens[pos]}"`);
+  }
+  if (!Number.isFinite(result)) {
+    throw new Error('Result is not a finite number');
+  }
+  return result;
+};
+
+// Tools that run in the browser
+registerTool({
+  type: 'function',
+  function: {
+    name: 'calculator',
+    description: 'Evaluate an arithmetic expression. Supports + - * / % ^, parentheses, ' +
+      'sqrt, sin, cos, tan, log, ln, abs, round, floor, ceil and the constants pi and e.',
+    parameters: {
+      type: 'object',
+      properties: {
+        expression: {
+          type: 'string',
+          description: 'Expression to evaluate, e.g. "2 * (3 + 4) ^ 2"'
+        }
+      },
+      required: ['expression']
+    }
+  }
+}, ({ expression }) => ({
+  expression,
+  result: evaluateExpression(String(expression ?? ''))
+}));
@@ -0,0 +1,298 @@
+// transfer.ts
+import type { ChatMessage, Conversation } from './types';
+import type { ToolDefinition } from './tools';
+import { DEFAULT_SYSTEM_PROMPT, renderPrompt } from './presets';
+import { toMessageContent } from './attachments';
+
+export type ExportFormat = 'markdown' | 'json' | 'jsonl';
+
+export const EXPORT_FORMATS: { value: ExportFormat; label: string }[] = [
+  { value: 'markdown', label: 'Markdown' },
+  { value: 'json', label: 'JSON (can be imported)' },
+  { value: 'jsonl', label: 'OpenAI fine-tuning JSONL' }
+];
+
+const EXPORT_VERSION = 1;
+const VALID_ROLES = ['user', 'assistant', 'system', 'tool'];
+
+interface ExportOptions {
+  // Display name of a model key
+  modelName: (modelKey: string) => string;
+  // Definitions of the tools the conversations may call, for fine-tuning
+  tools?: ToolDefinition[];
+}
+
+export interface ExportResult {
+  content: string;
+  filename: string;
+  mimeType: string;
+  // Conversations left out because they cannot be used in this format
+  skipped: number;
+}
+
+// Same prompt the conversation sends, variables filled in
+const systemPromptOf = (conversation: Conversation, modelName: ExportOptions['modelName']) =>
+  renderPrompt(
+    conversation.systemPrompt ?? DEFAULT_SYSTEM_PROMPT,
+    conversation.promptVariables || {},
+    conversation.modelKey ? modelName(conversation.modelKey) : ''
+  );
+
+const messageToMarkdown = (message: ChatMessage): string => {
+  if (message.role === 'tool') {
+    return `**Tool (${message.name || message.tool_call_id})**\n\n\`\`\`\n${message.content}\n\`\`\``;
+  }
+
+  const heading = { user: 'You', assistant: 'Assistant', system: 'System' }[message.role];
+  const parts = [`**${heading}**`];
+  if (message.content) {
+    parts.push(message.content);
+  }
+  for (const attachment of message.attachments || []) {
+    parts.push(`_Attached ${attachment.kind === 'image' ? 'image' : 'file'}: ${attachment.name}_`);
+  }
+  for (const call of message.tool_calls || []) {
+    parts.push(`Called \`${call.function.name}(${call.function.arguments})\``);
+  }
+  for (const citation of message.citations || []) {
+    parts.push(`> [${citation.number}] ${citation.documentName}: ${citation.text.replace(/\s+/g, ' ')}`);
+  }
+  if (message.truncated) {
+    parts.push('_Response stopped before completion_');
+  }
+  return parts.join('\n\n');
+};
+
+const conversationToMarkdown = (conversation: Conversation, options: ExportOptions): string => {
+  const details = [`Created: ${new Date(conversation.createdAt).toLocaleString()}`];
+  if (conversation.modelKey) {
+    details.push(`Model: ${options.modelName(conversation.modelKey)}`);
+  }
+  const systemPrompt = systemPromptOf(conversation, options.modelName);
+  if (systemPrompt.trim()) {
+    details.push(`System prompt: ${systemPrompt}`);
+  }
+
+  return [
+    `# ${conversation.title}`,
+    details.map(line => `- ${line}`).join('\n'),
+    ...conversation.messages.map(messageToMarkdown)
+  ].join('\n\n');
+};
+
+/**
+ * One fine-tuning example per conversation, in the OpenAI chat format.
+ * Returns null for conversations that cannot be used for training: without
+ * an answer, or with an answer that was cut off.
+ */
+const conversationToExample = (conversation: Conversation, options: ExportOptions) => {
+  const messages = conversation.messages;
+  if (!messages.some(message => message.role === 'assistant') || messages.some(message => message.truncated)) {
+    return null;
+  }
+
+  const systemPrompt = systemPromptOf(conversation, options.modelName);
+  const example: { messages: Record<string, unknown>[]; tools?: ToolDefinition[] } = {
+    messages: [
+      ...(systemPrompt.trim() ? [{ role: 'system', content: systemPrompt }] : []),
+      // Only the fields of the chat format; citations and flags stay behind
+      ...messages.map(message => ({
+        role: message.role,
+        content: toMessageContent(message),
+        ...(message.tool_calls ? { tool_calls: message.tool_calls } : {}),
+        ...(message.tool_call_id ? { tool_call_id: message.tool_call_id } : {})
+      }))
+    ]
+  };
+
+  const called = new Set(messages.flatMap(message =>
+    (message.tool_calls || []).map(call => call.function.name)));
+  const tools = (options.tools || []).filter(tool => called.has(tool.function.name));
+  if (tools.length > 0) {
+    example.tools = tools;
+  }
+  return example;
+};
+
+// File name from the conversation title, or a dated name for several
+const baseFilename = (conversations: Conversation[]) => {
+  if (conversations.length === 1) {
+    const slug = conversations[0].title.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+    return slug || 'conversation';
+  }
+  return `conversations-${new Date().toISOString().slice(0, 10)}`;
+};
+
+/** Serialize conversations in one of the export formats */
+export const exportConversations = (
+  conversations: Conversation[],
+  format: ExportFormat,
+  options: ExportOptions
+): ExportResult => {
+  const name = baseFilename(conversations);
+
+  if (format === 'markdown') {
+    return {
+      content: conversations.map(conversation => conversationToMarkdown(conversation, options)).join('\n\n---\n\n') + '\n',
+      filename: `${name}.md`,
+      mimeType: 'text/markdown',
+      skipped: 0
+    };
+  }
+
+  if (format === 'json') {
+    const file = { version: EXPORT_VERSION, exportedAt: Date.now(), conversations };
+    return {
+      content: JSON.stringify(file, null, 2),
+      filename: `${name}.json`,
+      mimeType: 'application/json',
+      skipped: 0
+    };
+  }
+
+  const examples = conversations
+    .map(conversation => conversationToExample(conversation, options))
+    .filter(example => example !== null);
+  return {
+    content: examples.map(example => JSON.stringify(example)).join('\n') + (examples.length > 0 ? '\n' : ''),
+    filename: `${name}.jsonl`,
+    mimeType: 'application/jsonl',
+    skipped: conversations.length - examples.length
+  };
+};
+
+/** Let the browser save a generated file */
+export const downloadFile = ({ content, filename, mimeType }: Pick<ExportResult, 'content' | 'filename' | 'mimeType'>) => {
+  const url = URL.createObjectURL(new Blob([content], { type: mimeType }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  link.click();
+  // Revoke later, some browsers start the download asynchronously
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+};
+
+// Same rules the server applies when a conversation is saved
+const validateMessage = (message: any): string | null => {
+  if (!message || typeof message !== 'object') {
+    return 'a message is not an object';
+  }
+  if (!VALID_ROLES.includes(message.role)) {
+    return `a message has an invalid role "${message.role}"`;
+  }
+  if (message.role === 'tool' && typeof message.tool_call_id !== 'string') {
+    return 'a tool message has no tool_call_id';
+  }
+  const toolCallOnly = message.role === 'assistant' && Array.isArray(message.tool_calls) && message.content === null;
+  if (typeof message.content !== 'string' && !toolCallOnly) {
+    return 'a message has no text content';
+  }
+  return null;
+};
+
+const validateConversation = (conversation: any): string | null => {
+  if (!conversation || typeof conversation !== 'object') {
+    return 'not an object';
+  }
+  if (typeof conversation.id !== 'string' || !conversation.id) {
+    return 'missing id';
+  }
+  if (typeof conversation.title !== 'string') {
+    return 'missing title';
+  }
+  if (!Array.isArray(conversation.messages)) {
+    return 'messages is not an array';
+  }
+  if (conversation.branches !== undefined && !Array.isArray(conversation.branches)) {
+    return 'branches is not an array';
+  }
+  for (const message of [...conversation.messages, ...(conversation.branches || [])]) {
+    const error = validateMessage(message);
+    if (error) return error;
+  }
+  return null;
+};
+
+export interface ImportResult {
+  conversations: Conversation[];
+  // One entry per conversation that was rejected
+  errors: string[];
+}
+
+/**
+ * Read conversations from a JSON export. Also accepts a bare array of
+ * conversations or a single conversation. Invalid conversations are reported
+ * and left out; within the file, the latest version of each ID wins.
+ */
+export const parseImportFile = (text: string): ImportResult => {
+  let data: any;
+  try {
+    data = JSON.parse(text);
+  } catch {
+    return { conversations: [], errors: ['The file is not valid JSON. Only JSON exports can be imported.'] };
+  }
+
+  const candidates: unknown[] = Array.isArray(data)
+    ? data
+    : Array.isArray(data?.conversations) ? data.conversations : [data];
+
+  const byId = new Map<string, Conversation>();
+  const errors: string[] = [];
+
+  candidates.forEach((candidate: any, index) => {
+    const error = validateConversation(candidate);
+    if (error) {
+      const label = typeof candidate?.title === 'string' ? `"${candidate.title}"` : `#${index + 1}`;
+      errors.push(`Conversation ${label}: ${error}`);
+      return;
+    }
+
+    // The owner is set by the server for whoever imports the file
+    const { owner: _owner, ...fields } = candidate;
+    const now = Date.now();
+    const conversation: Conversation = {
+      ...fields,
+      createdAt: Number(candidate.createdAt) || now,
+      lastUpdatedAt: Number(candidate.lastUpdatedAt) || now
+    };
+
+    const seen = byId.get(conversation.id);
+    if (!seen || conversation.lastUpdatedAt > seen.lastUpdatedAt) {
+      byId.set(conversation.id, conversation);
+    }
+  });
+
+  return { conversations: [...byId.values()], errors };
+};
+
+export interface MergeResult {
+  conversations: Conversation[];
+  added: number;
+  updated: number;
+  // Already present in the same or a newer version
+  unchanged: number;
+}
+
+/**
+ * Merge imported conversations into the existing ones by ID. An existing
+ * conversation is replaced only by a more recently updated version.
+ */
+export const mergeConversations = (existing: Conversation[], imported: Conversation[]): MergeResult => {
+  const merged = [...existing];
+  let added = 0;
+  let updated = 0;
+
+  for (const conversation of imported) {
+    const index = merged.findIndex(conv => conv.id === conversation.id);
+    if (index === -1) {
+      merged.push(conversation);
+      added++;
+    } else if (conversation.lastUpdatedAt > merged[index].lastUpdatedAt) {
+      merged[index] = conversation;
+      updated++;
+    }
+  }
+
+  merged.sort((a, b) => b.lastUpdatedAt - a.lastUpdatedAt);
+  return { conversations: merged, added, updated, unchanged: imported.length - added - updated };
+};
@@ -1,15 +1,140 @@
 // types.ts
+export interface ToolCall {
+  id: string;
+  type: 'function';
+  function: {
+    name: string;
+    // JSON-encoded arguments, as produced by the model
+    arguments: string;
+  };
+}
+
 export interface ChatMessage {
-  role: 'user' | 'assistant' | 'system';
+  // Position in the conversation's message tree (see branches.ts)
+  id?: string;
+  parentId?: string | null;
+  createdAt?: number;
+  role: 'user' | 'assistant' | 'system' | 'tool';
   content: string;
+  // Model that wrote an assistant message
+  model?: string;
+  // Set when generation was stopped or failed before the answer completed
+  truncated?: boolean;
+  // Tool calls requested by an assistant message
+  tool_calls?: ToolCall[];
+  // Call answered by a tool message
+  tool_call_id?: string;
+  name?: string;
+  // Document passages cited by an assistant answer
+  citations?: Citation[];
+  // Images and text files sent with a user message
+  attachments?: Attachment[];
+  // Schema check of an answer given in structured output mode
+  structured?: StructuredResult;
+}
+
+export interface StructuredResult {
+  valid: boolean;
+  // Validation errors of the last answer, e.g. "/total must be number"
+  errors: string[];
+  // Answers requested, retries with the validation errors included
+  attempts: number;
+  // The model enforced the schema itself rather than being asked to follow it
+  native: boolean;
+}
+
+export interface OutputSchema {
+  name: string;
+  // JSON Schema the answers must match
+  schema: Record<string, unknown>;
+  // Corrected answers to ask for when an answer does not match
+  retries: number;
+}
+
+export interface Attachment {
+  id: string;
+  kind: 'image' | 'text';
+  name: string;
+  mimeType: string;
+  // Size of the attached file in bytes
+  size: number;
+  // Images: data URL sent to the model, also used as the preview
+  dataUrl?: string;
+  // Text files: contents inlined in the message
+  text?: string;
+}
+
+// Message content in the chat completions format
+export type MessageContent =
+  | string
+  | ({ type: 'text'; text: string } | { type: 'image_url'; image_url: { url: string } })[];
+
+export interface DocumentInfo {
+  id: string;
+  conversationId: string;
+  name: string;
+  characters: number;
+  chunkCount: number;
+  embeddingModel: string;
+  createdAt: number;
+}
+
+export interface Passage {
+  documentId: string;
+  documentName: string;
+  chunkIndex: number;
+  text: string;
+  score: number;
+}
+
+export interface Citation {
+  // Passage number used in the answer, e.g. 1 for [1]
+  number: number;
+  documentName: string;
+  text: string;
 }
 
 export interface Conversation {
   id: string;
   title: string;
+  // Active branch of the message tree, oldest first
   messages: ChatMessage[];
+  // The other messages of the tree: edited questions and regenerated answers
+  branches?: ChatMessage[];
   createdAt: number;
   lastUpdatedAt: number;
+  modelKey?: string;
+  // Offer the built-in tools to the model in this conversation
+  toolsEnabled?: boolean;
+  // Persona: preset it came from, system prompt and template variable values
+  presetId?: string;
+  systemPrompt?: string;
+  promptVariables?: Record<string, string>;
+  // Prompt budget in tokens, below the model's context window
+  contextBudget?: number;
+  // Running summary of the turns that no longer fit in the context window
+  summary?: ConversationSummary;
+  // Structured output mode: answers are JSON matching this schema
+  outputSchema?: OutputSchema;
+}
+
+export interface ConversationSummary {
+  content: string;
+  // Number of leading messages the summary covers
+  upTo: number;
+}
+
+export interface PromptPreset {
+  id: string;
+  name: string;
+  description: string;
+  // May contain {{variables}}
+  systemPrompt: string;
+  // Default values of the template variables
+  variables: Record<string, string>;
+  builtIn?: boolean;
+  editable?: boolean;
+  createdBy?: string;
 }
 
 export interface StreamChunk {
@@ -21,8 +146,27 @@ export interface StreamChunk {
     delta: {
       content?: string;
       role?: string;
+      tool_calls?: {
+        index: number;
+        id?: string;
+        type?: 'function';
+        function?: {
+          name?: string;
+          arguments?: string;
+        };
+      }[];
     };
     index: number;
     finish_reason: null | string;
   }[];
+  // Sent by some providers, usually in the last chunk
+  usage?: TokenUsage | null;
+  // Sent by the proxy in the last chunk of a structured output answer
+  structured_output?: StructuredResult;
+}
+
+export interface TokenUsage {
+  prompt_tokens: number;
+  completion_tokens: number;
+  total_tokens: number;
 }
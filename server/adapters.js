@@ -0,0 +1,594 @@
+// adapters.js
+const axios = require('axios');
+const crypto = require('crypto');
+const { Transform, pipeline } = require('stream');
+const { UPSTREAM_TIMEOUT_MS, withRetries } = require('./resilience');
+const { agentsFor } = require('./agents');
+const { currentRequestId } = require('./logger');
+
+// Provider adapters let the proxy talk to upstreams that do not speak the
+// OpenAI API. An adapter client looks like the axios instance used for
+// OpenAI-compatible services: requests to the chat, embeddings and models
+// endpoints of a service take and return OpenAI-shaped bodies, and streamed
+// answers come back as OpenAI SSE chunks. Anything else goes through as-is.
+
+const ANTHROPIC_VERSION = '2023-06-01';
+const DEFAULT_AZURE_API_VERSION = '2024-10-21';
+// Anthropic requires max_tokens
+const DEFAULT_ANTHROPIC_MAX_TOKENS = 1024;
+
+/**
+ * Create an axios instance with appropriate configuration
+ * @param {string} apiKey - OpenAI API Key
+ * @param {Object} [headers] - Extra headers the service needs
+ * @returns {Object} Configured axios instance
+ */
+function createAxiosInstance(apiKey, headers = {}) {
+  return createHttpClient({ ...headers, 'Authorization': `Bearer ${apiKey}` }, undefined, agentsFor('default'));
+}
+
+/**
+ * Create an axios instance sending the given headers
+ * @param {Object} headers - Request headers, including authentication
+ * @param {Object} [params] - Query parameters added to every request
+ * @param {Object} agents - Connection pool of the service, from agentsFor
+ * @returns {Object} Axios instance
+ */
+function createHttpClient(headers, params, agents) {
+  const http = axios.create({
+    headers: {
+      ...headers,
+      'Content-Type': 'application/json'
+    },
+    params,
+    // Time allowed without data before the response arrives
+    timeout: UPSTREAM_TIMEOUT_MS,
+    httpAgent: agents.httpAgent,
+    httpsAgent: agents.httpsAgent
+  });
+
+  // Let the upstream's logs be matched with ours
+  http.interceptors.request.use((request) => {
+    const requestId = currentRequestId();
+    if (requestId) {
+      request.headers['X-Request-ID'] = requestId;
+    }
+    return request;
+  });
+  return http;
+}
+
+const completionId = () => `chatcmpl-${crypto.randomUUID()}`;
+
+const parseArguments = (text) => {
+  try {
+    return JSON.parse(text || '{}');
+  } catch {
+    return {};
+  }
+};
+
+// Text of an OpenAI message content: a string, or the text of its parts
+const textOf = (content) => (Array.isArray(content)
+  ? content.filter(part => part.type === 'text').map(part => part.text).join('\n\n')
+  : content || '');
+
+// image_url parts of a message content
+const imagesOf = (content) => (Array.isArray(content)
+  ? content.filter(part => part.type === 'image_url').map(part => part.image_url.url)
+  : []);
+
+// Media type and base64 data of a data URL, null for other URLs
+const parseDataUrl = (url) => {
+  const match = /^data:([^;,]+);base64,(.*)$/s.exec(url);
+  return match ? { mediaType: match[1], data: match[2] } : null;
+};
+
+/**
+ * Build an OpenAI streaming chunk
+ * @param {Object} state - Stream state with id and model
+ * @param {Object} delta - Choice delta
+ * @param {string|null} [finishReason]
+ * @returns {Object}
+ */
+function streamChunk(state, delta, finishReason = null) {
+  return {
+    id: state.id,
+    object: 'chat.completion.chunk',
+    created: state.created,
+    model: state.model,
+    choices: [{ index: 0, delta, finish_reason: finishReason }]
+  };
+}
+
+/**
+ * Transform stream turning a line-based native stream (NDJSON or SSE) into
+ * OpenAI SSE chunks
+ * @param {Function} onLine - Called with each line and the stream state,
+ *   returns the OpenAI chunks to send
+ * @param {string} model - Model name reported in the chunks
+ * @returns {Transform}
+ */
+function createStreamTranslator(onLine, model) {
+  const state = { id: completionId(), created: Math.floor(Date.now() / 1000), model };
+  let buffer = '';
+
+  const translate = (transform, line) => {
+    for (const chunk of onLine(line.trim(), state)) {
+      transform.push(`data: ${JSON.stringify(chunk)}\n\n`);
+    }
+  };
+
+  return new Transform({
+    transform(data, encoding, callback) {
+      buffer += data.toString('utf8');
+      const lines = buffer.split('\n');
+      buffer = lines.pop() || '';
+      try {
+        lines.forEach(line => translate(this, line));
+        callback();
+      } catch (error) {
+        callback(error);
+      }
+    },
+    flush(callback) {
+      try {
+        translate(this, buffer);
+        callback();
+      } catch (error) {
+        callback(error);
+      }
+    }
+  });
+}
+
+// Ollama's native API (/api/chat, /api/embed, /api/tags)
+const ollama = {
+  paths: { chat: '/api/chat', embeddings: '/api/embed', models: '/api/tags' },
+  requiresApiKey: false,
+
+  authHeaders: (apiKey) => (apiKey ? { 'Authorization': `Bearer ${apiKey}` } : {}),
+
+  chatRequest(body) {
+    const options = {};
+    const optionNames = {
+      temperature: 'temperature',
+      top_p: 'top_p',
+      seed: 'seed',
+      stop: 'stop',
+      max_tokens: 'num_predict',
+      presence_penalty: 'presence_penalty',
+      frequency_penalty: 'frequency_penalty'
+    };
+    for (const [name, option] of Object.entries(optionNames)) {
+      if (body[name] !== undefined) {
+        options[option] = body[name];
+      }
+    }
+    if (typeof options.stop === 'string') {
+      options.stop = [options.stop];
+    }
+
+    const request = {
+      model: body.model,
+      stream: !!body.stream,
+      options,
+      messages: body.messages.map(message => {
+        const converted = { role: message.role, content: textOf(message.content) };
+        // Ollama takes base64 images only, it cannot fetch URLs
+        const images = imagesOf(message.content).map(parseDataUrl).filter(Boolean);
+        if (images.length > 0) {
+          converted.images = images.map(image => image.data);
+        }
+        if (message.tool_calls) {
+          converted.tool_calls = message.tool_calls.map(call => ({
+            function: { name: call.function.name, arguments: parseArguments(call.function.arguments) }
+          }));
+        }
+        if (message.role === 'tool' && message.name) {
+          converted.tool_name = message.name;
+        }
+        return converted;
+      })
+    };
+    if (body.tools) {
+      request.tools = body.tools;
+    }
+    const format = body.response_format;
+    if (format && format.type === 'json_object') {
+      request.format = 'json';
+    } else if (format && format.type === 'json_schema' && format.json_schema) {
+      request.format = format.json_schema.schema;
+    }
+    return request;
+  },
+
+  chatResponse(data, model) {
+    const message = data.message || {};
+    const toolCalls = (message.tool_calls || []).map(call => ({
+      id: `call_${crypto.randomUUID()}`,
+      type: 'function',
+      function: { name: call.function.name, arguments: JSON.stringify(call.function.arguments || {}) }
+    }));
+    return {
+      id: completionId(),
+      object: 'chat.completion',
+      created: Math.floor(Date.now() / 1000),
+      model: data.model || model,
+      choices: [{
+        index: 0,
+        message: {
+          role: 'assistant',
+          content: toolCalls.length > 0 && !message.content ? null : message.content || '',
+          ...(toolCalls.length > 0 ? { tool_calls: toolCalls } : {})
+        },
+        finish_reason: toolCalls.length > 0 ? 'tool_calls' : ollamaFinishReason(data.done_reason)
+      }],
+      usage: ollamaUsage(data)
+    };
+  },
+
+  // One JSON object per line; the last one has done: true and the token counts
+  chatStream(line, state) {
+    if (!line) return [];
+    const data = JSON.parse(line);
+    if (data.error) {
+      return [{ error: { message: String(data.error) } }];
+    }
+
+    const chunks = [];
+    const message = data.message || {};
+    if (message.content) {
+      chunks.push(streamChunk(state, { content: message.content }));
+    }
+    for (const call of message.tool_calls || []) {
+      state.toolCalls = (state.toolCalls || 0) + 1;
+      chunks.push(streamChunk(state, {
+        tool_calls: [{
+          index: state.toolCalls - 1,
+          id: `call_${crypto.randomUUID()}`,
+          type: 'function',
+          function: { name: call.function.name, arguments: JSON.stringify(call.function.arguments || {}) }
+        }]
+      }));
+    }
+    if (data.done) {
+      const finishReason = state.toolCalls ? 'tool_calls' : ollamaFinishReason(data.done_reason);
+      chunks.push({ ...streamChunk(state, {}, finishReason), usage: ollamaUsage(data) });
+    }
+    return chunks;
+  },
+
+  embeddingsRequest: (body) => ({ model: body.model, input: body.input }),
+
+  embeddingsResponse: (data, model) => ({
+    object: 'list',
+    data: (data.embeddings || []).map((embedding, index) => ({ object: 'embedding', index, embedding })),
+    model: data.model || model,
+    usage: { prompt_tokens: data.prompt_eval_count || 0, total_tokens: data.prompt_eval_count || 0 }
+  }),
+
+  modelsResponse: (data) => ({
+    object: 'list',
+    data: (data.models || []).map(model => ({ id: model.name, object: 'model', owned_by: 'ollama' }))
+  })
+};
+
+function ollamaFinishReason(doneReason) {
+  return doneReason === 'length' ? 'length' : 'stop';
+}
+
+function ollamaUsage(data) {
+  const promptTokens = data.prompt_eval_count || 0;
+  const completionTokens = data.eval_count || 0;
+  return { prompt_tokens: promptTokens, completion_tokens: completionTokens, total_tokens: promptTokens + completionTokens };
+}
+
+// Anthropic Messages API (/v1/messages)
+const anthropic = {
+  paths: { chat: '/v1/messages', embeddings: null, models: '/v1/models' },
+  requiresApiKey: true,
+
+  authHeaders: (apiKey) => ({ 'x-api-key': apiKey, 'anthropic-version': ANTHROPIC_VERSION }),
+
+  chatRequest(body) {
+    const system = body.messages
+      .filter(message => message.role === 'system')
+      .map(message => textOf(message.content))
+      .join('\n\n');
+
+    // Anthropic wants alternating turns; tool results are user turns
+    const messages = [];
+    for (const message of body.messages) {
+      if (message.role === 'system') continue;
+
+      let role = message.role;
+      let content;
+      if (message.role === 'tool') {
+        role = 'user';
+        content = [{ type: 'tool_result', tool_use_id: message.tool_call_id, content: textOf(message.content) }];
+      } else if (message.role === 'assistant' && message.tool_calls) {
+        content = [
+          ...(message.content ? [{ type: 'text', text: message.content }] : []),
+          ...message.tool_calls.map(call => ({
+            type: 'tool_use',
+            id: call.id,
+            name: call.function.name,
+            input: parseArguments(call.function.arguments)
+          }))
+        ];
+      } else if (Array.isArray(message.content)) {
+        content = message.content.map(part => {
+          if (part.type !== 'image_url') {
+            return { type: 'text', text: part.text };
+          }
+          const image = parseDataUrl(part.image_url.url);
+          return {
+            type: 'image',
+            source: image
+              ? { type: 'base64', media_type: image.mediaType, data: image.data }
+              : { type: 'url', url: part.image_url.url }
+          };
+        });
+      } else {
+        content = [{ type: 'text', text: message.content || '' }];
+      }
+
+      const previous = messages[messages.length - 1];
+      if (previous && previous.role === role) {
+        previous.content.push(...content);
+      } else {
+        messages.push({ role, content });
+      }
+    }
+
+    const request = {
+      model: body.model,
+      max_tokens: body.max_tokens || DEFAULT_ANTHROPIC_MAX_TOKENS,
+      messages,
+      stream: !!body.stream
+    };
+    if (system) request.system = system;
+    if (body.temperature !== undefined) request.temperature = Math.min(body.temperature, 1);
+    if (body.top_p !== undefined) request.top_p = body.top_p;
+    if (body.stop !== undefined) request.stop_sequences = [].concat(body.stop);
+    if (body.user) request.metadata = { user_id: body.user };
+    if (body.tools) {
+      request.tools = body.tools.map(tool => ({
+        name: tool.function.name,
+        description: tool.function.description || '',
+        input_schema: tool.function.parameters || { type: 'object', properties: {} }
+      }));
+      const choice = body.tool_choice;
+      if (choice === 'required') request.tool_choice = { type: 'any' };
+      else if (choice === 'none') request.tool_choice = { type: 'none' };
+      else if (choice && choice.function) request.tool_choice = { type: 'tool', name: choice.function.name };
+    }
+    return request;
+  },
+
+  chatResponse(data, model) {
+    const blocks = data.content || [];
+    const text = blocks.filter(block => block.type === 'text').map(block => block.text).join('');
+    const toolCalls = blocks.filter(block => block.type === 'tool_use').map(block => ({
+      id: block.id,
+      type: 'function',
+      function: { name: block.name, arguments: JSON.stringify(block.input || {}) }
+    }));
+    const usage = data.usage || {};
+    return {
+      id: data.id || completionId(),
+      object: 'chat.completion',
+      created: Math.floor(Date.now() / 1000),
+      model: data.model || model,
+      choices: [{
+        index: 0,
+        message: {
+          role: 'assistant',
+          content: toolCalls.length > 0 && !text ? null : text,
+          ...(toolCalls.length > 0 ? { tool_calls: toolCalls } : {})
+        },
+        finish_reason: anthropicFinishReason(data.stop_reason)
+      }],
+      usage: {
+        prompt_tokens: usage.input_tokens || 0,
+        completion_tokens: usage.output_tokens || 0,
+        total_tokens: (usage.input_tokens || 0) + (usage.output_tokens || 0)
+      }
+    };
+  },
+
+  // Server-sent events; the event type is repeated in the data
+  chatStream(line, state) {
+    if (!line.startsWith('data:')) return [];
+    const event = JSON.parse(line.substring(5).trim());
+
+    switch (event.type) {
+      case 'message_start':
+        state.inputTokens = (event.message && event.message.usage && event.message.usage.input_tokens) || 0;
+        return [streamChunk(state, { role: 'assistant', content: '' })];
+      case 'content_block_start': {
+        const block = event.content_block || {};
+        if (block.type !== 'tool_use') return [];
+        // Tool calls are numbered in order, whatever their block index
+        state.toolIndexes = state.toolIndexes || {};
+        state.toolIndexes[event.index] = Object.keys(state.toolIndexes).length;
+        return [streamChunk(state, {
+          tool_calls: [{
+            index: state.toolIndexes[event.index],
+            id: block.id,
+            type: 'function',
+            function: { name: block.name, arguments: '' }
+          }]
+        })];
+      }
+      case 'content_block_delta': {
+        const delta = event.delta || {};
+        if (delta.type === 'text_delta') {
+          return [streamChunk(state, { content: delta.text })];
+        }
+        if (delta.type === 'input_json_delta') {
+          return [streamChunk(state, {
+            tool_calls: [{ index: state.toolIndexes[event.index], function: { arguments: delta.partial_json } }]
+          })];
+        }
+        return [];
+      }
+      case 'message_delta': {
+        const outputTokens = (event.usage && event.usage.output_tokens) || 0;
+        return [{
+          ...streamChunk(state, {}, anthropicFinishReason(event.delta && event.delta.stop_reason)),
+          usage: {
+            prompt_tokens: state.inputTokens || 0,
+            completion_tokens: outputTokens,
+            total_tokens: (state.inputTokens || 0) + outputTokens
+          }
+        }];
+      }
+      case 'error':
+        return [{ error: { message: (event.error && event.error.message) || 'Upstream stream error' } }];
+      default:
+        return [];
+    }
+  },
+
+  modelsResponse: (data) => ({
+    object: 'list',
+    data: (data.data || []).map(model => ({
+      id: model.id,
+      object: 'model',
+      owned_by: 'anthropic',
+      display_name: model.display_name
+    }))
+  })
+};
+
+function anthropicFinishReason(stopReason) {
+  if (stopReason === 'max_tokens') return 'length';
+  if (stopReason === 'tool_use') return 'tool_calls';
+  return 'stop';
+}
+
+// Azure OpenAI: OpenAI bodies, one URL per deployment and an api-key header.
+// Model names are deployment names.
+const azure = {
+  paths: {
+    chat: '/openai/deployments/{model}/chat/completions',
+    embeddings: '/openai/deployments/{model}/embeddings',
+    models: '/openai/models'
+  },
+  requiresApiKey: true,
+
+  authHeaders: (apiKey) => ({ 'api-key': apiKey }),
+  params: (config) => ({ 'api-version': config.apiVersion || DEFAULT_AZURE_API_VERSION })
+};
+
+// OpenAI-compatible upstreams need no translation
+const openai = {
+  paths: null,
+  requiresApiKey: true,
+  authHeaders: (apiKey) => ({ 'Authorization': `Bearer ${apiKey}` })
+};
+
+const ADAPTERS = { openai, azure, ollama, anthropic };
+
+/**
+ * Names of the available adapters
+ * @returns {Array<string>}
+ */
+function adapterNames() {
+  return Object.keys(ADAPTERS);
+}
+
+/**
+ * Adapter of a service configuration (openai when none is set)
+ * @param {Object} config - Service configuration from getOpenAIConfig
+ * @returns {Object}
+ */
+function adapterOf(config) {
+  return ADAPTERS[config.adapter] || openai;
+}
+
+/**
+ * Create the HTTP client for a service. Its get and post methods work like
+ * axios, but the chat, embeddings and models endpoints take and return
+ * OpenAI-shaped bodies whatever the native API of the service. Transient
+ * failures are retried (see withRetries).
+ * @param {Object} config - Service configuration from getOpenAIConfig
+ * @returns {Object} Axios-like client
+ */
+function createUpstreamClient(config) {
+  const adapter = adapterOf(config);
+  const http = withRetries(createHttpClient(
+    { ...config.headers, ...adapter.authHeaders(config.apiKey) },
+    adapter.params ? adapter.params(config) : undefined,
+    agentsFor(config.serviceId || 'default', { verify: config.tlsVerify })
+  ));
+  if (adapter === openai) {
+    return http;
+  }
+
+  // Per-deployment URLs name the model
+  const urlFor = (url, body) => url.replace('{model}', encodeURIComponent((body && body.model) || ''));
+
+  return {
+    async get(url, options) {
+      const response = await http.get(urlFor(url), options);
+      if (url === config.modelsEndpoint && adapter.modelsResponse) {
+        return { ...response, data: adapter.modelsResponse(response.data) };
+      }
+      return response;
+    },
+
+    async post(url, body, options = {}) {
+      if (url === config.chatEndpoint && adapter.chatRequest) {
+        const response = await http.post(urlFor(url, body), adapter.chatRequest(body), options);
+        if (options.responseType !== 'stream') {
+          return { ...response, data: adapter.chatResponse(response.data, body.model) };
+        }
+
+        const translated = createStreamTranslator(adapter.chatStream, body.model);
+        pipeline(response.data, translated, () => {});
+        return {
+          ...response,
+          headers: { ...response.headers, 'content-type': 'text/event-stream' },
+          data: translated
+        };
+      }
+
+      if (url === config.embeddingsEndpoint && adapter.embeddingsRequest) {
+        const response = await http.post(urlFor(url, body), adapter.embeddingsRequest(body), options);
+        return { ...response, data: adapter.embeddingsResponse(response.data, body.model) };
+      }
+
+      return http.post(urlFor(url, body), body, options);
+    }
+  };
+}
+
+/**
+ * Fetch the models a service serves from its models endpoint
+ * @param {Object} config - Service configuration, with modelsEndpoint
+ * @param {Object} [options] - Request options, such as timeout and signal
+ * @returns {Promise<Array<{ name: string, display_name: string, capabilities: Array }>>}
+ * @throws {Error} When the endpoint cannot be read
+ */
+async function fetchServiceModels(config, options) {
+  const response = await createUpstreamClient(config).get(config.modelsEndpoint, options);
+  const models = (response.data && response.data.data) || [];
+  return models
+    .filter(model => model && typeof model.id === 'string')
+    .map(model => ({
+      name: model.id,
+      display_name: model.display_name || model.id,
+      capabilities: []
+    }));
+}
+
+module.exports = {
+  adapterNames,
+  adapterOf,
+  createAxiosInstance,
+  createUpstreamClient,
+  fetchServiceModels
+};
@@ -0,0 +1,136 @@
+// agents.js
+const fs = require('fs');
+const path = require('path');
+const http = require('http');
+const https = require('https');
+const tls = require('tls');
+const { logger } = require('./logger');
+
+const PEM_CERTIFICATE = /-----BEGIN CERTIFICATE-----[\s\S]+?-----END CERTIFICATE-----/g;
+
+/**
+ * PEM certificates found in a text
+ * @param {string} text
+ * @returns {Array<string>}
+ */
+function certificatesIn(text) {
+  return text.match(PEM_CERTIFICATE) || [];
+}
+
+/**
+ * Read the CA certificates trusted on top of Node's built-in list:
+ * CA_CERTS_FILE (a PEM bundle), CA_CERTS (PEM text) and the certificates
+ * Cloud Foundry puts in CF_SYSTEM_CERT_PATH. Unreadable sources are logged
+ * and skipped, which leaves their servers untrusted.
+ * @returns {Array<string>} PEM certificates
+ */
+function loadExtraCertificates() {
+  const certificates = [];
+
+  const readFile = (file) => {
+    try {
+      const found = certificatesIn(fs.readFileSync(file, 'utf8'));
+      if (found.length === 0) {
+        logger.error('No PEM certificates found', { file });
+      }
+      certificates.push(...found);
+    } catch (error) {
+      logger.error('Error reading CA certificates', { file, error });
+    }
+  };
+
+  if (process.env.CA_CERTS_FILE) {
+    readFile(process.env.CA_CERTS_FILE);
+  }
+  if (process.env.CA_CERTS) {
+    // Env files often hold the PEM on one line with literal \n
+    certificates.push(...certificatesIn(process.env.CA_CERTS.replace(/\\n/g, '\n')));
+  }
+
+  const cfCertPath = process.env.CF_SYSTEM_CERT_PATH;
+  if (cfCertPath) {
+    try {
+      for (const file of fs.readdirSync(cfCertPath)) {
+        if (/\.(crt|pem)$/.test(file)) {
+          readFile(path.join(cfCertPath, file));
+        }
+      }
+    } catch (error) {
+      logger.error('Error reading Cloud Foundry certificates', { path: cfCertPath, error });
+    }
+  }
+
+  return certificates;
+}
+
+let trustedCertificates;
+
+/**
+ * CA list for verified connections, undefined when Node's defaults suffice.
+ * Node replaces its built-in CAs with an explicit `ca`, so they are added
+ * back.
+ * @returns {Array<string>|undefined}
+ */
+function trustedCAs() {
+  if (trustedCertificates === undefined) {
+    const extra = loadExtraCertificates();
+    if (extra.length > 0) {
+      logger.info('Trusting extra CA certificates', { count: extra.length });
+    }
+    trustedCertificates = extra.length > 0 ? [...tls.rootCertificates, ...extra] : null;
+  }
+  return trustedCertificates || undefined;
+}
+
+// Service ID -> { httpAgent, httpsAgent }
+const pools = new Map();
+
+/**
+ * Keep-alive agents for a service's requests, created on first use and
+ * shared by every request to the service
+ * @param {string} serviceId - Service the connections go to
+ * @param {Object} [options]
+ * @param {boolean} [options.verify] - Check the server's certificate (the default)
+ * @returns {{ httpAgent: http.Agent, httpsAgent: https.Agent }}
+ */
+function agentsFor(serviceId, options = {}) {
+  const verify = options.verify !== false;
+  const key = `${serviceId}:${verify ? 'verify' : 'insecure'}`;
+
+  if (!pools.has(key)) {
+    if (!verify) {
+      logger.warn(
+        'TLS CERTIFICATE VERIFICATION IS DISABLED: the API key and every request to this ' +
+        'service can be intercepted. Only use this against test servers, and trust their CA ' +
+        'with CA_CERTS_FILE instead.',
+        { service: serviceId }
+      );
+    }
+
+    pools.set(key, {
+      httpAgent: new http.Agent({ keepAlive: true }),
+      httpsAgent: new https.Agent({
+        keepAlive: true,
+        rejectUnauthorized: verify,
+        ca: verify ? trustedCAs() : undefined
+      })
+    });
+  }
+  return pools.get(key);
+}
+
+/**
+ * Whether TLS_INSECURE_SERVICES (comma-separated IDs or names) turns off
+ * certificate verification for a bound service
+ * @param {Array<string>} aliases - ID and names of the service
+ * @returns {boolean}
+ */
+function isInsecureService(aliases) {
+  const insecure = (process.env.TLS_INSECURE_SERVICES || '')
+    .split(',')
+    .map(name => name.trim())
+    .filter(Boolean);
+  return aliases.some(alias => insecure.includes(alias));
+}
+
+module.exports = { agentsFor, isInsecureService };
@@ -0,0 +1,378 @@
+// auth.js
+const crypto = require('crypto');
+const fs = require('fs');
+const axios = require('axios');
+const { logger } = require('./logger');
+
+// Identity used for every request when authentication is disabled
+const ANONYMOUS_USER = { id: 'anonymous', name: 'Anonymous', method: 'none' };
+
+// Allowed clock skew when checking exp/nbf claims, in seconds
+const CLOCK_SKEW_SECONDS = 60;
+
+// How long keys fetched from a JWKS URL are cached
+const JWKS_CACHE_TTL_MS = 10 * 60 * 1000;
+
+// Node crypto verification options for the supported JWS algorithms
+const JWT_ALGORITHMS = {
+  RS256: { hash: 'sha256' },
+  RS384: { hash: 'sha384' },
+  RS512: { hash: 'sha512' },
+  PS256: { hash: 'sha256', padding: crypto.constants.RSA_PKCS1_PSS_PADDING, saltLength: crypto.constants.RSA_PSS_SALTLEN_DIGEST },
+  PS384: { hash: 'sha384', padding: crypto.constants.RSA_PKCS1_PSS_PADDING, saltLength: crypto.constants.RSA_PSS_SALTLEN_DIGEST },
+  PS512: { hash: 'sha512', padding: crypto.constants.RSA_PKCS1_PSS_PADDING, saltLength: crypto.constants.RSA_PSS_SALTLEN_DIGEST },
+  ES256: { hash: 'sha256', dsaEncoding: 'ieee-p1363' },
+  ES384: { hash: 'sha384', dsaEncoding: 'ieee-p1363' },
+  ES512: { hash: 'sha512', dsaEncoding: 'ieee-p1363' }
+};
+
+/**
+ * Read the authentication configuration from environment variables
+ * @returns {Object} Authentication configuration
+ */
+function loadAuthConfig() {
+  const modes = (process.env.AUTH_MODE || 'none')
+    .split(',')
+    .map(mode => mode.trim().toLowerCase())
+    .filter(Boolean);
+
+  return {
+    modes,
+    tokens: parseStaticTokens(process.env.AUTH_TOKENS || ''),
+    jwt: {
+      jwksFile: process.env.AUTH_JWKS_FILE,
+      jwksUrl: process.env.AUTH_JWKS_URL,
+      issuer: process.env.AUTH_JWT_ISSUER,
+      audience: process.env.AUTH_JWT_AUDIENCE,
+      userClaim: process.env.AUTH_JWT_USER_CLAIM || 'sub'
+    }
+  };
+}
+
+/**
+ * Parse static tokens from a comma-separated list of `user:token` pairs.
+ * Entries without a user part are given a generated user ID.
+ * @param {string} value - Raw AUTH_TOKENS value
+ * @returns {Array<{ userId: string, digest: Buffer }>}
+ */
+function parseStaticTokens(value) {
+  return value
+    .split(',')
+    .map(entry => entry.trim())
+    .filter(Boolean)
+    .map((entry, index) => {
+      const separator = entry.indexOf(':');
+      const userId = separator > 0 ? entry.substring(0, separator) : `token-user-${index + 1}`;
+      const token = separator > 0 ? entry.substring(separator + 1) : entry;
+      return { userId, digest: sha256(token) };
+    });
+}
+
+/**
+ * SHA-256 digest, used to compare tokens in constant time
+ * @param {string} value - Value to hash
+ * @returns {Buffer}
+ */
+function sha256(value) {
+  return crypto.createHash('sha256').update(value).digest();
+}
+
+/**
+ * Extract the credential sent with a request, from `Authorization: Bearer`
+ * or the `X-API-Key` header
+ * @param {Object} req - Express request object
+ * @returns {string|null}
+ */
+function extractCredential(req) {
+  const header = req.headers.authorization || '';
+  const match = header.match(/^Bearer\s+(.+)$/i);
+  if (match) {
+    return match[1].trim();
+  }
+  return req.headers['x-api-key'] || null;
+}
+
+/**
+ * Look up a static token, comparing digests in constant time
+ * @param {string} credential - Token sent by the client
+ * @param {Array} tokens - Parsed static tokens
+ * @returns {Object|null} Authenticated user or null
+ */
+function verifyStaticToken(credential, tokens) {
+  const digest = sha256(credential);
+  const entry = tokens.find(t => crypto.timingSafeEqual(t.digest, digest));
+  return entry ? { id: entry.userId, name: entry.userId, method: 'token' } : null;
+}
+
+/**
+ * Create a key resolver for JWT verification. Keys come from a local JWKS
+ * file (handy for tests) or a JWKS URL, refreshed when an unknown `kid` shows up.
+ * @param {Object} jwtConfig - JWT section of the authentication configuration
+ * @returns {Function} async (header) => Array<KeyObject with alg/kid>
+ */
+function createKeyResolver(jwtConfig) {
+  let cachedKeys = null;
+  let fetchedAt = 0;
+
+  const toKeys = (jwks) => (jwks.keys || []).map(jwk => ({
+    kid: jwk.kid,
+    alg: jwk.alg,
+    key: crypto.createPublicKey({ key: jwk, format: 'jwk' })
+  }));
+
+  const loadKeys = async (force = false) => {
+    if (jwtConfig.jwksFile) {
+      if (!cachedKeys || force) {
+        cachedKeys = toKeys(JSON.parse(fs.readFileSync(jwtConfig.jwksFile, 'utf8')));
+      }
+      return cachedKeys;
+    }
+
+    if (jwtConfig.jwksUrl) {
+      const expired = Date.now() - fetchedAt > JWKS_CACHE_TTL_MS;
+      // Do not hammer the identity provider when tokens carry unknown key IDs
+      const canRefresh = Date.now() - fetchedAt > 60 * 1000;
+      if (!cachedKeys || expired || (force && canRefresh)) {
+        const response = await axios.get(jwtConfig.jwksUrl, { timeout: 10000 });
+        cachedKeys = toKeys(response.data);
+        fetchedAt = Date.now();
+      }
+      return cachedKeys;
+    }
+
+    throw new Error('JWT authentication requires AUTH_JWKS_FILE or AUTH_JWKS_URL');
+  };
+
+  return async (header) => {
+    const select = (keys) => keys.filter(k =>
+      (!header.kid || k.kid === header.kid) && (!k.alg || k.alg === header.alg)
+    );
+
+    let keys = select(await loadKeys());
+    if (keys.length === 0 && header.kid) {
+      keys = select(await loadKeys(true));
+    }
+    return keys;
+  };
+}
+
+/**
+ * Verify a JWT signature and its standard claims
+ * @param {string} token - Compact JWS
+ * @param {Function} resolveKeys - Key resolver from createKeyResolver
+ * @param {Object} jwtConfig - JWT section of the authentication configuration
+ * @returns {Promise<Object>} Verified claims
+ */
+async function verifyJwt(token, resolveKeys, jwtConfig) {
+  const parts = token.split('.');
+  if (parts.length !== 3) {
+    throw new Error('Malformed token');
+  }
+
+  const [encodedHeader, encodedPayload, encodedSignature] = parts;
+  let header;
+  let claims;
+  try {
+    header = JSON.parse(Buffer.from(encodedHeader, 'base64url').toString('utf8'));
+    claims = JSON.parse(Buffer.from(encodedPayload, 'base64url').toString('utf8'));
+  } catch {
+    throw new Error('Malformed token');
+  }
+
+  const algorithm = JWT_ALGORITHMS[header.alg];
+  if (!algorithm) {
+    throw new Error(`Unsupported token algorithm: ${header.alg}`);
+  }
+
+  const keys = await resolveKeys(header);
+  const signedData = Buffer.from(`${encodedHeader}.${encodedPayload}`);
+  const signature = Buffer.from(encodedSignature, 'base64url');
+  const { hash, ...verifyOptions } = algorithm;
+
+  const valid = keys.some(({ key }) => {
+    try {
+      return crypto.verify(hash, signedData, { key, ...verifyOptions }, signature);
+    } catch {
+      return false;
+    }
+  });
+  if (!valid) {
+    throw new Error('Invalid token signature');
+  }
+
+  const now = Math.floor(Date.now() / 1000);
+  if (typeof claims.exp === 'number' && now > claims.exp + CLOCK_SKEW_SECONDS) {
+    throw new Error('Token expired');
+  }
+  if (typeof claims.nbf === 'number' && now + CLOCK_SKEW_SECONDS < claims.nbf) {
+    throw new Error('Token not yet valid');
+  }
+  if (jwtConfig.issuer && claims.iss !== jwtConfig.issuer) {
+    throw new Error('Unexpected token issuer');
+  }
+  if (jwtConfig.audience) {
+    const audiences = Array.isArray(claims.aud) ? claims.aud : [claims.aud];
+    if (!audiences.includes(jwtConfig.audience)) {
+      throw new Error('Unexpected token audience');
+    }
+  }
+
+  return claims;
+}
+
+/**
+ * Create the authentication middleware. It attaches the authenticated
+ * identity to `req.user` or rejects the request with a 401.
+ * @param {Object} [config] - Authentication configuration (defaults to environment)
+ * @returns {Function} Express middleware
+ */
+function createAuthMiddleware(config = loadAuthConfig()) {
+  const { modes, tokens, jwt } = config;
+
+  if (modes.includes('none') || modes.length === 0) {
+    logger.warn('Authentication is disabled (AUTH_MODE=none), the proxy is open to anyone who can reach it');
+    return (req, res, next) => {
+      req.user = ANONYMOUS_USER;
+      next();
+    };
+  }
+
+  const useTokens = modes.includes('token');
+  const useJwt = modes.includes('jwt');
+  const resolveKeys = useJwt ? createKeyResolver(jwt) : null;
+
+  if (useTokens && tokens.length === 0) {
+    logger.warn('AUTH_MODE includes "token" but AUTH_TOKENS is empty');
+  }
+  logger.info('Authentication enabled', { modes });
+
+  const reject = (res, message) => {
+    res.setHeader('WWW-Authenticate', 'Bearer');
+    return res.status(401).json({
+      error: {
+        message,
+        type: 'authentication_error'
+      }
+    });
+  };
+
+  return async (req, res, next) => {
+    const credential = extractCredential(req);
+    if (!credential) {
+      return reject(res, 'Authentication required');
+    }
+
+    if (useTokens) {
+      const user = verifyStaticToken(credential, tokens);
+      if (user) {
+        req.user = user;
+        return next();
+      }
+    }
+
+    if (useJwt && credential.split('.').length === 3) {
+      try {
+        const claims = await verifyJwt(credential, resolveKeys, jwt);
+        const userId = claims[jwt.userClaim];
+        if (!userId) {
+          return reject(res, `Token has no ${jwt.userClaim} claim`);
+        }
+        req.user = {
+          id: String(userId),
+          name: claims.name || claims.preferred_username || claims.email || String(userId),
+          method: 'jwt',
+          claims
+        };
+        return next();
+      } catch (error) {
+        logger.warn('JWT verification failed', { error });
+        return reject(res, `Invalid token: ${error.message}`);
+      }
+    }
+
+    return reject(res, 'Invalid credentials');
+  };
+}
+
+/**
+ * Whether a user may use admin routes (all users' usage, catalog refresh...).
+ * Admins are listed in AUTH_ADMINS; when authentication is disabled everyone
+ * is trusted, as before.
+ * @param {Object} user - Authenticated user (req.user)
+ * @returns {boolean}
+ */
+function isAdmin(user) {
+  if (!user || user.method === 'none') {
+    return !!user;
+  }
+  const admins = (process.env.AUTH_ADMINS || '')
+    .split(',')
+    .map(id => id.trim())
+    .filter(Boolean);
+  return admins.includes(user.id);
+}
+
+/**
+ * Middleware rejecting non-admin users with a 403
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Next middleware
+ */
+function requireAdmin(req, res, next) {
+  if (isAdmin(req.user)) {
+    return next();
+  }
+  return res.status(403).json({
+    error: {
+      message: 'This operation requires admin privileges',
+      type: 'permission_error'
+    }
+  });
+}
+
+/**
+ * Build the CORS options from CORS_ORIGINS (comma-separated origins).
+ * Without it, any origin is allowed as before.
+ * @returns {Object} Options for the cors middleware
+ */
+function getCorsOptions() {
+  const origins = (process.env.CORS_ORIGINS || '*')
+    .split(',')
+    .map(origin => origin.trim())
+    .filter(Boolean);
+
+  // X-Served-Model names the model that answered a chat completion,
+  // X-Request-ID identifies the request in the server logs
+  if (origins.includes('*')) {
+    return { origin: '*', exposedHeaders: ['X-Served-Model', 'X-Request-ID'] };
+  }
+
+  return {
+    origin: origins,
+    credentials: true,
+    exposedHeaders: ['WWW-Authenticate', 'X-Served-Model', 'X-Request-ID']
+  };
+}
+
+/**
+ * Sets up the authentication routes on the Express app
+ * @param {object} app - Express app instance
+ */
+function setupAuthRoutes(app) {
+  // Returns the identity attached to the request by the auth middleware
+  app.get('/api/auth/me', (req, res) => {
+    const user = req.user || ANONYMOUS_USER;
+    res.json({ id: user.id, name: user.name, method: user.method, admin: isAdmin(user) });
+  });
+}
+
+module.exports = {
+  ANONYMOUS_USER,
+  createAuthMiddleware,
+  getCorsOptions,
+  isAdmin,
+  requireAdmin,
+  setupAuthRoutes,
+  verifyJwt,
+  createKeyResolver
+};
@@ -0,0 +1,229 @@
+// comparisons.js
+const crypto = require('crypto');
+const { isAdmin } = require('./auth');
+const { sendError } = require('./conversations');
+const { parseTime } = require('./usage');
+const { logger } = require('./logger');
+
+const COLLECTION = 'comparisons';
+
+const MIN_MODELS = 2;
+const MAX_MODELS = 4;
+const MAX_PROMPT_LENGTH = 100000;
+
+// Measurements kept for each answer, null when unknown
+const METRIC_FIELDS = ['latencyMs', 'ttftMs', 'promptTokens', 'completionTokens', 'cost'];
+
+/**
+ * Validate one model's answer in a comparison
+ * @param {Object} result - Answer sent by the client
+ * @returns {{ result?: Object, error?: string }}
+ */
+function validateResult(result) {
+  if (!result || typeof result !== 'object' || typeof result.model !== 'string' || !result.model) {
+    return { error: 'each result must have a model' };
+  }
+  if (typeof result.content !== 'string') {
+    return { error: `content of ${result.model} must be a string` };
+  }
+
+  const metrics = {};
+  for (const field of METRIC_FIELDS) {
+    const value = result[field];
+    if (value !== undefined && value !== null && !(typeof value === 'number' && value >= 0)) {
+      return { error: `${field} of ${result.model} must be a non-negative number or null` };
+    }
+    metrics[field] = value ?? null;
+  }
+
+  return {
+    result: {
+      model: result.model,
+      service: typeof result.service === 'string' ? result.service : null,
+      content: result.content,
+      error: typeof result.error === 'string' ? result.error : null,
+      estimated: !!result.estimated,
+      ...metrics
+    }
+  };
+}
+
+/**
+ * Validate a voted comparison sent by a client
+ * @param {Object} body - Request body
+ * @returns {{ comparison?: Object, error?: string }} Validated fields
+ */
+function validateComparison(body) {
+  const { prompt, systemPrompt = '', results, winner } = body || {};
+
+  if (typeof prompt !== 'string' || !prompt.trim() || prompt.length > MAX_PROMPT_LENGTH) {
+    return { error: `prompt must be a non-empty string of at most ${MAX_PROMPT_LENGTH} characters` };
+  }
+  if (typeof systemPrompt !== 'string') {
+    return { error: 'systemPrompt must be a string' };
+  }
+  if (!Array.isArray(results) || results.length < MIN_MODELS || results.length > MAX_MODELS) {
+    return { error: `results must hold the answers of ${MIN_MODELS} to ${MAX_MODELS} models` };
+  }
+
+  const validated = [];
+  for (const result of results) {
+    const { result: valid, error } = validateResult(result);
+    if (error) return { error };
+    validated.push(valid);
+  }
+
+  const models = validated.map(result => result.model);
+  if (new Set(models).size !== models.length) {
+    return { error: 'each model can only appear once in a comparison' };
+  }
+  if (!models.includes(winner)) {
+    return { error: 'winner must be one of the compared models' };
+  }
+
+  return {
+    comparison: { prompt, systemPrompt, results: validated, winner }
+  };
+}
+
+/**
+ * Wins and average measurements per model
+ * @param {Array<Object>} comparisons - Stored comparisons
+ * @returns {Array<Object>} One row per model, most wins first
+ */
+function summarize(comparisons) {
+  const models = new Map();
+
+  for (const comparison of comparisons) {
+    for (const result of comparison.results) {
+      if (!models.has(result.model)) {
+        models.set(result.model, { model: result.model, comparisons: 0, wins: 0, latencyMsTotal: 0, latencyCount: 0 });
+      }
+      const row = models.get(result.model);
+      row.comparisons += 1;
+      row.wins += comparison.winner === result.model ? 1 : 0;
+      if (result.latencyMs !== null) {
+        row.latencyMsTotal += result.latencyMs;
+        row.latencyCount += 1;
+      }
+    }
+  }
+
+  return [...models.values()]
+    .map(({ latencyMsTotal, latencyCount, ...row }) => ({
+      ...row,
+      winRate: Number((row.wins / row.comparisons).toFixed(3)),
+      avgLatencyMs: latencyCount > 0 ? Math.round(latencyMsTotal / latencyCount) : null
+    }))
+    .sort((a, b) => b.wins - a.wins || b.winRate - a.winRate);
+}
+
+/**
+ * Comparisons visible to the requesting user in the requested time range.
+ * Admins see everyone's and may filter by `user`; others only see their own.
+ * @param {object} store - Store implementing the storage interface
+ * @param {Object} req - Express request
+ * @returns {Promise<{ comparisons?: Array<Object>, error?: string }>}
+ */
+async function queryComparisons(store, req) {
+  const from = parseTime(req.query.from);
+  const to = parseTime(req.query.to);
+  if (from === null || to === null) {
+    return { error: 'from and to must be epoch milliseconds or ISO dates' };
+  }
+
+  const filter = {};
+  if (!isAdmin(req.user)) {
+    filter.user = req.user.id;
+  } else if (req.query.user) {
+    filter.user = String(req.query.user);
+  }
+
+  const comparisons = (await store.list(COLLECTION, filter))
+    .filter(comparison =>
+      (from === undefined || comparison.createdAt >= from) &&
+      (to === undefined || comparison.createdAt <= to))
+    .sort((a, b) => b.createdAt - a.createdAt);
+  return { comparisons };
+}
+
+/**
+ * Sets up the routes storing votes from the model comparison mode. Each
+ * comparison keeps the prompt, every model's answer with its measurements,
+ * and the answer the user voted for.
+ * @param {object} app - Express app instance
+ * @param {object} store - Store implementing the storage interface (see store.js)
+ */
+function setupComparisonRoutes(app, store) {
+  // Record a comparison together with its first vote
+  app.post('/api/comparisons', async (req, res) => {
+    try {
+      const { comparison, error } = validateComparison(req.body);
+      if (error) {
+        return sendError(res, 400, error);
+      }
+
+      const now = Date.now();
+      const created = await store.put(COLLECTION, {
+        id: crypto.randomUUID(),
+        user: req.user.id,
+        ...comparison,
+        createdAt: now,
+        votedAt: now
+      });
+      res.status(201).json(created);
+    } catch (error) {
+      logger.error('Error saving comparison', { error });
+      sendError(res, 500, 'Failed to save comparison', 'server_error');
+    }
+  });
+
+  // Change the vote of a comparison
+  app.put('/api/comparisons/:id/vote', async (req, res) => {
+    try {
+      const existing = await store.get(COLLECTION, req.params.id);
+      if (!existing || existing.user !== req.user.id) {
+        return sendError(res, 404, 'Comparison not found');
+      }
+      const { winner } = req.body || {};
+      if (!existing.results.some(result => result.model === winner)) {
+        return sendError(res, 400, 'winner must be one of the compared models');
+      }
+
+      res.json(await store.put(COLLECTION, { ...existing, winner, votedAt: Date.now() }));
+    } catch (error) {
+      logger.error('Error updating vote', { error });
+      sendError(res, 500, 'Failed to update vote', 'server_error');
+    }
+  });
+
+  // Query parameters: from, to (epoch ms or ISO date) and, for admins, user
+  app.get('/api/comparisons', async (req, res) => {
+    try {
+      const { comparisons, error } = await queryComparisons(store, req);
+      if (error) {
+        return sendError(res, 400, error);
+      }
+      res.json({ comparisons });
+    } catch (error) {
+      logger.error('Error listing comparisons', { error });
+      sendError(res, 500, 'Failed to list comparisons', 'server_error');
+    }
+  });
+
+  // Same query parameters as the list, aggregated per model
+  app.get('/api/comparisons/summary', async (req, res) => {
+    try {
+      const { comparisons, error } = await queryComparisons(store, req);
+      if (error) {
+        return sendError(res, 400, error);
+      }
+      res.json({ count: comparisons.length, models: summarize(comparisons) });
+    } catch (error) {
+      logger.error('Error summarizing comparisons', { error });
+      sendError(res, 500, 'Failed to summarize comparisons', 'server_error');
+    }
+  });
+}
+
+module.exports = { setupComparisonRoutes };
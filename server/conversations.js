@@ -0,0 +1,298 @@
+// conversations.js
+const crypto = require('crypto');
+const { ANONYMOUS_USER } = require('./auth');
+const { logger } = require('./logger');
+
+const COLLECTION = 'conversations';
+const VALID_ROLES = ['user', 'assistant', 'system', 'tool'];
+
+/**
+ * Send an error response in the same shape as the proxy routes
+ * @param {Object} res - Express response object
+ * @param {number} statusCode - HTTP status code
+ * @param {string} message - Error message
+ * @param {string} type - Error type
+ */
+function sendError(res, statusCode, message, type = 'invalid_request_error') {
+  return res.status(statusCode).json({
+    error: {
+      message,
+      type
+    }
+  });
+}
+
+/**
+ * Owner of a stored conversation. Conversations saved before authentication
+ * was enabled belong to the anonymous user.
+ * @param {Object} conversation - Stored conversation
+ * @returns {string}
+ */
+function ownerOf(conversation) {
+  return conversation.owner || ANONYMOUS_USER.id;
+}
+
+/**
+ * Load a conversation if it belongs to the requesting user
+ * @param {object} store - Store implementing the storage interface
+ * @param {string} id - Conversation ID
+ * @param {Object} user - Authenticated user (req.user)
+ * @returns {Promise<Object|null>} The conversation, or null if missing or not owned
+ */
+async function getOwnedConversation(store, id, user) {
+  const conversation = await store.get(COLLECTION, id);
+  return conversation && ownerOf(conversation) === user.id ? conversation : null;
+}
+
+/**
+ * Validate a chat message
+ * @param {Object} message - Message to validate
+ * @returns {string|null} Error message, or null when valid
+ */
+function validateMessage(message) {
+  if (!message || typeof message !== 'object') {
+    return 'Message must be an object';
+  }
+  if (!VALID_ROLES.includes(message.role)) {
+    return `Message role must be one of: ${VALID_ROLES.join(', ')}`;
+  }
+  if (message.role === 'tool' && typeof message.tool_call_id !== 'string') {
+    return 'Tool messages must have a tool_call_id';
+  }
+  // Assistant messages that only call tools have no content
+  const toolCallOnly = message.role === 'assistant' && Array.isArray(message.tool_calls) && message.content === null;
+  if (typeof message.content !== 'string' && !toolCallOnly) {
+    return 'Message content must be a string';
+  }
+  if (message.attachments !== undefined) {
+    const valid = Array.isArray(message.attachments) && message.attachments.every(attachment =>
+      attachment && ['image', 'text'].includes(attachment.kind) && typeof attachment.name === 'string');
+    if (!valid) {
+      return 'Message attachments must be images or text files with a name';
+    }
+  }
+  return null;
+}
+
+/**
+ * Link messages into a tree. Each message gets an ID and the ID of the
+ * message before it (`parentId`); `messages` is the active branch and
+ * `branches` holds the alternatives. Conversations saved before branching
+ * existed are upgraded in place.
+ * @param {Object} conversation - Conversation with a messages array
+ * @returns {boolean} Whether anything had to be added
+ */
+function upgradeConversation(conversation) {
+  let changed = false;
+  let parentId = null;
+  for (const message of conversation.messages) {
+    if (!message.id) {
+      message.id = crypto.randomUUID();
+      changed = true;
+    }
+    if (message.parentId === undefined) {
+      message.parentId = parentId;
+      changed = true;
+    }
+    parentId = message.id;
+  }
+  if (!Array.isArray(conversation.branches)) {
+    conversation.branches = [];
+    changed = true;
+  }
+  return changed;
+}
+
+/**
+ * Load a stored conversation in the current shape, saving the upgrade
+ * @param {object} store - Store implementing the storage interface
+ * @param {Object} conversation - Stored conversation
+ * @returns {Promise<Object>}
+ */
+async function upgradeStored(store, conversation) {
+  return upgradeConversation(conversation) ? store.put(COLLECTION, conversation) : conversation;
+}
+
+/**
+ * Validate a conversation document and return it with defaults applied.
+ * Fields the server does not know about (e.g. modelKey) are kept as-is.
+ * @param {Object} body - Conversation sent by the client
+ * @param {string} id - Conversation ID
+ * @param {Object} user - Authenticated user, recorded as the owner
+ * @returns {{ conversation?: Object, error?: string }}
+ */
+function normalizeConversation(body, id, user) {
+  if (!body || typeof body !== 'object') {
+    return { error: 'Conversation must be an object' };
+  }
+
+  const messages = body.messages || [];
+  if (!Array.isArray(messages)) {
+    return { error: 'messages must be an array' };
+  }
+  const branches = body.branches || [];
+  if (!Array.isArray(branches)) {
+    return { error: 'branches must be an array' };
+  }
+  for (const message of [...messages, ...branches]) {
+    const error = validateMessage(message);
+    if (error) return { error };
+  }
+
+  const now = Date.now();
+  const conversation = {
+    ...body,
+    id,
+    owner: user.id,
+    title: typeof body.title === 'string' ? body.title : 'New Conversation',
+    messages,
+    branches,
+    createdAt: Number(body.createdAt) || now,
+    lastUpdatedAt: Number(body.lastUpdatedAt) || now
+  };
+  upgradeConversation(conversation);
+  return { conversation };
+}
+
+/**
+ * Sets up the conversation persistence routes on the Express app
+ * @param {object} app - Express app instance
+ * @param {object} store - Store implementing the storage interface (see store.js)
+ * @param {object} [options]
+ * @param {Array<Function>} [options.onDelete] - Listeners called with the
+ *   conversation after it is deleted, to clean up data attached to it
+ */
+function setupConversationRoutes(app, store, options = {}) {
+  const deleteListeners = options.onDelete || [];
+
+  // List the user's conversations, most recently updated first
+  app.get('/api/conversations', async (req, res) => {
+    try {
+      const owned = (await store.list(COLLECTION))
+        .filter(conversation => ownerOf(conversation) === req.user.id);
+      const conversations = [];
+      for (const conversation of owned) {
+        conversations.push(await upgradeStored(store, conversation));
+      }
+      conversations.sort((a, b) => b.lastUpdatedAt - a.lastUpdatedAt);
+      res.json({ conversations });
+    } catch (error) {
+      logger.error('Error listing conversations', { error });
+      sendError(res, 500, 'Failed to list conversations', 'server_error');
+    }
+  });
+
+  // Create a conversation, generating an ID if none is provided
+  app.post('/api/conversations', async (req, res) => {
+    try {
+      const id = req.body.id || crypto.randomUUID();
+      if (await store.get(COLLECTION, id)) {
+        return sendError(res, 409, `Conversation ${id} already exists`);
+      }
+
+      const { conversation, error } = normalizeConversation(req.body, id, req.user);
+      if (error) {
+        return sendError(res, 400, error);
+      }
+
+      res.status(201).json(await store.put(COLLECTION, conversation));
+    } catch (error) {
+      logger.error('Error creating conversation', { error });
+      sendError(res, 500, 'Failed to create conversation', 'server_error');
+    }
+  });
+
+  app.get('/api/conversations/:id', async (req, res) => {
+    try {
+      const conversation = await getOwnedConversation(store, req.params.id, req.user);
+      if (!conversation) {
+        return sendError(res, 404, 'Conversation not found');
+      }
+      res.json(await upgradeStored(store, conversation));
+    } catch (error) {
+      logger.error('Error reading conversation', { error });
+      sendError(res, 500, 'Failed to read conversation', 'server_error');
+    }
+  });
+
+  // Create or replace a conversation (used by the client to sync its state)
+  app.put('/api/conversations/:id', async (req, res) => {
+    try {
+      // IDs are global, so never let a user overwrite someone else's conversation
+      const existing = await store.get(COLLECTION, req.params.id);
+      if (existing && ownerOf(existing) !== req.user.id) {
+        return sendError(res, 404, 'Conversation not found');
+      }
+
+      const { conversation, error } = normalizeConversation(req.body, req.params.id, req.user);
+      if (error) {
+        return sendError(res, 400, error);
+      }
+
+      res.json(await store.put(COLLECTION, conversation));
+    } catch (error) {
+      logger.error('Error saving conversation', { error });
+      sendError(res, 500, 'Failed to save conversation', 'server_error');
+    }
+  });
+
+  app.delete('/api/conversations/:id', async (req, res) => {
+    try {
+      const conversation = await getOwnedConversation(store, req.params.id, req.user);
+      if (!conversation) {
+        return sendError(res, 404, 'Conversation not found');
+      }
+      await store.delete(COLLECTION, conversation.id);
+      for (const listener of deleteListeners) {
+        try {
+          await listener(conversation);
+        } catch (error) {
+          logger.error('Conversation delete listener failed', { error });
+        }
+      }
+      res.status(204).end();
+    } catch (error) {
+      logger.error('Error deleting conversation', { error });
+      sendError(res, 500, 'Failed to delete conversation', 'server_error');
+    }
+  });
+
+  // Append one message ({ message }) or several ({ messages }) to a conversation
+  app.post('/api/conversations/:id/messages', async (req, res) => {
+    try {
+      const conversation = await getOwnedConversation(store, req.params.id, req.user);
+      if (!conversation) {
+        return sendError(res, 404, 'Conversation not found');
+      }
+
+      const messages = req.body.messages || (req.body.message ? [req.body.message] : []);
+      if (!Array.isArray(messages) || messages.length === 0) {
+        return sendError(res, 400, 'Provide a message or a non-empty messages array');
+      }
+      for (const message of messages) {
+        const error = validateMessage(message);
+        if (error) {
+          return sendError(res, 400, error);
+        }
+      }
+
+      // Appended messages continue the active branch
+      const now = Date.now();
+      const updated = {
+        ...conversation,
+        messages: [
+          ...conversation.messages,
+          ...messages.map(({ id, parentId, ...message }) => ({ ...message, createdAt: now }))
+        ],
+        lastUpdatedAt: now
+      };
+      upgradeConversation(updated);
+      res.status(201).json(await store.put(COLLECTION, updated));
+    } catch (error) {
+      logger.error('Error appending messages', { error });
+      sendError(res, 500, 'Failed to append messages', 'server_error');
+    }
+  });
+}
+
+module.exports = { setupConversationRoutes, getOwnedConversation, sendError };
@@ -0,0 +1,335 @@
+// documents.js
+const crypto = require('crypto');
+const path = require('path');
+const pdfParse = require('pdf-parse');
+const { createEmbeddings, getDefaultEmbeddingModel } = require('./embeddings');
+const { createOutcome, failOutcome } = require('./proxy');
+const { getOwnedConversation, sendError } = require('./conversations');
+const { logger } = require('./logger');
+
+const COLLECTION = 'documents';
+
+// Chunk size and overlap in characters
+const CHUNK_SIZE = 1000;
+const CHUNK_OVERLAP = 200;
+const MAX_CHUNKS = 500;
+
+// Number of chunks embedded per upstream request
+const EMBEDDING_BATCH_SIZE = 64;
+
+const DEFAULT_TOP_K = 4;
+const MAX_TOP_K = 20;
+
+const TEXT_EXTENSIONS = ['.txt', '.md', '.markdown'];
+
+/**
+ * Extract the text of an uploaded file
+ * @param {string} name - File name, used to detect the format
+ * @param {Buffer} data - File contents
+ * @returns {Promise<string>}
+ * @throws {Error} When the format is not supported
+ */
+async function extractText(name, data) {
+  const extension = path.extname(name).toLowerCase();
+  if (extension === '.pdf') {
+    const { text } = await pdfParse(data);
+    return text;
+  }
+  if (TEXT_EXTENSIONS.includes(extension)) {
+    return data.toString('utf8');
+  }
+  throw new Error(`Unsupported document type "${extension || name}", use ${[...TEXT_EXTENSIONS, '.pdf'].join(', ')}`);
+}
+
+/**
+ * Split text into overlapping chunks, keeping paragraphs together when they fit
+ * @param {string} text - Document text
+ * @param {number} [size] - Maximum chunk length
+ * @param {number} [overlap] - Characters repeated at the start of the next chunk
+ * @returns {Array<string>}
+ */
+function chunkText(text, size = CHUNK_SIZE, overlap = CHUNK_OVERLAP) {
+  const paragraphs = text.replace(/\r\n/g, '\n')
+    .split(/\n\s*\n/)
+    .map(paragraph => paragraph.replace(/[ \t]+/g, ' ').trim())
+    .filter(Boolean);
+
+  const chunks = [];
+  let current = '';
+
+  for (const paragraph of paragraphs) {
+    if (current && current.length + paragraph.length + 2 > size) {
+      chunks.push(current);
+      current = current.slice(-overlap);
+    }
+    current = current ? `${current}\n\n${paragraph}` : paragraph;
+
+    // Paragraphs longer than a chunk are cut, still with overlap
+    while (current.length > size) {
+      chunks.push(current.slice(0, size));
+      current = current.slice(size - overlap);
+    }
+  }
+
+  if (current.trim()) {
+    chunks.push(current);
+  }
+  return chunks;
+}
+
+/**
+ * Cosine similarity of two vectors
+ * @param {Array<number>} a
+ * @param {Array<number>} b
+ * @returns {number}
+ */
+function cosineSimilarity(a, b) {
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+  for (let i = 0; i < a.length; i++) {
+    dot += a[i] * b[i];
+    normA += a[i] * a[i];
+    normB += b[i] * b[i];
+  }
+  return normA && normB ? dot / Math.sqrt(normA * normB) : 0;
+}
+
+/**
+ * Embed texts in batches. Each upstream request is reported to the completion
+ * listeners like a /v1/embeddings request, so it counts against the user's
+ * token budget and shows in the usage reports.
+ * @param {string} model - Embedding model key
+ * @param {Array<string>} texts - Texts to embed
+ * @param {Object} user - User the embeddings are made for (req.user)
+ * @param {Array<Function>} listeners - Completion listeners
+ * @returns {Promise<Array<Array<number>>>} One vector per text, in order
+ */
+async function embedTexts(model, texts, user, listeners) {
+  const vectors = [];
+  for (let start = 0; start < texts.length; start += EMBEDDING_BATCH_SIZE) {
+    const input = texts.slice(start, start + EMBEDDING_BATCH_SIZE);
+    const outcome = createOutcome();
+    let details = { modelKey: model, serviceId: 'default', model, startedAt: Date.now() };
+
+    try {
+      const result = await createEmbeddings({ model, input });
+      outcome.usage = result.data.usage || null;
+      details = { ...details, serviceId: result.serviceId, model: result.model };
+      const batch = [...result.data.data].sort((a, b) => a.index - b.index);
+      vectors.push(...batch.map(item => item.embedding));
+    } catch (error) {
+      failOutcome(outcome, error.statusCode || 500, error.message);
+      throw error;
+    } finally {
+      // The body names no model, so only the user's budgets are charged, as checked on the route
+      for (const listener of listeners) {
+        try {
+          await listener({ user, body: { input } }, outcome, details);
+        } catch (error) {
+          logger.error('Completion listener failed', { error });
+        }
+      }
+    }
+  }
+  return vectors;
+}
+
+/**
+ * Public view of a stored document, without its chunks and vectors
+ * @param {Object} document - Stored document
+ * @returns {Object}
+ */
+function describeDocument({ chunks, ...document }) {
+  return { ...document, chunkCount: chunks.length };
+}
+
+/**
+ * Create the document index. Documents are stored with their chunks and
+ * embedding vectors in the `documents` collection, and searched by brute
+ * force, which is fast enough for the handful of files attached to a
+ * conversation.
+ * @param {object} store - Store implementing the storage interface (see store.js)
+ * @param {object} [options]
+ * @param {Array<Function>} [options.onCompletion] - Listeners called for each
+ *   embeddings request, as for /v1/embeddings
+ * @returns {Object} Document index
+ */
+function createDocumentIndex(store, options = {}) {
+  const listeners = options.onCompletion || [];
+
+  return {
+    /**
+     * Chunk, embed and store a document
+     * @param {Object} conversation - Conversation the document belongs to
+     * @param {string} name - File name
+     * @param {string} text - Extracted text
+     * @param {Object} user - Uploading user, charged for the embeddings
+     * @returns {Promise<Object>} Stored document description
+     */
+    async add(conversation, name, text, user) {
+      const model = await getDefaultEmbeddingModel();
+      if (!model) {
+        throw new Error('No embedding model is available, set EMBEDDING_MODEL or bind a model with the EMBEDDING capability');
+      }
+
+      const texts = chunkText(text);
+      if (texts.length === 0) {
+        throw new Error('The document contains no text');
+      }
+      if (texts.length > MAX_CHUNKS) {
+        throw new Error(`The document is too large (${texts.length} chunks, at most ${MAX_CHUNKS})`);
+      }
+
+      const vectors = await embedTexts(model, texts, user, listeners);
+      const document = await store.put(COLLECTION, {
+        id: crypto.randomUUID(),
+        conversationId: conversation.id,
+        owner: conversation.owner,
+        name,
+        characters: text.length,
+        embeddingModel: model,
+        createdAt: Date.now(),
+        chunks: texts.map((chunk, index) => ({ text: chunk, embedding: vectors[index] }))
+      });
+      return describeDocument(document);
+    },
+
+    async list(conversationId) {
+      const documents = await store.list(COLLECTION, { conversationId });
+      return documents
+        .sort((a, b) => a.createdAt - b.createdAt)
+        .map(describeDocument);
+    },
+
+    async remove(conversationId, documentId) {
+      const document = await store.get(COLLECTION, documentId);
+      if (!document || document.conversationId !== conversationId) {
+        return false;
+      }
+      return store.delete(COLLECTION, documentId);
+    },
+
+    /**
+     * Delete all documents of a conversation (conversation delete listener)
+     * @param {Object} conversation - Deleted conversation
+     */
+    async removeConversation(conversation) {
+      const documents = await store.list(COLLECTION, { conversationId: conversation.id });
+      for (const document of documents) {
+        await store.delete(COLLECTION, document.id);
+      }
+    },
+
+    /**
+     * Find the chunks closest to a query
+     * @param {string} conversationId - Conversation to search
+     * @param {string} query - Search text, usually the user's question
+     * @param {number} topK - Number of passages to return
+     * @param {Object} user - Searching user, charged for the query embeddings
+     * @returns {Promise<Array<Object>>} Passages, best match first
+     */
+    async search(conversationId, query, topK, user) {
+      const documents = await store.list(COLLECTION, { conversationId });
+      if (documents.length === 0) {
+        return [];
+      }
+
+      // Documents embedded with different models are compared with their own query vector
+      const queryVectors = new Map();
+      for (const model of new Set(documents.map(document => document.embeddingModel))) {
+        const [vector] = await embedTexts(model, [query], user, listeners);
+        queryVectors.set(model, vector);
+      }
+
+      const passages = [];
+      for (const document of documents) {
+        const queryVector = queryVectors.get(document.embeddingModel);
+        document.chunks.forEach((chunk, index) => {
+          passages.push({
+            documentId: document.id,
+            documentName: document.name,
+            chunkIndex: index,
+            text: chunk.text,
+            score: cosineSimilarity(queryVector, chunk.embedding)
+          });
+        });
+      }
+
+      return passages
+        .sort((a, b) => b.score - a.score)
+        .slice(0, topK);
+    }
+  };
+}
+
+/**
+ * Sets up the document routes on the Express app. Documents belong to a
+ * conversation and are only visible to its owner.
+ * @param {object} app - Express app instance
+ * @param {object} store - Store implementing the storage interface (see store.js)
+ * @param {object} documentIndex - Index from createDocumentIndex
+ */
+function setupDocumentRoutes(app, store, documentIndex) {
+  // Resolve the conversation or answer 404
+  const withConversation = (handler) => async (req, res) => {
+    try {
+      const conversation = await getOwnedConversation(store, req.params.id, req.user);
+      if (!conversation) {
+        return sendError(res, 404, 'Conversation not found');
+      }
+      await handler(req, res, conversation);
+    } catch (error) {
+      logger.error('Error in document route', { method: req.method, path: req.path, error });
+      if (!res.headersSent) {
+        sendError(res, error.statusCode || 500, error.message, error.type || 'server_error');
+      }
+    }
+  };
+
+  app.get('/api/conversations/:id/documents', withConversation(async (req, res, conversation) => {
+    res.json({ documents: await documentIndex.list(conversation.id) });
+  }));
+
+  // Upload a document: { name, content } with the file contents in base64
+  app.post('/api/conversations/:id/documents', withConversation(async (req, res, conversation) => {
+    const { name, content } = req.body;
+    if (typeof name !== 'string' || !name || typeof content !== 'string') {
+      return sendError(res, 400, 'Provide the document name and its base64-encoded content');
+    }
+
+    let text;
+    try {
+      text = await extractText(name, Buffer.from(content, 'base64'));
+    } catch (error) {
+      return sendError(res, 400, error.message);
+    }
+
+    try {
+      res.status(201).json(await documentIndex.add(conversation, name, text, req.user));
+    } catch (error) {
+      // Upstream embedding errors keep their status, everything else is a bad document
+      sendError(res, error.statusCode || 400, error.message, error.type || 'invalid_request_error');
+    }
+  }));
+
+  app.delete('/api/conversations/:id/documents/:documentId', withConversation(async (req, res, conversation) => {
+    if (!await documentIndex.remove(conversation.id, req.params.documentId)) {
+      return sendError(res, 404, 'Document not found');
+    }
+    res.status(204).end();
+  }));
+
+  // Retrieve the passages most relevant to { query, topK }
+  app.post('/api/conversations/:id/documents/search', withConversation(async (req, res, conversation) => {
+    const { query } = req.body;
+    if (typeof query !== 'string' || !query.trim()) {
+      return sendError(res, 400, 'query must be a non-empty string');
+    }
+    const topK = Math.min(Math.max(parseInt(req.body.topK, 10) || DEFAULT_TOP_K, 1), MAX_TOP_K);
+
+    res.json({ passages: await documentIndex.search(conversation.id, query, topK, req.user) });
+  }));
+}
+
+module.exports = { createDocumentIndex, setupDocumentRoutes };
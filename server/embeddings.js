@@ -0,0 +1,196 @@
+// embeddings.js
+const {
+  getAllGenAIServices,
+  getOpenAIConfig,
+  isMissingApiKey,
+  createUpstreamClient,
+  describeUpstreamError,
+  createOutcome,
+  failOutcome
+} = require('./proxy');
+const { logger } = require('./logger');
+
+// Embedding parameters forwarded upstream besides model and input
+const EMBEDDING_PARAMETERS = ['encoding_format', 'dimensions', 'user'];
+
+/**
+ * Find a model by its unique key (`service_id|name`) across all services
+ * @param {Array<Object>} services - Services from getAllGenAIServices
+ * @param {string} modelKey - Model key
+ * @returns {Object|null}
+ */
+function findModel(services, modelKey) {
+  for (const service of services) {
+    const model = service.models.find(m => m.name === modelKey);
+    if (model) return model;
+  }
+  return null;
+}
+
+/**
+ * Whether a model can produce embeddings. Models that advertise no
+ * capabilities (legacy bindings) are given the benefit of the doubt.
+ * @param {Object} model - Model entry from getAllGenAIServices
+ * @returns {boolean}
+ */
+function supportsEmbeddings(model) {
+  const capabilities = (model.capabilities || []).map(capability => String(capability).toUpperCase());
+  return capabilities.length === 0 || capabilities.includes('EMBEDDING');
+}
+
+/**
+ * Create an error carrying an HTTP status and OpenAI error fields
+ * @param {number} statusCode - HTTP status code
+ * @param {string} message - Error message
+ * @param {string} [type] - OpenAI error type
+ * @param {string|null} [param] - Request parameter at fault
+ * @returns {Error}
+ */
+function embeddingError(statusCode, message, type = 'invalid_request_error', param = null) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  error.type = type;
+  error.param = param;
+  return error;
+}
+
+/**
+ * Default embedding model: EMBEDDING_MODEL when set, otherwise the first
+ * model advertising the EMBEDDING capability
+ * @returns {Promise<string|null>} Model key
+ */
+async function getDefaultEmbeddingModel() {
+  if (process.env.EMBEDDING_MODEL) {
+    return process.env.EMBEDDING_MODEL;
+  }
+
+  const services = await getAllGenAIServices();
+  for (const service of services) {
+    const model = service.models.find(m =>
+      (m.capabilities || []).some(capability => String(capability).toUpperCase() === 'EMBEDDING'));
+    if (model) return model.name;
+  }
+  return null;
+}
+
+/**
+ * Create embeddings with the service serving a model. Model keys
+ * (`service_id|name`) are routed to their service; plain model names are
+ * sent to the default service as-is.
+ * @param {Object} params - Embedding request: model, input and optional parameters
+ * @returns {Promise<{ data: Object, model: string, serviceId: string }>}
+ *   Upstream response, upstream model name and service used
+ * @throws {Error} With statusCode, type and param set
+ */
+async function createEmbeddings(params) {
+  const modelKey = params.model;
+  const services = await getAllGenAIServices();
+  const model = findModel(services, modelKey);
+
+  if (!model && modelKey.includes('|')) {
+    throw embeddingError(404, `The model ${modelKey} does not exist`, 'invalid_request_error', 'model');
+  }
+  if (model && !supportsEmbeddings(model)) {
+    throw embeddingError(400, `Model ${modelKey} does not support embeddings`, 'invalid_request_error', 'model');
+  }
+
+  const serviceId = model ? model.service_id : null;
+  const config = await getOpenAIConfig(serviceId);
+  if (isMissingApiKey(config)) {
+    throw embeddingError(500, 'OpenAI API key is not configured', 'server_config_error');
+  }
+  if (!config.embeddingsEndpoint) {
+    throw embeddingError(400, `The service of ${modelKey} has no embeddings API`, 'invalid_request_error', 'model');
+  }
+
+  const upstreamModel = model ? model.original_name : modelKey;
+  const body = { model: upstreamModel, input: params.input };
+  for (const param of EMBEDDING_PARAMETERS) {
+    if (params[param] !== undefined) {
+      body[param] = params[param];
+    }
+  }
+
+  try {
+    const response = await createUpstreamClient(config).post(config.embeddingsEndpoint, body);
+    return { data: response.data, model: upstreamModel, serviceId: serviceId || 'default' };
+  } catch (error) {
+    const { statusCode, errorMessage } = describeUpstreamError(error, 'Error creating embeddings');
+    throw embeddingError(statusCode, errorMessage, 'upstream_error');
+  }
+}
+
+/**
+ * Validate the `input` of an embeddings request
+ * @param {*} input - String, array of strings, or token arrays
+ * @returns {string|null} Error message, or null when valid
+ */
+function validateInput(input) {
+  if (typeof input === 'string' && input.length > 0) return null;
+  if (Array.isArray(input) && input.length > 0 &&
+      (input.every(item => typeof item === 'string') ||
+       input.every(item => Number.isInteger(item)) ||
+       input.every(item => Array.isArray(item) && item.every(Number.isInteger)))) {
+    return null;
+  }
+  return 'input must be a non-empty string, array of strings, or array of token arrays';
+}
+
+/**
+ * Sets up the OpenAI-compatible embeddings route on the Express app
+ * @param {object} app - Express app instance
+ * @param {object} [options]
+ * @param {Array<Function>} [options.onCompletion] - Listeners called as
+ *   (req, outcome, details), like the chat completion listeners
+ */
+function setupEmbeddingRoutes(app, options = {}) {
+  const listeners = options.onCompletion || [];
+
+  app.post('/v1/embeddings', async (req, res) => {
+    const startedAt = Date.now();
+    const { model } = req.body;
+
+    const inputError = validateInput(req.body.input);
+    if (typeof model !== 'string' || !model || inputError) {
+      return res.status(400).json({
+        error: {
+          message: inputError || 'model is required',
+          type: 'invalid_request_error',
+          param: inputError ? 'input' : 'model',
+          code: null
+        }
+      });
+    }
+
+    const outcome = createOutcome();
+    let details = { modelKey: model, serviceId: 'default', model, startedAt };
+
+    try {
+      const result = await createEmbeddings(req.body);
+      outcome.usage = result.data.usage || null;
+      details = { ...details, serviceId: result.serviceId, model: result.model };
+      res.json(result.data);
+    } catch (error) {
+      logger.error('Error creating embeddings', { error });
+      failOutcome(outcome, error.statusCode || 500, error.message);
+      res.status(outcome.statusCode).json({
+        error: {
+          message: error.message,
+          type: error.type || 'proxy_error',
+          param: error.param || null,
+          code: null
+        }
+      });
+    }
+
+    for (const listener of listeners) {
+      try {
+        await listener(req, outcome, details);
+      } catch (error) {
+        logger.error('Completion listener failed', { error });
+      }
+    }
+  });
+}
+
+module.exports = { setupEmbeddingRoutes, createEmbeddings, getDefaultEmbeddingModel };
@@ -0,0 +1,233 @@
+// health.js
+const {
+  getAllGenAIServices,
+  getOpenAIConfig,
+  isMissingApiKey,
+  createUpstreamClient,
+  describeUpstreamError,
+  circuitBreaker
+} = require('./proxy');
+const { logger } = require('./logger');
+
+const DEFAULT_HEALTH_CHECK_TTL_SECONDS = 30;
+// Probes ask for the models list, which any live upstream answers quickly
+const PROBE_TIMEOUT_MS = 5000;
+// A model whose last completion failed this recently is reported down
+const MODEL_FAILURE_WINDOW_MS = 5 * 60 * 1000;
+
+/**
+ * Create the health checker behind the readiness endpoint. Each service is
+ * probed with a request to its models endpoint; results are served for
+ * `ttlSeconds` and then refreshed in the background, so readiness checks
+ * never wait on upstreams after the first one. Models are judged by the
+ * chat completions they served, see recordCompletion.
+ * @param {Object} [options]
+ * @param {number} [options.ttlSeconds] - Defaults to HEALTH_CHECK_TTL or 30
+ * @returns {Object} Health checker
+ */
+function createHealthChecker(options = {}) {
+  const ttlSeconds = Number(options.ttlSeconds ?? process.env.HEALTH_CHECK_TTL);
+  const ttlMs = (ttlSeconds > 0 ? ttlSeconds : DEFAULT_HEALTH_CHECK_TTL_SECONDS) * 1000;
+
+  // Service ID -> { status, latencyMs, checkedAt, error }
+  const probes = new Map();
+  // `service_id|model` -> { latencyMs, succeededAt, error, failedAt }
+  const models = new Map();
+  let checkedAt = null;
+  let pending = null;
+
+  async function probe(service) {
+    const config = await getOpenAIConfig(service.id);
+    if (isMissingApiKey(config)) {
+      return { status: 'unconfigured', latencyMs: null, error: 'No API key configured' };
+    }
+    if (!config.modelsEndpoint) {
+      return { status: 'unknown', latencyMs: null, error: null };
+    }
+
+    const startedAt = Date.now();
+    try {
+      await createUpstreamClient(config).get(config.modelsEndpoint, { timeout: PROBE_TIMEOUT_MS, retries: 0 });
+      return { status: 'up', latencyMs: Date.now() - startedAt, error: null };
+    } catch (error) {
+      const latencyMs = Date.now() - startedAt;
+      // Answering without a models endpoint still proves the upstream is there
+      if (error.response && [404, 405].includes(error.response.status)) {
+        return { status: 'up', latencyMs, error: null };
+      }
+      return { status: 'down', latencyMs, error: describeUpstreamError(error, 'Probe failed').errorMessage };
+    }
+  }
+
+  // Probe every service, one request each, at most one round at a time
+  function refresh() {
+    if (!pending) {
+      pending = (async () => {
+        const services = await getAllGenAIServices();
+        const results = await Promise.all(services.map(service => probe(service).catch(error => ({
+          status: 'down', latencyMs: null, error: error.message
+        }))));
+        const now = Date.now();
+        probes.clear();
+        services.forEach((service, index) => {
+          probes.set(service.id, { ...results[index], checkedAt: now });
+          if (results[index].status === 'down') {
+            logger.warn('Service probe failed', { service: service.id, reason: results[index].error });
+          }
+        });
+        checkedAt = now;
+      })().finally(() => {
+        pending = null;
+      });
+    }
+    return pending;
+  }
+
+  const iso = (time) => (time ? new Date(time).toISOString() : null);
+
+  function describeModel(service, serviceStatus, model) {
+    const observed = models.get(`${service.id}|${model.original_name}`) || {};
+    const failing = observed.failedAt
+      && observed.failedAt > (observed.succeededAt || 0)
+      && Date.now() - observed.failedAt < MODEL_FAILURE_WINDOW_MS;
+    return {
+      name: model.name,
+      status: serviceStatus === 'up' && failing ? 'down' : serviceStatus,
+      latency_ms: observed.latencyMs ?? null,
+      last_success_at: iso(observed.succeededAt),
+      last_error: observed.error || null,
+      last_error_at: iso(observed.failedAt)
+    };
+  }
+
+  return {
+    /**
+     * Readiness report. Probes the services on the first call; later calls
+     * get the cached results and refresh stale ones in the background.
+     * @returns {Promise<Object>} { status: 'ready'|'unavailable', checked_at, services }
+     */
+    async report() {
+      if (checkedAt === null) {
+        await refresh();
+      } else if (Date.now() - checkedAt > ttlMs) {
+        refresh().catch(error => logger.error('Error probing services', { error }));
+      }
+
+      const circuits = circuitBreaker.states();
+      const services = (await getAllGenAIServices()).map(service => {
+        const probed = probes.get(service.id) || { status: 'unknown', latencyMs: null, error: null, checkedAt: null };
+        const circuit = circuits[service.id];
+        let { status, error } = probed;
+        if (circuit && circuit.state === 'open') {
+          status = 'down';
+          error = `Circuit open after ${circuit.failures} failed requests`;
+        }
+        return {
+          id: service.id,
+          name: service.name,
+          status,
+          latency_ms: probed.latencyMs,
+          checked_at: iso(probed.checkedAt),
+          last_error: error,
+          models_error: service.models_error || null,
+          models: service.models.map(model => describeModel(service, status, model))
+        };
+      });
+
+      const ready = services.some(service => service.status === 'up' || service.status === 'unknown');
+      return { status: ready ? 'ready' : 'unavailable', checked_at: iso(checkedAt), services };
+    },
+
+    /**
+     * Completion listener remembering how each model's last request went
+     * @param {Object} req - Express request object
+     * @param {Object} outcome - Outcome from executeRequest
+     * @param {Object} details - modelKey, serviceId, model and startedAt
+     */
+    recordCompletion(req, outcome, details) {
+      if (outcome.cancelled) return;
+      const key = `${details.serviceId}|${details.model}`;
+      const observed = models.get(key) || {};
+      if (outcome.statusCode < 400) {
+        observed.succeededAt = Date.now();
+        observed.latencyMs = (outcome.firstTokenAt || Date.now()) - details.startedAt;
+      } else if (outcome.unavailable) {
+        observed.failedAt = Date.now();
+        observed.error = outcome.errorMessage;
+      }
+      models.set(key, observed);
+    },
+
+    refresh
+  };
+}
+
+/**
+ * Sets up the health routes on the Express app:
+ * - GET /health/live: the process is up
+ * - GET /health/ready: status of every service and model, 503 when none can answer
+ * - GET /health: liveness plus whether the service of `?model=` has an API key,
+ *   kept for Cloud Foundry health checks
+ * @param {object} app - Express app instance
+ * @param {Object} healthChecker - From createHealthChecker
+ */
+function setupHealthRoutes(app, healthChecker) {
+  app.get('/health/live', (req, res) => {
+    res.json({ status: 'ok', uptime_seconds: Math.round(process.uptime()) });
+  });
+
+  app.get('/health/ready', async (req, res) => {
+    try {
+      const report = await healthChecker.report();
+      res.status(report.status === 'ready' ? 200 : 503).json(report);
+    } catch (error) {
+      logger.error('Error in /health/ready', { error });
+      res.status(503).json({ status: 'unavailable', error: error.message });
+    }
+  });
+
+  app.get('/health', async (req, res) => {
+    try {
+      const requestedModel = req.query.model;
+
+      // Get all available services
+      const services = await getAllGenAIServices();
+
+      // Find the service for the requested model
+      let selectedService = services.length > 0 ? services[0] : null;
+
+      if (requestedModel && services.length > 0) {
+        for (const service of services) {
+          // Look for model by unique name (which now includes service ID)
+          const model = service.models.find(m => m.name === requestedModel);
+          if (model) {
+            selectedService = service;
+            break;
+          }
+        }
+      }
+
+      // Get API key for the selected service
+      const config = await getOpenAIConfig(
+        selectedService ? selectedService.id : undefined
+      );
+
+      // Return 200 even without API key for CF health checks to pass
+      res.status(200).json({
+        status: 'ok',
+        api_configured: !isMissingApiKey(config),
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      logger.error('Error in /health', { error });
+      res.status(200).json({
+        status: 'ok',
+        api_configured: false,
+        timestamp: new Date().toISOString(),
+        error: error.message
+      });
+    }
+  });
+}
+
+module.exports = { createHealthChecker, setupHealthRoutes };
@@ -0,0 +1,324 @@
+// limits.js
+const fs = require('fs');
+const { logger } = require('./logger');
+
+const MINUTE_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Counter store interface used by the rate limiter. Counters live in fixed
+ * windows, so a shared store only needs an atomic increment with expiry
+ * (e.g. Redis INCRBY + PEXPIRE):
+ *
+ *   increment(key, amount, ttlMs) -> Promise<number>  new value; the key expires
+ *                                                      ttlMs after it is created
+ *   get(key)                      -> Promise<number>  current value, 0 if missing
+ */
+
+/**
+ * Create an in-memory counter store (per process)
+ * @returns {Object} Counter store implementing the interface above
+ */
+function createMemoryCounterStore() {
+  const counters = new Map();
+
+  // Drop expired windows regularly so memory does not grow with user count
+  const sweep = setInterval(() => {
+    const now = Date.now();
+    for (const [key, counter] of counters) {
+      if (counter.expiresAt <= now) {
+        counters.delete(key);
+      }
+    }
+  }, MINUTE_MS);
+  sweep.unref();
+
+  const current = (key) => {
+    const counter = counters.get(key);
+    if (counter && counter.expiresAt > Date.now()) {
+      return counter;
+    }
+    counters.delete(key);
+    return null;
+  };
+
+  return {
+    async increment(key, amount, ttlMs) {
+      let counter = current(key);
+      if (!counter) {
+        counter = { value: 0, expiresAt: Date.now() + ttlMs };
+        counters.set(key, counter);
+      }
+      counter.value += amount;
+      return counter.value;
+    },
+
+    async get(key) {
+      const counter = current(key);
+      return counter ? counter.value : 0;
+    }
+  };
+}
+
+/**
+ * Read the rate limit configuration.
+ *
+ * RATE_LIMIT_RPM and RATE_LIMIT_TOKENS_PER_DAY set the default per-user budget.
+ * RATE_LIMITS (inline JSON) or RATE_LIMITS_FILE (path to a JSON file) add
+ * per-user and per-model budgets:
+ *
+ *   {
+ *     "default": { "requestsPerMinute": 30, "tokensPerDay": 200000 },
+ *     "users": { "alice": { "requestsPerMinute": 120 } },
+ *     "models": { "<service_id>|<model>": { "requestsPerMinute": 10, "shared": true } }
+ *   }
+ *
+ * Model budgets apply per user unless `shared` is set, in which case all
+ * users draw from the same budget.
+ * @returns {Object} Rate limit configuration
+ */
+function loadRateLimitConfig() {
+  let config = {};
+
+  try {
+    if (process.env.RATE_LIMITS_FILE) {
+      config = JSON.parse(fs.readFileSync(process.env.RATE_LIMITS_FILE, 'utf8'));
+    } else if (process.env.RATE_LIMITS) {
+      config = JSON.parse(process.env.RATE_LIMITS);
+    }
+  } catch (error) {
+    logger.error('Error reading rate limit configuration', { error });
+  }
+
+  const defaults = { ...(config.default || {}) };
+  if (process.env.RATE_LIMIT_RPM) {
+    defaults.requestsPerMinute = Number(process.env.RATE_LIMIT_RPM);
+  }
+  if (process.env.RATE_LIMIT_TOKENS_PER_DAY) {
+    defaults.tokensPerDay = Number(process.env.RATE_LIMIT_TOKENS_PER_DAY);
+  }
+
+  return {
+    default: defaults,
+    users: config.users || {},
+    models: config.models || {}
+  };
+}
+
+/**
+ * Rough token estimate (about 4 characters per token) for providers that do
+ * not report usage
+ * @param {number} chars - Number of characters
+ * @returns {number}
+ */
+function estimateTokens(chars) {
+  return Math.ceil(chars / 4);
+}
+
+// Tokens counted for an image, which costs about the same whatever the size
+// of its base64 text: a typical tile count for vision models
+const IMAGE_TOKENS = 765;
+
+/**
+ * Characters of a message content, with images counted by their token cost
+ * @param {string|Array<Object>|null} content - String or text and image_url parts
+ * @returns {number}
+ */
+function contentChars(content) {
+  if (typeof content === 'string') {
+    return content.length;
+  }
+  if (!Array.isArray(content)) {
+    return JSON.stringify(content || '').length;
+  }
+  return content.reduce((total, part) => {
+    if (part && part.type === 'image_url') return total + IMAGE_TOKENS * 4;
+    return total + (part && typeof part.text === 'string' ? part.text.length : 0);
+  }, 0);
+}
+
+/**
+ * Tokens consumed by a completion, from the upstream usage when available.
+ * A request that failed or was cancelled before anything was generated
+ * counts for nothing.
+ * @param {Object} req - Express request object
+ * @param {Object} outcome - Outcome returned by executeRequest
+ * @returns {{ promptTokens: number, completionTokens: number, estimated: boolean }}
+ */
+function countTokens(req, outcome) {
+  if (outcome.usage && typeof outcome.usage.total_tokens === 'number') {
+    return {
+      promptTokens: outcome.usage.prompt_tokens || 0,
+      completionTokens: outcome.usage.completion_tokens || 0,
+      estimated: false
+    };
+  }
+
+  if (outcome.completionChars === 0 && (outcome.statusCode >= 400 || outcome.cancelled)) {
+    return { promptTokens: 0, completionTokens: 0, estimated: false };
+  }
+
+  const messages = Array.isArray(req.body.messages) ? req.body.messages : [];
+  let promptChars = messages.reduce((total, message) => total + contentChars(message.content), 0);
+
+  // Embedding requests send `input` instead of messages
+  if (req.body.input !== undefined) {
+    promptChars += typeof req.body.input === 'string' ? req.body.input.length : JSON.stringify(req.body.input).length;
+  }
+
+  return {
+    promptTokens: estimateTokens(promptChars),
+    completionTokens: estimateTokens(outcome.completionChars),
+    estimated: true
+  };
+}
+
+/**
+ * Send an OpenAI-style rate limit error
+ * @param {Object} res - Express response object
+ * @param {string} type - "requests" or "tokens"
+ * @param {string} message - Error message
+ * @param {number} retryAfter - Seconds until the budget resets
+ */
+function rejectRateLimited(res, type, message, retryAfter) {
+  res.setHeader('Retry-After', String(retryAfter));
+  return res.status(429).json({
+    error: {
+      message,
+      type,
+      param: null,
+      code: 'rate_limit_exceeded'
+    }
+  });
+}
+
+/**
+ * Create the rate limiter for chat completions
+ * @param {Object} [config] - Rate limit configuration (defaults to environment)
+ * @param {Object} [counters] - Counter store (defaults to in-memory)
+ * @returns {{ enabled: boolean, middleware: Function, recordUsage: Function }}
+ */
+function createRateLimiter(config = loadRateLimitConfig(), counters = createMemoryCounterStore()) {
+  const hasLimits = (limits) => !!(limits && (limits.requestsPerMinute || limits.tokensPerDay));
+  const enabled = hasLimits(config.default) ||
+    Object.values(config.users).some(hasLimits) ||
+    Object.values(config.models).some(hasLimits);
+
+  /**
+   * Budgets that apply to a user calling a model
+   */
+  const resolveBudgets = (userId, modelKey) => {
+    const budgets = [];
+
+    const userLimits = { ...config.default, ...(config.users[userId] || {}) };
+    if (hasLimits(userLimits)) {
+      budgets.push({ key: `user:${userId}`, label: `user ${userId}`, ...userLimits });
+    }
+
+    const modelLimits = config.models[modelKey];
+    if (hasLimits(modelLimits)) {
+      budgets.push({
+        key: modelLimits.shared ? `model:${modelKey}` : `model:${modelKey}|user:${userId}`,
+        label: `model ${modelKey}`,
+        ...modelLimits
+      });
+    }
+
+    return budgets;
+  };
+
+  /**
+   * Budgets that apply to a request: those of its user and of the model it
+   * asked for. Tokens are charged to the same budgets that were checked,
+   * even when a failover model answered.
+   */
+  const budgetsFor = (req) =>
+    resolveBudgets((req.user && req.user.id) || 'anonymous', req.body.model || '');
+
+  const windows = (now) => {
+    const minute = Math.floor(now / MINUTE_MS);
+    const day = Math.floor(now / DAY_MS);
+    return {
+      minute,
+      day,
+      minuteResetIn: Math.ceil(((minute + 1) * MINUTE_MS - now) / 1000),
+      dayResetIn: Math.ceil(((day + 1) * DAY_MS - now) / 1000)
+    };
+  };
+
+  if (enabled) {
+    logger.info('Rate limiting enabled for chat completions');
+  }
+
+  return {
+    enabled,
+
+    middleware() {
+      return async (req, res, next) => {
+        if (!enabled) return next();
+
+        try {
+          const budgets = budgetsFor(req);
+          const { minute, day, minuteResetIn, dayResetIn } = windows(Date.now());
+
+          // Token budgets are checked against what has been used so far today
+          for (const budget of budgets) {
+            if (!budget.tokensPerDay) continue;
+            const used = await counters.get(`${budget.key}:tpd:${day}`);
+            res.setHeader('x-ratelimit-limit-tokens', String(budget.tokensPerDay));
+            res.setHeader('x-ratelimit-remaining-tokens', String(Math.max(0, budget.tokensPerDay - used)));
+            if (used >= budget.tokensPerDay) {
+              return rejectRateLimited(res, 'tokens',
+                `Rate limit reached for ${budget.label} on tokens per day: limit ${budget.tokensPerDay}, used ${used}. ` +
+                `Please try again in ${dayResetIn}s.`, dayResetIn);
+            }
+          }
+
+          for (const budget of budgets) {
+            if (!budget.requestsPerMinute) continue;
+            const count = await counters.increment(`${budget.key}:rpm:${minute}`, 1, MINUTE_MS);
+            res.setHeader('x-ratelimit-limit-requests', String(budget.requestsPerMinute));
+            res.setHeader('x-ratelimit-remaining-requests', String(Math.max(0, budget.requestsPerMinute - count)));
+            res.setHeader('x-ratelimit-reset-requests', `${minuteResetIn}s`);
+            if (count > budget.requestsPerMinute) {
+              return rejectRateLimited(res, 'requests',
+                `Rate limit reached for ${budget.label} on requests per minute: limit ${budget.requestsPerMinute}. ` +
+                `Please try again in ${minuteResetIn}s.`, minuteResetIn);
+            }
+          }
+
+          next();
+        } catch (error) {
+          // A broken counter store should not take the proxy down
+          logger.error('Rate limiter error, allowing request', { error });
+          next();
+        }
+      };
+    },
+
+    /**
+     * Completion listener adding the tokens used to the daily budgets
+     */
+    async recordUsage(req, outcome) {
+      if (!enabled) return;
+
+      const { promptTokens, completionTokens } = countTokens(req, outcome);
+      const tokens = promptTokens + completionTokens;
+      if (tokens === 0) return;
+
+      const { day } = windows(Date.now());
+      for (const budget of budgetsFor(req)) {
+        if (budget.tokensPerDay) {
+          await counters.increment(`${budget.key}:tpd:${day}`, tokens, DAY_MS);
+        }
+      }
+    }
+  };
+}
+
+module.exports = {
+  createRateLimiter,
+  createMemoryCounterStore,
+  countTokens,
+  estimateTokens
+};
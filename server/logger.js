@@ -0,0 +1,179 @@
+// logger.js
+const crypto = require('crypto');
+const { AsyncLocalStorage } = require('async_hooks');
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+const minLevel = LEVELS[String(process.env.LOG_LEVEL || 'info').toLowerCase()] || LEVELS.info;
+// `text` prints readable lines for local development, anything else JSON
+const textFormat = process.env.LOG_FORMAT === 'text';
+
+// Fields whose values are never logged
+const SECRET_KEY = /authorization|api[-_]?key|token|secret|password|cookie|credential/i;
+// Fields holding what users wrote or models answered; only their size is logged
+const CONTENT_KEY = /^(content|messages|prompt|input|arguments|text|query|systemPrompt)$/i;
+const MAX_DEPTH = 5;
+
+// Request ID of the request being served, see requestContext
+const requestStore = new AsyncLocalStorage();
+
+/**
+ * Remove secrets that upstream error messages sometimes echo back
+ * @param {string} text
+ * @returns {string}
+ */
+function scrub(text) {
+  return text
+    .replace(/Bearer\s+[\w.~+/-]+=*/gi, 'Bearer [REDACTED]')
+    .replace(/\bsk-[\w-]{8,}/g, 'sk-[REDACTED]');
+}
+
+/**
+ * The parts of an error worth logging. Axios errors carry the request
+ * config, headers included, so they are never logged whole.
+ * @param {Error} error
+ * @returns {Object}
+ */
+function errorFields(error) {
+  const fields = { name: error.name, message: scrub(String(error.message)) };
+  if (error.code) fields.code = error.code;
+  if (error.response && error.response.status) fields.status = error.response.status;
+  if (!error.response && error.stack && minLevel <= LEVELS.debug) fields.stack = error.stack;
+  return fields;
+}
+
+/**
+ * Copy log fields with secrets and message content redacted
+ * @param {*} value
+ * @param {string} [key] - Field name of the value
+ * @param {number} [depth]
+ * @returns {*}
+ */
+function redact(value, key = '', depth = 0) {
+  if (value === null || value === undefined) {
+    return value;
+  }
+  if (SECRET_KEY.test(key)) {
+    return '[REDACTED]';
+  }
+  if (CONTENT_KEY.test(key)) {
+    if (typeof value === 'string') return `[${value.length} chars]`;
+    if (Array.isArray(value)) return `[${value.length} items]`;
+    return '[REDACTED]';
+  }
+  if (value instanceof Error) {
+    return errorFields(value);
+  }
+  if (typeof value === 'string') {
+    return scrub(value);
+  }
+  if (typeof value !== 'object') {
+    return value;
+  }
+  if (depth >= MAX_DEPTH) {
+    return '[…]';
+  }
+  if (Array.isArray(value)) {
+    return value.map(item => redact(item, '', depth + 1));
+  }
+  return Object.fromEntries(
+    Object.entries(value).map(([field, fieldValue]) => [field, redact(fieldValue, field, depth + 1)])
+  );
+}
+
+function write(level, message, fields) {
+  if (LEVELS[level] < minLevel) return;
+
+  const context = requestStore.getStore();
+  const entry = {
+    time: new Date().toISOString(),
+    level,
+    msg: scrub(String(message)),
+    ...(context ? { requestId: context.requestId } : {}),
+    ...redact(fields || {})
+  };
+
+  if (textFormat) {
+    const { time, level: entryLevel, msg, ...rest } = entry;
+    const extra = Object.entries(rest).map(([key, value]) => `${key}=${JSON.stringify(value)}`).join(' ');
+    process.stdout.write(`${time} ${entryLevel.toUpperCase().padEnd(5)} ${msg}${extra ? ` ${extra}` : ''}\n`);
+  } else {
+    process.stdout.write(`${JSON.stringify(entry)}\n`);
+  }
+}
+
+/**
+ * Structured logger writing one JSON object per line (LOG_FORMAT=text for
+ * plain lines) at LOG_LEVEL or above. Entries written while a request is
+ * served carry its requestId. Fields are redacted: secrets are dropped,
+ * message contents are reduced to their size and errors to their message,
+ * code and status.
+ *
+ *   logger.info('Model catalog refreshed', { services: 3 })
+ *   logger.error('Error saving conversation', { error })
+ */
+const logger = {
+  debug: (message, fields) => write('debug', message, fields),
+  info: (message, fields) => write('info', message, fields),
+  warn: (message, fields) => write('warn', message, fields),
+  error: (message, fields) => write('error', message, fields)
+};
+
+/**
+ * ID of the request being served, if any
+ * @returns {string|undefined}
+ */
+function currentRequestId() {
+  const context = requestStore.getStore();
+  return context && context.requestId;
+}
+
+/**
+ * Middleware giving every request an ID: the caller's X-Request-ID when it
+ * looks sane, a new UUID otherwise. The ID is returned in the X-Request-ID
+ * response header and each request is logged when its response finishes.
+ * @param {Object} [options]
+ * @param {Array<Function>} [options.onFinish] - Listeners called as
+ *   (req, res, durationMs) after each response
+ * @returns {Function} Express middleware
+ */
+function requestLogger(options = {}) {
+  const finishListeners = options.onFinish || [];
+
+  return (req, res, next) => {
+    const incoming = req.get('X-Request-ID');
+    req.id = incoming && /^[\w.:-]{1,128}$/.test(incoming) ? incoming : crypto.randomUUID();
+    res.setHeader('X-Request-ID', req.id);
+
+    const startedAt = process.hrtime.bigint();
+    res.on('close', () => {
+      const durationMs = Number(process.hrtime.bigint() - startedAt) / 1e6;
+      for (const listener of finishListeners) {
+        listener(req, res, durationMs);
+      }
+      requestStore.run({ requestId: req.id }, () => {
+        logger.info('Request finished', {
+          method: req.method,
+          path: req.path,
+          status: res.statusCode,
+          durationMs: Math.round(durationMs),
+          ...(res.writableFinished ? {} : { aborted: true }),
+          ...(req.user ? { user: req.user.id } : {})
+        });
+      });
+    });
+
+    next();
+  };
+}
+
+/**
+ * Middleware running the rest of the request in its logging context, so log
+ * entries and upstream calls carry the request ID. It must come after the
+ * body parsers, whose callbacks lose the context.
+ * @returns {Function} Express middleware
+ */
+function requestContext() {
+  return (req, res, next) => requestStore.run({ requestId: req.id }, next);
+}
+
+module.exports = { logger, currentRequestId, requestLogger, requestContext };
@@ -0,0 +1,224 @@
+// metrics.js
+const crypto = require('crypto');
+
+// Latency buckets in seconds, from quick API calls to long generations
+const DURATION_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 20, 40, 80, 160];
+
+const escapeLabel = (value) => String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+
+/**
+ * Render a label set as `{name="value",...}`
+ * @param {Object} labels
+ * @returns {string}
+ */
+function formatLabels(labels) {
+  const entries = Object.entries(labels);
+  return entries.length === 0 ? '' : `{${entries.map(([name, value]) => `${name}="${escapeLabel(value)}"`).join(',')}}`;
+}
+
+/**
+ * Create a metrics registry rendering the Prometheus text format. Series are
+ * keyed by their label values, in the order of the metric's label names.
+ * @returns {Object} Registry with counter, gauge, histogram and render
+ */
+function createRegistry() {
+  const metrics = [];
+
+  const register = (name, help, type, labelNames) => {
+    const series = new Map();
+    const labelsOf = (labels = {}) => Object.fromEntries(labelNames.map(label => [label, labels[label] ?? '']));
+    const seriesOf = (labels, create) => {
+      const key = JSON.stringify(labelNames.map(label => labels[label] ?? ''));
+      if (!series.has(key)) {
+        series.set(key, { labels: labelsOf(labels), ...create() });
+      }
+      return series.get(key);
+    };
+    const metric = { name, help, type, series, seriesOf };
+    metrics.push(metric);
+    return metric;
+  };
+
+  return {
+    /**
+     * @param {string} name
+     * @param {string} help
+     * @param {Array<string>} [labelNames]
+     * @returns {{ inc: Function }}
+     */
+    counter(name, help, labelNames = []) {
+      const metric = register(name, help, 'counter', labelNames);
+      return {
+        inc(labels = {}, amount = 1) {
+          metric.seriesOf(labels, () => ({ value: 0 })).value += amount;
+        }
+      };
+    },
+
+    /**
+     * @param {string} name
+     * @param {string} help
+     * @param {Array<string>} [labelNames]
+     * @param {Function} [collect] - Called before rendering, to set computed values
+     * @returns {{ inc: Function, dec: Function, set: Function }}
+     */
+    gauge(name, help, labelNames = [], collect = null) {
+      const metric = register(name, help, 'gauge', labelNames);
+      const gauge = {
+        inc(labels = {}, amount = 1) {
+          metric.seriesOf(labels, () => ({ value: 0 })).value += amount;
+        },
+        dec(labels = {}, amount = 1) {
+          metric.seriesOf(labels, () => ({ value: 0 })).value -= amount;
+        },
+        set(labels = {}, value) {
+          metric.seriesOf(labels, () => ({ value: 0 })).value = value;
+        }
+      };
+      metric.collect = collect && (() => collect(gauge));
+      return gauge;
+    },
+
+    /**
+     * @param {string} name
+     * @param {string} help
+     * @param {Array<string>} [labelNames]
+     * @param {Array<number>} [buckets] - Upper bounds, ascending
+     * @returns {{ observe: Function }}
+     */
+    histogram(name, help, labelNames = [], buckets = DURATION_BUCKETS) {
+      const metric = register(name, help, 'histogram', labelNames);
+      metric.buckets = buckets;
+      return {
+        observe(labels = {}, value) {
+          const entry = metric.seriesOf(labels, () => ({ counts: buckets.map(() => 0), sum: 0, count: 0 }));
+          buckets.forEach((bound, index) => {
+            if (value <= bound) entry.counts[index] += 1;
+          });
+          entry.sum += value;
+          entry.count += 1;
+        }
+      };
+    },
+
+    /**
+     * All metrics in the Prometheus text exposition format
+     * @returns {string}
+     */
+    render() {
+      const lines = [];
+      for (const metric of metrics) {
+        if (metric.collect) metric.collect();
+        lines.push(`# HELP ${metric.name} ${metric.help}`, `# TYPE ${metric.name} ${metric.type}`);
+
+        for (const entry of metric.series.values()) {
+          if (metric.type !== 'histogram') {
+            lines.push(`${metric.name}${formatLabels(entry.labels)} ${entry.value}`);
+            continue;
+          }
+          metric.buckets.forEach((bound, index) => {
+            lines.push(`${metric.name}_bucket${formatLabels({ ...entry.labels, le: bound })} ${entry.counts[index]}`);
+          });
+          lines.push(`${metric.name}_bucket${formatLabels({ ...entry.labels, le: '+Inf' })} ${entry.count}`);
+          lines.push(`${metric.name}_sum${formatLabels(entry.labels)} ${entry.sum}`);
+          lines.push(`${metric.name}_count${formatLabels(entry.labels)} ${entry.count}`);
+        }
+      }
+      return `${lines.join('\n')}\n`;
+    }
+  };
+}
+
+// Metrics of this process
+const registry = createRegistry();
+
+const httpRequests = registry.counter(
+  'http_requests_total', 'HTTP requests served', ['method', 'route', 'status']
+);
+const httpDuration = registry.histogram(
+  'http_request_duration_seconds', 'Time to finish HTTP responses', ['method', 'route']
+);
+const chatCompletions = registry.counter(
+  'chat_completions_total', 'Chat completions by the service and model that served them', ['service', 'model', 'status']
+);
+const chatDuration = registry.histogram(
+  'chat_completion_duration_seconds', 'Time to finish chat completions', ['service', 'model']
+);
+const chatTimeToFirstToken = registry.histogram(
+  'chat_time_to_first_token_seconds', 'Time until the first generated content was sent', ['service', 'model']
+);
+const upstreamErrors = registry.counter(
+  'upstream_errors_total', 'Failed chat completion attempts, including those followed by a failover', ['service', 'model', 'status']
+);
+const streamsInFlight = registry.gauge(
+  'chat_streams_in_flight', 'Streaming chat completions being served', ['service', 'model']
+);
+registry.gauge('process_resident_memory_bytes', 'Resident memory size', [], gauge => gauge.set({}, process.memoryUsage().rss));
+registry.gauge('process_uptime_seconds', 'Time since the server started', [], gauge => gauge.set({}, Math.round(process.uptime())));
+
+/**
+ * Route pattern of a request, so that IDs in paths do not create a series each
+ * @param {Object} req - Express request
+ * @returns {string}
+ */
+function routeOf(req) {
+  return req.route ? `${req.baseUrl}${req.route.path}` : 'other';
+}
+
+/**
+ * Count a finished HTTP response; a finish listener of requestLogger
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {number} durationMs
+ */
+function recordRequest(req, res, durationMs) {
+  const route = routeOf(req);
+  httpRequests.inc({ method: req.method, route, status: res.statusCode });
+  httpDuration.observe({ method: req.method, route }, durationMs / 1000);
+}
+
+/**
+ * Count a finished chat completion; a completion listener of the proxy routes
+ * @param {Object} req - Express request
+ * @param {Object} outcome - Outcome from executeRequest
+ * @param {Object} details - modelKey, serviceId, model and startedAt
+ */
+function recordCompletion(req, outcome, details) {
+  const labels = { service: details.serviceId, model: details.model };
+  chatCompletions.inc({ ...labels, status: outcome.cancelled ? 'cancelled' : outcome.statusCode });
+  chatDuration.observe(labels, (Date.now() - details.startedAt) / 1000);
+  if (outcome.firstTokenAt) {
+    chatTimeToFirstToken.observe(labels, (outcome.firstTokenAt - details.startedAt) / 1000);
+  }
+}
+
+/**
+ * Sets up the metrics route on the Express app. When METRICS_TOKEN is set,
+ * scrapers must send it as a bearer token.
+ * @param {object} app - Express app instance
+ */
+function setupMetricsRoutes(app) {
+  const digest = (value) => crypto.createHash('sha256').update(value).digest();
+  const token = process.env.METRICS_TOKEN ? digest(`Bearer ${process.env.METRICS_TOKEN}`) : null;
+
+  app.get('/metrics', (req, res) => {
+    if (token && !crypto.timingSafeEqual(token, digest(req.get('Authorization') || ''))) {
+      return res.status(401).json({
+        error: {
+          message: 'A valid metrics token is required',
+          type: 'authentication_error'
+        }
+      });
+    }
+    res.type('text/plain; version=0.0.4').send(registry.render());
+  });
+}
+
+module.exports = {
+  createRegistry,
+  upstreamErrors,
+  streamsInFlight,
+  recordRequest,
+  recordCompletion,
+  setupMetricsRoutes
+};
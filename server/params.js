@@ -0,0 +1,414 @@
+// params.js
+const { logger } = require('./logger');
+const {
+  DEFAULT_VALIDATION_RETRIES,
+  MAX_VALIDATION_RETRIES,
+  schemaProblem,
+  schemaInstruction
+} = require('./structured');
+
+// Defaults applied when the client does not send a value
+const DEFAULT_MAX_TOKENS = 1024;
+const DEFAULT_TEMPERATURE = 0.5;
+
+// Request fields handled by the proxy itself rather than forwarded as-is
+const PROXY_FIELDS = ['model', 'messages', 'stream', 'service_id', 'failover', 'validation_retries'];
+
+// Roles a chat message can have
+const MESSAGE_ROLES = ['system', 'user', 'assistant', 'tool'];
+
+// Largest image attachment, decoded, and most images in one request
+const ATTACHMENT_MAX_BYTES = Number(process.env.ATTACHMENT_MAX_BYTES) || 5 * 1024 * 1024;
+const ATTACHMENT_MAX_IMAGES = Number(process.env.ATTACHMENT_MAX_IMAGES) || 10;
+// Image types every vision API takes as base64 data URLs
+const IMAGE_DATA_URL = /^data:image\/(png|jpeg|gif|webp);base64,/;
+
+const isNumberBetween = (min, max) => (value) =>
+  typeof value === 'number' && Number.isFinite(value) && value >= min && value <= max
+    ? null
+    : `must be a number between ${min} and ${max}`;
+
+const isIntegerBetween = (min, max) => (value) =>
+  Number.isInteger(value) && value >= min && value <= max
+    ? null
+    : `must be an integer between ${min} and ${max}`;
+
+/**
+ * OpenAI chat completion parameters the proxy knows how to forward,
+ * with a validator returning an error message or null
+ */
+const PARAMETERS = {
+  max_tokens: isIntegerBetween(1, 1000000),
+  temperature: isNumberBetween(0, 2),
+  top_p: isNumberBetween(0, 1),
+  n: isIntegerBetween(1, 128),
+  seed: (value) => Number.isInteger(value) ? null : 'must be an integer',
+  presence_penalty: isNumberBetween(-2, 2),
+  frequency_penalty: isNumberBetween(-2, 2),
+  user: (value) => typeof value === 'string' ? null : 'must be a string',
+  stop: (value) => {
+    if (typeof value === 'string') return null;
+    if (Array.isArray(value) && value.length <= 4 && value.every(s => typeof s === 'string')) return null;
+    return 'must be a string or an array of up to 4 strings';
+  },
+  logit_bias: (value) => {
+    if (!value || typeof value !== 'object' || Array.isArray(value)) {
+      return 'must be an object mapping token IDs to bias values';
+    }
+    for (const [token, bias] of Object.entries(value)) {
+      if (!/^\d+$/.test(token)) return `has an invalid token ID "${token}"`;
+      if (typeof bias !== 'number' || bias < -100 || bias > 100) {
+        return `must map token IDs to numbers between -100 and 100 (token ${token})`;
+      }
+    }
+    return null;
+  },
+  tools: (value) => {
+    if (!Array.isArray(value) || value.length === 0) {
+      return 'must be a non-empty array of tool definitions';
+    }
+    for (const tool of value) {
+      if (!tool || tool.type !== 'function' || !tool.function || typeof tool.function.name !== 'string') {
+        return 'must contain objects of the form { type: "function", function: { name, description, parameters } }';
+      }
+      if (!/^[a-zA-Z0-9_-]{1,64}$/.test(tool.function.name)) {
+        return `has an invalid function name "${tool.function.name}"`;
+      }
+    }
+    return null;
+  },
+  tool_choice: (value) => {
+    if (['none', 'auto', 'required'].includes(value)) return null;
+    if (value && value.type === 'function' && value.function && typeof value.function.name === 'string') return null;
+    return 'must be "none", "auto", "required" or { type: "function", function: { name } }';
+  },
+  parallel_tool_calls: (value) => typeof value === 'boolean' ? null : 'must be a boolean',
+  response_format: (value) => {
+    if (!value || typeof value !== 'object' || !['text', 'json_object', 'json_schema'].includes(value.type)) {
+      return 'must be an object with type "text", "json_object" or "json_schema"';
+    }
+    if (value.type === 'json_schema') {
+      if (!value.json_schema || typeof value.json_schema !== 'object') {
+        return 'with type "json_schema" requires a json_schema object';
+      }
+      const problem = schemaProblem(value.json_schema.schema);
+      if (problem) {
+        return `json_schema.schema ${problem}`;
+      }
+    }
+    return null;
+  }
+};
+
+// Sampling parameters every chat model accepts
+const CHAT_PARAMETERS = [
+  'max_tokens', 'temperature', 'top_p', 'n', 'seed',
+  'presence_penalty', 'frequency_penalty', 'user', 'stop', 'logit_bias'
+];
+
+// Extra parameters unlocked by an advertised model capability
+const CAPABILITY_PARAMETERS = {
+  TOOLS: ['tools', 'tool_choice', 'parallel_tool_calls'],
+  JSON_MODE: ['response_format'],
+  STRUCTURED_OUTPUT: ['response_format']
+};
+
+/**
+ * Read a JSON object keyed by model key (`service_id|name`) from an
+ * environment variable
+ * @param {string} name - Environment variable name
+ * @returns {Object}
+ */
+function loadModelOverrides(name) {
+  if (!process.env[name]) {
+    return {};
+  }
+  try {
+    return JSON.parse(process.env[name]);
+  } catch (error) {
+    logger.error('Error parsing model overrides', { variable: name, error });
+    return {};
+  }
+}
+
+// MODEL_PARAMETERS maps model keys to the list of allowed parameters
+const parameterOverrides = loadModelOverrides('MODEL_PARAMETERS');
+
+// MODEL_CONTEXT_WINDOWS maps model keys to their context size in tokens
+const contextWindows = loadModelOverrides('MODEL_CONTEXT_WINDOWS');
+
+// MODEL_PRICING maps model keys to { input, output } prices in USD per million tokens
+const modelPricing = loadModelOverrides('MODEL_PRICING');
+
+/**
+ * Normalized (upper-case) capabilities of a model
+ * @param {Object} [model] - Model entry from getAllGenAIServices
+ * @returns {Array<string>}
+ */
+function capabilitiesOf(model) {
+  return ((model && model.capabilities) || []).map(capability => String(capability).toUpperCase());
+}
+
+/**
+ * Whether a model takes images in messages. Like with parameters, models
+ * that advertise no capabilities get the benefit of the doubt.
+ * @param {Object} [model] - Model entry from getAllGenAIServices
+ * @returns {boolean}
+ */
+function acceptsImages(model) {
+  const capabilities = capabilitiesOf(model);
+  return capabilities.length === 0 || capabilities.includes('VISION');
+}
+
+/**
+ * Check the shape of the messages array, before anything reads from it
+ * @param {*} messages - messages from the client request
+ * @returns {{ message: string, param: string }|null} Error, or null when valid
+ */
+function validateMessages(messages) {
+  if (!Array.isArray(messages) || messages.length === 0) {
+    return { message: 'messages must be a non-empty array', param: 'messages' };
+  }
+  const index = messages.findIndex(message =>
+    !message || typeof message !== 'object' || Array.isArray(message) || !MESSAGE_ROLES.includes(message.role));
+  if (index !== -1) {
+    return { message: `messages[${index}] must be an object with a valid role`, param: 'messages' };
+  }
+  return null;
+}
+
+/**
+ * Decoded size of a base64 data URL
+ * @param {string} url
+ * @returns {number} Bytes
+ */
+function dataUrlBytes(url) {
+  const data = url.slice(url.indexOf(',') + 1);
+  const padding = data.endsWith('==') ? 2 : data.endsWith('=') ? 1 : 0;
+  return Math.floor(data.length * 3 / 4) - padding;
+}
+
+/**
+ * Check message contents: a string, or for user messages an array of text
+ * and image_url parts within the attachment limits
+ * @param {Array<Object>} messages - Messages from the client request
+ * @param {string} modelName - Upstream model name
+ * @param {Object} [model] - Model entry from getAllGenAIServices
+ * @returns {string|null} Error message, or null when valid
+ */
+function validateContents(messages, modelName, model) {
+  let images = 0;
+  for (const [index, message] of messages.entries()) {
+    if (!Array.isArray(message.content)) {
+      continue;
+    }
+    for (const part of message.content) {
+      if (part && part.type === 'text' && typeof part.text === 'string') {
+        continue;
+      }
+      const url = part && part.type === 'image_url' && part.image_url && part.image_url.url;
+      if (typeof url !== 'string') {
+        return `messages[${index}].content must contain text and image_url parts only`;
+      }
+      if (message.role !== 'user') {
+        return `messages[${index}]: only user messages can contain images`;
+      }
+      if (url.startsWith('data:')) {
+        if (!IMAGE_DATA_URL.test(url)) {
+          return `messages[${index}]: images must be PNG, JPEG, GIF or WebP base64 data URLs`;
+        }
+        const bytes = dataUrlBytes(url);
+        if (bytes > ATTACHMENT_MAX_BYTES) {
+          return `messages[${index}]: an image of ${bytes} bytes exceeds the limit of ${ATTACHMENT_MAX_BYTES} bytes`;
+        }
+      } else if (!/^https?:\/\//.test(url)) {
+        return `messages[${index}]: image URLs must be data, http or https URLs`;
+      }
+      images += 1;
+    }
+  }
+
+  if (images > ATTACHMENT_MAX_IMAGES) {
+    return `Too many images: ${images}, at most ${ATTACHMENT_MAX_IMAGES} per request`;
+  }
+  if (images > 0 && !acceptsImages(model)) {
+    return `Model ${modelName} does not accept images`;
+  }
+  return null;
+}
+
+/**
+ * Parameters a model accepts. Models that advertise no capabilities (legacy
+ * bindings, local OpenAI) accept every known parameter.
+ * @param {Object} [model] - Model entry from getAllGenAIServices
+ * @returns {Array<string>}
+ */
+function allowedParameters(model) {
+  if (model && parameterOverrides[model.name]) {
+    return parameterOverrides[model.name];
+  }
+
+  const capabilities = capabilitiesOf(model);
+  if (capabilities.length === 0) {
+    return Object.keys(PARAMETERS);
+  }
+
+  const allowed = new Set(CHAT_PARAMETERS);
+  for (const capability of capabilities) {
+    (CAPABILITY_PARAMETERS[capability] || []).forEach(param => allowed.add(param));
+  }
+  return [...allowed];
+}
+
+/**
+ * Context window of a model, when configured. The client falls back to its
+ * table of well-known models otherwise.
+ * @param {Object} [model] - Model entry from getAllGenAIServices
+ * @returns {number|null} Size in tokens
+ */
+function contextWindow(model) {
+  const size = model && Number(contextWindows[model.name]);
+  return size > 0 ? size : null;
+}
+
+/**
+ * Validate the client request and build the body sent upstream.
+ * A `json_schema` response_format is always honoured: models that do not
+ * accept response_format get the schema as a system message instead. Either
+ * way `structured` tells the caller to check the answer against it.
+ * @param {Object} body - Client request body
+ * @param {string} modelName - Upstream model name
+ * @param {Object} [model] - Model entry from getAllGenAIServices, when known
+ * @returns {{ upstreamBody?: Object, structured?: Object, error?: { message: string, param: string|null } }}
+ *   structured holds the schema, whether the model enforces it (`native`)
+ *   and how many corrected answers to ask for (`retries`)
+ */
+function buildUpstreamBody(body, modelName, model) {
+  const capabilities = capabilitiesOf(model);
+  if (capabilities.length > 0 && !capabilities.includes('CHAT')) {
+    return {
+      error: {
+        message: `Model ${modelName} does not support chat completions`,
+        param: 'model'
+      }
+    };
+  }
+
+  const messagesProblem = validateMessages(body.messages);
+  if (messagesProblem) {
+    return { error: messagesProblem };
+  }
+
+  const contentProblem = validateContents(body.messages, modelName, model);
+  if (contentProblem) {
+    return {
+      error: {
+        message: contentProblem,
+        param: 'messages'
+      }
+    };
+  }
+
+  const retries = body.validation_retries ?? DEFAULT_VALIDATION_RETRIES;
+  if (!Number.isInteger(retries) || retries < 0 || retries > MAX_VALIDATION_RETRIES) {
+    return {
+      error: {
+        message: `Invalid value for validation_retries: must be an integer between 0 and ${MAX_VALIDATION_RETRIES}`,
+        param: 'validation_retries'
+      }
+    };
+  }
+
+  const allowed = allowedParameters(model);
+  const upstreamBody = {
+    model: modelName,
+    messages: body.messages
+  };
+  let structured = null;
+
+  for (const [param, value] of Object.entries(body)) {
+    if (PROXY_FIELDS.includes(param) || value === undefined || value === null) {
+      continue;
+    }
+
+    const validate = PARAMETERS[param];
+    if (!validate) {
+      return {
+        error: {
+          message: `Unrecognized request argument supplied: ${param}`,
+          param
+        }
+      };
+    }
+    const emulated = param === 'response_format' && value.type === 'json_schema' && !allowed.includes(param);
+    if (!allowed.includes(param) && !emulated) {
+      return {
+        error: {
+          message: `Parameter ${param} is not supported by model ${modelName}`,
+          param
+        }
+      };
+    }
+
+    const problem = validate(value);
+    if (problem) {
+      return {
+        error: {
+          message: `Invalid value for ${param}: ${param} ${problem}`,
+          param
+        }
+      };
+    }
+
+    if (param === 'response_format' && value.type === 'json_schema') {
+      const { schema } = value.json_schema;
+      structured = { schema, native: !emulated, retries };
+      if (emulated) {
+        upstreamBody.messages = [schemaInstruction(schema), ...upstreamBody.messages];
+        continue;
+      }
+      // OpenAI requires a name, the client may leave it out
+      upstreamBody[param] = { ...value, json_schema: { name: 'response', ...value.json_schema } };
+      continue;
+    }
+
+    upstreamBody[param] = value;
+  }
+
+  // Only fill in defaults for values the client left out, so an explicit 0 is kept
+  if (upstreamBody.max_tokens === undefined && allowed.includes('max_tokens')) {
+    upstreamBody.max_tokens = DEFAULT_MAX_TOKENS;
+  }
+  if (upstreamBody.temperature === undefined && allowed.includes('temperature')) {
+    upstreamBody.temperature = DEFAULT_TEMPERATURE;
+  }
+
+  return { upstreamBody, structured };
+}
+
+/**
+ * Price of a model, when configured
+ * @param {Object} [model] - Model entry from getAllGenAIServices
+ * @returns {{ input: number, output: number }|null} USD per million prompt and completion tokens
+ */
+function pricing(model) {
+  const price = model && modelPricing[model.name];
+  if (!price || typeof price !== 'object') {
+    return null;
+  }
+  const input = Number(price.input);
+  const output = Number(price.output);
+  return input >= 0 && output >= 0 ? { input, output } : null;
+}
+
+module.exports = {
+  ATTACHMENT_MAX_BYTES,
+  ATTACHMENT_MAX_IMAGES,
+  buildUpstreamBody,
+  validateMessages,
+  allowedParameters,
+  acceptsImages,
+  contextWindow,
+  pricing,
+  loadModelOverrides
+};
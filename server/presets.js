@@ -0,0 +1,180 @@
+// presets.js
+const crypto = require('crypto');
+const { isAdmin } = require('./auth');
+const { sendError } = require('./conversations');
+const { logger } = require('./logger');
+
+const COLLECTION = 'presets';
+
+const MAX_NAME_LENGTH = 100;
+const MAX_PROMPT_LENGTH = 20000;
+
+/**
+ * Presets available to everyone. System prompts may contain {{variables}};
+ * `variables` holds their default values.
+ */
+const BUILT_IN_PRESETS = [
+  {
+    id: 'builtin-assistant',
+    name: 'Assistant',
+    description: 'General-purpose helpful assistant',
+    systemPrompt: 'You are a helpful assistant.',
+    variables: {}
+  },
+  {
+    id: 'builtin-code-reviewer',
+    name: 'Code reviewer',
+    description: 'Reviews code for bugs, readability and style',
+    systemPrompt: 'You are an experienced {{language}} developer reviewing code. ' +
+      'Point out bugs, security issues and unclear code first, then style. ' +
+      'Quote the lines you comment on and suggest concrete fixes.',
+    variables: { language: 'JavaScript' }
+  },
+  {
+    id: 'builtin-translator',
+    name: 'Translator',
+    description: 'Translates every message into another language',
+    systemPrompt: 'You are a professional translator. Translate each message from the user into {{language}}, ' +
+      'keeping the meaning, tone and formatting. Reply with the translation only.',
+    variables: { language: 'English' }
+  },
+  {
+    id: 'builtin-sql-helper',
+    name: 'SQL helper',
+    description: 'Writes and explains SQL queries',
+    systemPrompt: 'You are a {{dialect}} expert. Write correct, readable SQL for the user\'s requests, ' +
+      'explain non-obvious parts briefly and mention indexes that would help. ' +
+      'Ask for the schema when you need it.',
+    variables: { dialect: 'PostgreSQL' }
+  }
+].map(preset => ({ ...preset, builtIn: true, editable: false }));
+
+/**
+ * Validate a preset sent by a client
+ * @param {Object} body - Request body
+ * @returns {{ preset?: Object, error?: string }} Validated fields
+ */
+function validatePreset(body) {
+  const { name, description = '', systemPrompt, variables = {} } = body || {};
+
+  if (typeof name !== 'string' || !name.trim() || name.length > MAX_NAME_LENGTH) {
+    return { error: `name must be a non-empty string of at most ${MAX_NAME_LENGTH} characters` };
+  }
+  if (typeof description !== 'string') {
+    return { error: 'description must be a string' };
+  }
+  if (typeof systemPrompt !== 'string' || systemPrompt.length > MAX_PROMPT_LENGTH) {
+    return { error: `systemPrompt must be a string of at most ${MAX_PROMPT_LENGTH} characters` };
+  }
+  if (!variables || typeof variables !== 'object' || Array.isArray(variables) ||
+      !Object.values(variables).every(value => typeof value === 'string')) {
+    return { error: 'variables must be an object mapping variable names to default values' };
+  }
+
+  return {
+    preset: { name: name.trim(), description, systemPrompt, variables }
+  };
+}
+
+/**
+ * Whether a user may change a shared preset: its author or an admin
+ * @param {Object} preset - Stored preset
+ * @param {Object} user - Authenticated user
+ * @returns {boolean}
+ */
+function canEdit(preset, user) {
+  return preset.createdBy === user.id || isAdmin(user);
+}
+
+/**
+ * Sets up the prompt preset routes on the Express app. Presets created
+ * through the API are shared with every user; only their author or an admin
+ * can change them.
+ * @param {object} app - Express app instance
+ * @param {object} store - Store implementing the storage interface (see store.js)
+ */
+function setupPresetRoutes(app, store) {
+  // Built-in presets first, then shared presets by name
+  app.get('/api/presets', async (req, res) => {
+    try {
+      const shared = (await store.list(COLLECTION))
+        .sort((a, b) => a.name.localeCompare(b.name))
+        .map(preset => ({ ...preset, editable: canEdit(preset, req.user) }));
+      res.json({ presets: [...BUILT_IN_PRESETS, ...shared] });
+    } catch (error) {
+      logger.error('Error listing presets', { error });
+      sendError(res, 500, 'Failed to list presets', 'server_error');
+    }
+  });
+
+  app.post('/api/presets', async (req, res) => {
+    try {
+      const { preset, error } = validatePreset(req.body);
+      if (error) {
+        return sendError(res, 400, error);
+      }
+
+      const now = Date.now();
+      const created = await store.put(COLLECTION, {
+        id: crypto.randomUUID(),
+        ...preset,
+        createdBy: req.user.id,
+        createdAt: now,
+        updatedAt: now
+      });
+      res.status(201).json({ ...created, editable: true });
+    } catch (error) {
+      logger.error('Error creating preset', { error });
+      sendError(res, 500, 'Failed to create preset', 'server_error');
+    }
+  });
+
+  app.put('/api/presets/:id', async (req, res) => {
+    try {
+      if (BUILT_IN_PRESETS.some(preset => preset.id === req.params.id)) {
+        return sendError(res, 403, 'Built-in presets cannot be changed', 'permission_error');
+      }
+      const existing = await store.get(COLLECTION, req.params.id);
+      if (!existing) {
+        return sendError(res, 404, 'Preset not found');
+      }
+      if (!canEdit(existing, req.user)) {
+        return sendError(res, 403, 'Only the author of a preset or an admin can change it', 'permission_error');
+      }
+
+      const { preset, error } = validatePreset(req.body);
+      if (error) {
+        return sendError(res, 400, error);
+      }
+
+      const updated = await store.put(COLLECTION, { ...existing, ...preset, updatedAt: Date.now() });
+      res.json({ ...updated, editable: true });
+    } catch (error) {
+      logger.error('Error updating preset', { error });
+      sendError(res, 500, 'Failed to update preset', 'server_error');
+    }
+  });
+
+  app.delete('/api/presets/:id', async (req, res) => {
+    try {
+      if (BUILT_IN_PRESETS.some(preset => preset.id === req.params.id)) {
+        return sendError(res, 403, 'Built-in presets cannot be deleted', 'permission_error');
+      }
+      const existing = await store.get(COLLECTION, req.params.id);
+      if (!existing) {
+        return sendError(res, 404, 'Preset not found');
+      }
+      if (!canEdit(existing, req.user)) {
+        return sendError(res, 403, 'Only the author of a preset or an admin can delete it', 'permission_error');
+      }
+
+      await store.delete(COLLECTION, existing.id);
+      res.status(204).end();
+    } catch (error) {
+      logger.error('Error deleting preset', { error });
+      sendError(res, 500, 'Failed to delete preset', 'server_error');
+    }
+  });
+}
+
+module.exports = { setupPresetRoutes };
@@ -1,337 +1,367 @@
 // proxy.js
 const axios = require('axios');
-const https = require('https');
+const { requireAdmin } = require('./auth');
+const { serviceRegistry, normalizeBaseUrl, resolveEndpoints } = require('./services');
+const { adapterOf, createAxiosInstance, createUpstreamClient } = require('./adapters');
+const {
+  ATTACHMENT_MAX_BYTES,
+  ATTACHMENT_MAX_IMAGES,
+  buildUpstreamBody,
+  validateMessages,
+  allowedParameters,
+  acceptsImages,
+  contextWindow,
+  pricing
+} = require('./params');
+const { UPSTREAM_TIMEOUT_MS, isTransientError, createCircuitBreaker, failoverChain } = require('./resilience');
+const { logger } = require('./logger');
+const { upstreamErrors, streamsInFlight } = require('./metrics');
+const { validateOutput, retryInstruction } = require('./structured');
 
 /**
- * Fetch models from config URL for multi-plan services
- * @param {string} configUrl - The config URL to fetch models from
- * @param {string} apiKey - API key for authentication
- * @returns {Promise<Array>} Array of model objects
+ * Get all GenAI services and their models from the service registry
+ * @returns {Promise<Array<Object>>} Services with their models
  */
-async function fetchModelsFromConfig(configUrl, apiKey) {
-  try {
-    const httpsAgent = new https.Agent({
-      rejectUnauthorized: false
-    });
-    
-    const response = await axios.get(configUrl, {
-      headers: {
-        'Authorization': `Bearer ${apiKey}`,
-        'Content-Type': 'application/json'
-      },
-      httpsAgent: httpsAgent
-    });
-    
-    if (response.data && response.data.advertisedModels) {
-      return response.data.advertisedModels.map(model => ({
-        name: model.name,
-        display_name: model.description || model.name,
-        is_default: false, // We'll set the first one as default later
-        capabilities: model.capabilities || []
-      }));
+async function getAllGenAIServices() {
+  return serviceRegistry.getServices();
+}
+
+/**
+ * Get the API key, endpoints and models of a service
+ * @param {string} [serviceId] - ID or name of the service; the first service when omitted
+ * @returns {Promise<Object>} Object containing API key, base URL, upstream
+ *   endpoints, extra headers, TLS settings and available models
+ */
+async function getOpenAIConfig(serviceId = null) {
+  // Default config if direct environment variables are set
+  let apiKey = process.env.OPENAI_API_KEY;
+  let baseUrl = process.env.OPENAI_BASE_URL || 'https://api.openai.com';
+  let availableModels = ['gpt-4']; // Default model
+  let defaultModel = 'gpt-4';
+  let headers = {};
+  let paths = {};
+  let adapter = 'openai';
+  let apiVersion = null;
+  let id = 'default';
+  let tlsVerify = true;
+
+  // Bound services (Cloud Foundry) and declared providers
+  const { binding, models } = await serviceRegistry.getBinding(serviceId);
+  if (binding) {
+    // Single-model bindings without a key fall back to OPENAI_API_KEY
+    apiKey = binding.apiKey || (binding.type === 'genai' && !binding.multiPlan ? apiKey : null);
+    baseUrl = binding.baseUrl || baseUrl;
+    headers = binding.headers;
+    paths = binding.paths;
+    adapter = binding.adapter;
+    apiVersion = binding.apiVersion;
+    id = binding.id;
+    tlsVerify = binding.tlsVerify;
+
+    if (models.length > 0) {
+      // Use original model names for API calls
+      availableModels = models.map(m => m.original_name);
+      defaultModel = (models.find(m => m.is_default) || models[0]).original_name;
     }
-    
-    return [];
-  } catch (error) {
-    console.error(`Error fetching models from config URL ${configUrl}:`, error.message);
-    return [];
   }
+  
+  if (!apiKey && adapterOf({ adapter }).requiresApiKey) {
+    logger.warn('No OpenAI API key found in environment, VCAP_SERVICES or the providers file', { service: id });
+  }
+
+  baseUrl = normalizeBaseUrl(baseUrl);
+  return {
+    serviceId: id,
+    apiKey,
+    baseUrl,
+    tlsVerify,
+    availableModels,
+    defaultModel,
+    adapter,
+    apiVersion,
+    headers,
+    ...resolveEndpoints(baseUrl, adapter, paths)
+  };
 }
 
 /**
- * Get OpenAI configuration from environment variables or VCAP_SERVICES
- * @returns {Object} Object containing API key, base URL, and available models
+ * Whether requests to a service cannot be sent for lack of an API key
+ * @param {Object} config - Service configuration from getOpenAIConfig
+ * @returns {boolean}
  */
-async function getAllGenAIServices() {
-  const services = [];
-  
-  // Check for VCAP_SERVICES (Cloud Foundry)
-  if (process.env.VCAP_SERVICES) {
-    try {
-      const vcapServices = JSON.parse(process.env.VCAP_SERVICES);
-      
-      const serviceTypes = ['genai'];
-      
-      for (const serviceType of serviceTypes) {
-        if (vcapServices[serviceType] && Array.isArray(vcapServices[serviceType])) {
-          // Loop through each instance of this service type
-          for (let index = 0; index < vcapServices[serviceType].length; index++) {
-            const service = vcapServices[serviceType][index];
-            if (service.credentials) {
-              const credentials = service.credentials;
-              const serviceId = service.instance_guid || `${serviceType}-${index}`;
-              const serviceName = service.instance_name || service.name || `${serviceType}-${index}`;
-              const plan = service.plan || 'unknown';
-              
-              let baseUrl = null;
-              let models = [];
-              let hasApiKey = false;
-              
-              // Handle multi-plan services (new format)
-              if (plan === 'multi' && credentials.endpoint) {
-                baseUrl = credentials.endpoint.api_base;
-                hasApiKey = !!credentials.endpoint.api_key;
-                
-                // Fetch models from config URL
-                if (credentials.endpoint.config_url && credentials.endpoint.api_key) {
-                  try {
-                    const fetchedModels = await fetchModelsFromConfig(
-                      credentials.endpoint.config_url, 
-                      credentials.endpoint.api_key
-                    );
-                    
-                    // Create unique model identifiers for multi-plan services
-                    models = fetchedModels.map((model, index) => ({
-                      id: `${serviceId}|${model.name}`, // Unique identifier
-                      name: `${serviceId}|${model.name}`, // Unique name for frontend (includes service)
-                      original_name: model.name, // Original model name for API calls
-                      display_name: `${model.display_name}`, // User-friendly name with service context
-                      is_default: index === 0, // First model is default
-                      capabilities: model.capabilities || [],
-                      service_id: serviceId,
-                      service_name: serviceName
-                    }));
-                  } catch (error) {
-                    console.error(`Failed to fetch models for service ${serviceName}:`, error.message);
-                  }
-                }
-              } 
-              // Handle legacy format
-              else {
-                // Get base URL (legacy format)
-                if (credentials.api_base) {
-                  baseUrl = credentials.api_base;
-                } else if (credentials.base_url) {
-                  baseUrl = credentials.base_url;
-                }
-                
-                hasApiKey = !!credentials.api_key;
-                
-                // Get available models (legacy format)
-                // Primary model from model_name
-                if (credentials.model_name) {
-                  models.push({
-                    id: `${serviceId}|${credentials.model_name}`, // Unique identifier
-                    name: `${serviceId}|${credentials.model_name}`, // Unique name for frontend (includes service)
-                    original_name: credentials.model_name, // Original model name for API calls
-                    display_name: `${credentials.model_name}`, // User-friendly name with service context
-                    is_default: true,
-                    capabilities: [],
-                    service_id: serviceId,
-                    service_name: serviceName
-                  });
-                }
-                
-                // Model aliases if available
-                if (credentials.model_aliases && Array.isArray(credentials.model_aliases)) {
-                  credentials.model_aliases.forEach(alias => {
-                    // Check if this alias is already added by name (not ID)
-                    if (!models.some(m => m.name === alias)) {
-                      models.push({
-                        id: `${serviceId}|${alias}`, // Unique identifier
-                        name: `${serviceId}|${alias}`, // Unique name for frontend (includes service)
-                        original_name: alias, // Original model name for API calls
-                        display_name: `${alias} (${serviceName})`, // User-friendly name with service context
-                        is_default: false,
-                        capabilities: [],
-                        service_id: serviceId,
-                        service_name: serviceName
-                      });
-                    }
-                  });
-                }
-              }
-              
-              // Add service info
-              services.push({
-                id: serviceId,
-                name: serviceName,
-                type: serviceType,
-                plan: plan,
-                base_url: baseUrl,
-                models: models,
-                // Do NOT include the API key for security reasons
-                has_api_key: hasApiKey
-              });
-            }
-          }
-        }
+function isMissingApiKey(config) {
+  return !config.apiKey && adapterOf(config).requiresApiKey;
+}
+
+// Services whose upstream rejected a `stream: true` request. Once a service
+// lands here we go straight to simulated streaming for it.
+const nonStreamingServices = new Set();
+
+// Services that keep failing are skipped for a while instead of making
+// every user wait for the same timeout
+const circuitBreaker = createCircuitBreaker();
+
+/**
+ * Extract a safe error message and status code from an axios error
+ * @param {Error} error - Axios error
+ * @param {string} fallbackMessage - Message to use when nothing better is available
+ * @returns {{ statusCode: number, errorMessage: string }}
+ */
+function describeUpstreamError(error, fallbackMessage = 'Error processing request') {
+  let errorMessage = fallbackMessage;
+  let statusCode = 500;
+
+  if (error.response) {
+    statusCode = error.response.status || 500;
+    if (error.response.data && typeof error.response.data === 'object') {
+      // Try to extract error message safely
+      const errorData = error.response.data;
+      if (errorData.error && errorData.error.message) {
+        errorMessage = errorData.error.message;
+      } else if (typeof errorData.error === 'string' && errorData.error) {
+        errorMessage = errorData.error;
+      } else if (errorData.message) {
+        errorMessage = errorData.message;
       }
-    } catch (error) {
-      console.error('Error parsing VCAP_SERVICES for all GenAI services:', error.message);
+    } else if (typeof error.response.data === 'string' && error.response.data) {
+      errorMessage = error.response.data.substring(0, 500);
     }
+  } else if (error.message) {
+    errorMessage = error.message;
   }
-  
-  // If no services found and environment has OPENAI_API_KEY, add a local service
-  if (services.length === 0 && process.env.OPENAI_API_KEY) {
-    services.push({
-      id: 'local-openai',
-      name: 'Local OpenAI',
-      type: 'environment',
-      plan: 'default',
-      base_url: process.env.OPENAI_BASE_URL || 'https://api.openai.com',
-      models: [
-        { 
-          id: 'local-openai:gpt-4',
-          name: 'local-openai:gpt-4', // Unique name for frontend
-          original_name: 'gpt-4', // Original model name for API calls
-          display_name: 'GPT-4 (Local OpenAI)', 
-          is_default: true, 
-          capabilities: ['CHAT'],
-          service_id: 'local-openai',
-          service_name: 'Local OpenAI'
-        },
-        { 
-          id: 'local-openai:gpt-3.5-turbo',
-          name: 'local-openai:gpt-3.5-turbo', // Unique name for frontend
-          original_name: 'gpt-3.5-turbo', // Original model name for API calls
-          display_name: 'GPT-3.5 Turbo (Local OpenAI)', 
-          is_default: false, 
-          capabilities: ['CHAT'],
-          service_id: 'local-openai',
-          service_name: 'Local OpenAI'
-        }
-      ],
-      has_api_key: true
-    });
+
+  return { statusCode, errorMessage };
+}
+
+/**
+ * Read a stream-typed axios error body into a parsed object (or string)
+ * so that it can be reported like a regular JSON error response
+ * @param {Error} error - Axios error raised for a `responseType: 'stream'` request
+ */
+async function readStreamErrorBody(error) {
+  const data = error.response && error.response.data;
+  if (!data || typeof data.on !== 'function') {
+    return;
+  }
+
+  let raw = '';
+  try {
+    for await (const chunk of data) {
+      raw += chunk.toString();
+      if (raw.length > 10000) break;
+    }
+  } catch {
+    // Ignore read errors, the status code is still meaningful
+  }
+
+  try {
+    error.response.data = JSON.parse(raw);
+  } catch {
+    error.response.data = raw;
+  }
+}
+
+/**
+ * Whether the client connection has gone away (finished or aborted)
+ * @param {Object} res - Express response object
+ * @returns {boolean}
+ */
+function isClientGone(res) {
+  return res.writableEnded || res.destroyed;
+}
+
+/**
+ * Create the outcome record filled in while a completion is served.
+ * It is returned by executeRequest so callers can account for the request.
+ * @returns {Object} Outcome with status, upstream usage and timing
+ */
+function createOutcome() {
+  return {
+    statusCode: 200,
+    usage: null, // Upstream `usage` object when the provider reports it
+    completionChars: 0, // Characters generated, used to estimate usage when missing
+    firstTokenAt: null, // Timestamp of the first content sent to the client
+    cancelled: false,
+    // The service could not answer (network error, timeout, overload)
+    unavailable: false,
+    errorMessage: null
+  };
+}
+
+/**
+ * Record a delta or message chunk in the outcome
+ * @param {Object} outcome - Outcome from createOutcome
+ * @param {Object} data - Parsed chunk or response
+ */
+function trackChunk(outcome, data) {
+  if (!data || typeof data !== 'object') return;
+
+  if (data.usage) {
+    outcome.usage = data.usage;
+  }
+  const choice = data.choices && data.choices[0];
+  const message = choice && (choice.delta || choice.message);
+  const toolCalls = (message && message.tool_calls) || [];
+  const content = ((message && message.content) || '') +
+    toolCalls.map(call => (call.function && call.function.arguments) || '').join('');
+  if (content) {
+    outcome.completionChars += content.length;
+    if (!outcome.firstTokenAt) {
+      outcome.firstTokenAt = Date.now();
+    }
+  }
+}
+
+/**
+ * Mark the outcome as failed
+ * @param {Object} outcome - Outcome from createOutcome
+ * @param {number} statusCode - HTTP status code
+ * @param {string} errorMessage - Error message
+ * @returns {Object} The outcome
+ */
+function failOutcome(outcome, statusCode, errorMessage) {
+  outcome.statusCode = statusCode;
+  outcome.errorMessage = errorMessage;
+  return outcome;
+}
+
+/**
+ * Write a complete answer to the client as a sequence of SSE chunks.
+ * Used for providers that do not support upstream streaming.
+ * @param {Object} data - Non-streaming chat completion response
+ * @param {Object} res - Express response object
+ * @param {Object} outcome - Outcome from createOutcome
+ */
+async function simulateStream(data, res, outcome) {
+  if (!data || !data.choices || data.choices.length === 0) {
+    throw new Error('Invalid response format from API');
+  }
+
+  const message = data.choices[0].message || {};
+  const content = message.content || '';
+  outcome.usage = data.usage || null;
+
+  // Simulate streaming by sending chunks of the content
+  const chunkSize = 20; // characters per chunk
+  for (let i = 0; i < content.length; i += chunkSize) {
+    if (isClientGone(res)) {
+      outcome.cancelled = true;
+      return outcome;
+    }
+
+    const chunk = content.substring(i, i + chunkSize);
+    res.write(`data: ${JSON.stringify({ 
+      choices: [{ delta: { content: chunk } }] 
+    })}\n\n`);
+    trackChunk(outcome, { choices: [{ delta: { content: chunk } }] });
+    
+    // Add a small delay to simulate streaming
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+
+  // Tool calls are sent in one delta each, like the OpenAI streaming format
+  const toolCalls = message.tool_calls || [];
+  toolCalls.forEach((call, index) => {
+    const delta = { tool_calls: [{ index, id: call.id, type: call.type || 'function', function: call.function }] };
+    res.write(`data: ${JSON.stringify({ choices: [{ delta }] })}\n\n`);
+    trackChunk(outcome, { choices: [{ delta }] });
+  });
+
+  // Report why generation stopped (e.g. "tool_calls") in a final empty delta
+  if (data.choices[0].finish_reason) {
+    res.write(`data: ${JSON.stringify({ 
+      choices: [{ delta: {}, finish_reason: data.choices[0].finish_reason }] 
+    })}\n\n`);
+  }
+
+  // Schema validation result of a structured output request
+  if (data.structured_output) {
+    res.write(`data: ${JSON.stringify({ choices: [], structured_output: data.structured_output })}\n\n`);
   }
   
-  return services;
+  res.write('data: [DONE]\n\n');
+  res.end();
+  return outcome;
 }
 
-async function getOpenAIConfig(serviceId = null) {
-  // Default config if direct environment variables are set
-  let apiKey = process.env.OPENAI_API_KEY;
-  let baseUrl = process.env.OPENAI_BASE_URL || 'https://api.openai.com';
-  let availableModels = ['gpt-4']; // Default model
-  let defaultModel = 'gpt-4';
+/**
+ * Relay an upstream SSE stream to the client as chunks arrive
+ * @param {Object} upstream - Readable stream from axios (`responseType: 'stream'`)
+ * @param {Object} res - Express response object
+ * @param {Object} outcome - Outcome from createOutcome
+ */
+function relayStream(upstream, res, outcome) {
+  return new Promise((resolve, reject) => {
+    let buffer = '';
+    let done = false;
 
-  // Check for VCAP_SERVICES (Cloud Foundry)
-  if (process.env.VCAP_SERVICES) {
-    try {
-      const vcapServices = JSON.parse(process.env.VCAP_SERVICES);
-      
-      // Find all GenAI services
-      const serviceTypes = ['genai'];
-      let selectedService = null;
-      
-      // Search for the specific service if ID is provided
-      if (serviceId) {
-        for (const serviceType of serviceTypes) {
-          if (vcapServices[serviceType] && Array.isArray(vcapServices[serviceType])) {
-            const foundService = vcapServices[serviceType].find(
-              s => s.instance_guid === serviceId || 
-                  (s.instance_name && s.instance_name === serviceId) ||
-                  (s.name && s.name === serviceId)
-            );
-            
-            if (foundService) {
-              selectedService = foundService;
-              break;
-            }
-          }
-        }
+    // Give up on a stream that stalls half way
+    let idleTimer = null;
+    const watchIdle = () => {
+      clearTimeout(idleTimer);
+      idleTimer = setTimeout(() => {
+        const error = new Error(`No data from upstream for ${UPSTREAM_TIMEOUT_MS} ms`);
+        error.code = 'ETIMEDOUT';
+        upstream.destroy(error);
+      }, UPSTREAM_TIMEOUT_MS);
+    };
+    watchIdle();
+
+    const finish = () => {
+      if (done) return;
+      done = true;
+      clearTimeout(idleTimer);
+      if (!isClientGone(res)) {
+        res.write('data: [DONE]\n\n');
+        res.end();
       }
-      
-      // If no specific service found or no ID provided, use the first available
-      if (!selectedService) {
-        for (const serviceType of serviceTypes) {
-          if (vcapServices[serviceType] && 
-              Array.isArray(vcapServices[serviceType]) && 
-              vcapServices[serviceType].length > 0) {
-            selectedService = vcapServices[serviceType][0];
-            break;
-          }
+      resolve(outcome);
+    };
+
+    upstream.on('data', (chunk) => {
+      watchIdle();
+      buffer += chunk.toString('utf8');
+      const lines = buffer.split('\n');
+      buffer = lines.pop() || '';
+
+      for (const rawLine of lines) {
+        const line = rawLine.trim();
+        // Skip blank separators, SSE comments and non-data fields
+        if (!line.startsWith('data:')) continue;
+
+        const payload = line.substring(5).trim();
+        if (payload === '[DONE]') {
+          finish();
+          return;
         }
-      }
-      
-      // Extract credentials from the selected service
-      if (selectedService && selectedService.credentials) {
-        const credentials = selectedService.credentials;
-        const plan = selectedService.plan || 'unknown';
-        
-        // Handle multi-plan services (new format)
-        if (plan === 'multi' && credentials.endpoint) {
-          apiKey = credentials.endpoint.api_key;
-          baseUrl = credentials.endpoint.api_base;
-          
-          // Fetch models for multi-plan service
-          if (credentials.endpoint.config_url) {
-            try {
-              const fetchedModels = await fetchModelsFromConfig(
-                credentials.endpoint.config_url, 
-                credentials.endpoint.api_key
-              );
-              
-              if (fetchedModels.length > 0) {
-                // Create unique model identifiers and get the actual model names
-                const modelsWithIds = fetchedModels.map((model, index) => ({
-                  id: `${selectedService.instance_guid || selectedService.name}:${model.name}`,
-                  name: `${selectedService.instance_guid || selectedService.name}:${model.name}`, // Unique name for frontend
-                  original_name: model.name, // Original model name for API calls
-                  display_name: model.display_name,
-                  is_default: index === 0,
-                  capabilities: model.capabilities || [],
-                  service_id: selectedService.instance_guid || selectedService.name
-                }));
-                
-                availableModels = modelsWithIds.map(m => m.original_name); // Use original model names for API calls
-                defaultModel = modelsWithIds.find(m => m.is_default)?.original_name || modelsWithIds[0].original_name;
-              }
-            } catch (error) {
-              console.error('Error fetching models for config:', error.message);
-            }
-          }
+        try {
+          trackChunk(outcome, JSON.parse(payload));
+        } catch {
+          // Forward unparseable chunks untouched, the client decides what to do
         }
-        // Handle legacy format
-        else {
-          // Extract API key
-          if (credentials.api_key) {
-            apiKey = credentials.api_key;
-          }
-          
-          // Extract base URL
-          if (credentials.api_base) {
-            baseUrl = credentials.api_base;
-          } else if (credentials.base_url) {
-            baseUrl = credentials.base_url;
-          }
-          
-          // Extract available models
-          if (credentials.model_name) {
-            defaultModel = credentials.model_name;
-            availableModels = [credentials.model_name];
-          }
-          
-          // Add model aliases if available
-          if (credentials.model_aliases && Array.isArray(credentials.model_aliases)) {
-            availableModels = [...availableModels, ...credentials.model_aliases];
-          }
+        if (!isClientGone(res)) {
+          res.write(`data: ${payload}\n\n`);
         }
-        
-        console.log(`Using service: ${selectedService.instance_name || selectedService.name || 'unnamed'} (plan: ${plan})`);
-        console.log(`Found GenAI service binding with base URL: ${baseUrl}`);
-        console.log(`Available models: ${availableModels.join(', ')}`);
       }
-    } catch (error) {
-      console.error('Error parsing VCAP_SERVICES:', error.message);
-    }
-  }
-  
-  if (!apiKey) {
-    console.warn('No OpenAI API key found in environment or VCAP_SERVICES');
-  }
+    });
 
-  // Ensure the baseUrl doesn't end with a trailing slash
-  baseUrl = baseUrl.replace(/\/+$/, '');
+    upstream.on('end', finish);
+    upstream.on('error', (error) => {
+      if (done) return;
+      done = true;
+      clearTimeout(idleTimer);
+      reject(error);
+    });
 
-  // Only for OpenAI's official API, ensure the v1 path is included
-  if (baseUrl === 'https://api.openai.com' && !baseUrl.endsWith('/v1')) {
-    baseUrl = `${baseUrl}/v1`;
-    console.log('Using OpenAI API with v1 path:', baseUrl);
-  }
-  
-  return { apiKey, baseUrl, availableModels, defaultModel };
+    // Stop reading from the upstream as soon as the client goes away
+    res.on('close', () => {
+      if (!done) {
+        outcome.cancelled = true;
+        upstream.destroy();
+        finish();
+      }
+    });
+  });
 }
 
 /**
@@ -341,148 +371,406 @@ async function getOpenAIConfig(serviceId = null) {
  * @param {Object} minimalBody - The request body
  * @param {boolean} stream - Whether to stream the response
  * @param {Object} res - Express response object
+ * @param {Object} [options]
+ * @param {string} [options.serviceKey] - Identifies the upstream service for streaming fallback detection
+ * @param {AbortSignal} [options.signal] - Aborts the upstream call when the client disconnects
+ * @param {boolean} [options.failover] - Leave unavailable-service errors unanswered
+ *   when nothing was sent yet, so the caller can try another service
+ * @returns {Promise<Object>} Outcome of the request (see createOutcome)
  */
-async function executeRequest(client, chatEndpoint, minimalBody, stream, res) {
-
-  // console.log('REQUEST CLIENT: ', client)
-  // console.log('REQUEST CHATENDPOINT: ', chatEndpoint)
-  // console.log('REQUEST MINIMALBODY: ', minimalBody)
-  // console.log('REQUEST STREAM: ', stream)
-  // console.log('REQUEST RES: ', res)
+async function executeRequest(client, chatEndpoint, minimalBody, stream, res, options = {}) {
+  const { serviceKey = chatEndpoint, signal, failover = false } = options;
+  const outcome = createOutcome();
 
   // If streaming is not requested, forward normally
   if (!stream) {
     try {
-      console.log('Making non-streaming request');
+      logger.debug('Making non-streaming request');
       
-      const response = await client.post(chatEndpoint, minimalBody);
-      return res.json(response.data);
+      const response = await client.post(chatEndpoint, { ...minimalBody, stream: false }, { signal });
+      trackChunk(outcome, response.data);
+      res.json(response.data);
+      return outcome;
     } catch (nonStreamError) {
-      console.error('Non-streaming error:', nonStreamError.message);
-      if (nonStreamError.response) {
-        console.error('Error response:', {
-          status: nonStreamError.response.status,
-          data: JSON.stringify(nonStreamError.response.data).substring(0, 500)
-        });
+      if (axios.isCancel(nonStreamError)) {
+        logger.info('Client disconnected, upstream request cancelled');
+        outcome.cancelled = true;
+        return outcome;
       }
-      
       // Handle non-streaming errors safely
-      let errorMessage = 'Error processing request';
-      let statusCode = 500;
-      
-      if (nonStreamError.response) {
-        statusCode = nonStreamError.response.status || 500;
-        if (nonStreamError.response.data && typeof nonStreamError.response.data === 'object') {
-          // Try to extract error message safely
-          const errorData = nonStreamError.response.data;
-          if (errorData.error && errorData.error.message) {
-            errorMessage = errorData.error.message;
-          } else if (errorData.message) {
-            errorMessage = errorData.message;
-          }
-        }
-      } else if (nonStreamError.message) {
-        errorMessage = nonStreamError.message;
+      const failure = describeUpstreamError(nonStreamError);
+      logger.error('Non-streaming request failed', { error: nonStreamError, upstreamMessage: failure.errorMessage });
+      return reportFailure(res, outcome, nonStreamError, failure, failover);
+    }
+  }
+  
+  // Providers known to reject streaming get the simulated mode directly
+  if (nonStreamingServices.has(serviceKey)) {
+    return executeSimulatedStream(client, chatEndpoint, minimalBody, res, { signal, failover }, outcome);
+  }
+
+  let upstreamResponse;
+  try {
+    upstreamResponse = await client.post(chatEndpoint, { ...minimalBody, stream: true }, {
+      responseType: 'stream',
+      signal
+    });
+  } catch (streamError) {
+    if (axios.isCancel(streamError)) {
+      logger.info('Client disconnected, upstream request cancelled');
+      outcome.cancelled = true;
+      return outcome;
+    }
+
+    await readStreamErrorBody(streamError);
+    const { statusCode, errorMessage } = describeUpstreamError(streamError);
+
+    // Only an HTTP rejection can mean "streaming unsupported". Network errors
+    // and overloaded services are reported as-is.
+    if (!streamError.response || isTransientError(streamError)) {
+      logger.error('Streaming request failed', { error: streamError, upstreamMessage: errorMessage });
+      return reportFailure(res, outcome, streamError, { statusCode, errorMessage }, failover);
+    }
+
+    // Retry once without streaming. If that works, the provider does not
+    // support streaming and we remember it for this service.
+    logger.warn('Streaming request rejected, retrying without streaming', { status: statusCode, upstreamMessage: errorMessage });
+    try {
+      const response = await client.post(chatEndpoint, { ...minimalBody, stream: false }, { signal });
+      nonStreamingServices.add(serviceKey);
+      logger.info('Service does not support streaming, using simulated streaming from now on', { service: serviceKey });
+      startEventStream(res);
+      return await simulateStream(response.data, res, outcome);
+    } catch (fallbackError) {
+      if (axios.isCancel(fallbackError)) {
+        outcome.cancelled = true;
+        return outcome;
       }
-      
-      return res.status(statusCode).json({
-        error: {
-          message: errorMessage,
-          type: 'api_error'
-        }
+      const fallback = describeUpstreamError(fallbackError);
+      logger.error('Non-streaming fallback failed', { error: fallbackError, upstreamMessage: fallback.errorMessage });
+      return reportFailure(res, outcome, fallbackError, fallback, failover);
+    }
+  }
+
+  startEventStream(res);
+
+  const contentType = String(upstreamResponse.headers['content-type'] || '');
+  try {
+    // Some providers silently ignore `stream: true` and answer with JSON
+    if (!contentType.includes('text/event-stream')) {
+      let raw = '';
+      for await (const chunk of upstreamResponse.data) {
+        raw += chunk.toString();
+      }
+      nonStreamingServices.add(serviceKey);
+      logger.info('Service answered a streaming request without a stream, using simulated streaming from now on', {
+        service: serviceKey,
+        contentType: contentType || null
       });
+      return await simulateStream(JSON.parse(raw), res, outcome);
+    }
+
+    return await relayStream(upstreamResponse.data, res, outcome);
+  } catch (error) {
+    if (isClientGone(res)) {
+      logger.info('Client disconnected, upstream stream closed');
+      outcome.cancelled = true;
+      return outcome;
     }
+    logger.error('Upstream stream failed', { error });
+    return reportFailure(res, outcome, error, { statusCode: 502, errorMessage: error.message });
   }
-  
-  // Set up streaming response
+}
+
+/**
+ * Report a failed upstream call to the client and record it in the outcome
+ * @param {Object} res - Express response object
+ * @param {Object} outcome - Outcome from createOutcome
+ * @param {Error} error - Upstream error
+ * @param {{ statusCode: number, errorMessage: string }} failure - From describeUpstreamError
+ * @param {boolean} [failover] - Keep quiet about an unavailable service when
+ *   the response has not started, the caller tries another one
+ * @returns {Object} The outcome
+ */
+function reportFailure(res, outcome, error, failure, failover = false) {
+  const { statusCode, errorMessage } = failure;
+  outcome.unavailable = isTransientError(error);
+
+  if (res.headersSent) {
+    writeStreamError(res, errorMessage);
+  } else if (!(failover && outcome.unavailable)) {
+    res.status(statusCode).json({
+      error: {
+        message: errorMessage,
+        type: 'api_error'
+      }
+    });
+  }
+  return failOutcome(outcome, statusCode, errorMessage);
+}
+
+/**
+ * Send the SSE response headers
+ * @param {Object} res - Express response object
+ */
+function startEventStream(res) {
   res.setHeader('Content-Type', 'text/event-stream');
   res.setHeader('Cache-Control', 'no-cache');
   res.setHeader('Connection', 'keep-alive');
-  
+  res.flushHeaders();
+}
+
+/**
+ * Report an error inside an already started SSE response
+ * @param {Object} res - Express response object
+ * @param {string} message - Error message
+ */
+function writeStreamError(res, message) {
+  if (isClientGone(res)) return;
+
+  // Create a safe error response in streaming format
+  res.write(`data: ${JSON.stringify({ 
+    error: { message: 'Error processing request: ' + message } 
+  })}\n\n`);
+  res.write('data: [DONE]\n\n');
+  res.end();
+}
+
+/**
+ * Fetch a complete answer and replay it as a simulated stream
+ * @param {Object} client - Axios client instance
+ * @param {string} chatEndpoint - The chat endpoint URL
+ * @param {Object} minimalBody - The request body
+ * @param {Object} res - Express response object
+ * @param {Object} options
+ * @param {AbortSignal} [options.signal] - Aborts the upstream call when the client disconnects
+ * @param {boolean} [options.failover] - See executeRequest
+ * @param {Object} outcome - Outcome from createOutcome
+ * @returns {Promise<Object>} The outcome
+ */
+async function executeSimulatedStream(client, chatEndpoint, minimalBody, res, { signal, failover }, outcome) {
   try {
-    // Use non-streaming request and simulate streaming for better compatibility
-    console.log("Using non-streaming request and simulating streaming response");
-    const nonStreamingBody = { ...minimalBody, stream: false };
-    
-    const response = await client.post(chatEndpoint, nonStreamingBody);
-    
-    // If we got a response, convert it to a streaming format
-    if (response.data && response.data.choices && response.data.choices.length > 0) {
-      const content = response.data.choices[0].message.content;
-      
-      // Simulate streaming by sending chunks of the content
-      const chunkSize = 20; // characters per chunk
-      for (let i = 0; i < content.length; i += chunkSize) {
-        const chunk = content.substring(i, i + chunkSize);
-        res.write(`data: ${JSON.stringify({ 
-          choices: [{ delta: { content: chunk } }] 
-        })}\n\n`);
-        
-        // Add a small delay to simulate streaming
-        await new Promise(resolve => setTimeout(resolve, 10));
+    logger.debug('Using non-streaming request and simulating streaming response');
+    const response = await client.post(chatEndpoint, { ...minimalBody, stream: false }, { signal });
+    startEventStream(res);
+    return await simulateStream(response.data, res, outcome);
+  } catch (error) {
+    if (axios.isCancel(error)) {
+      logger.info('Client disconnected, upstream request cancelled');
+      outcome.cancelled = true;
+      return outcome;
+    }
+    const failure = describeUpstreamError(error);
+    logger.error('Simulated streaming request failed', { error, upstreamMessage: failure.errorMessage });
+    return reportFailure(res, outcome, error, failure, failover);
+  }
+}
+
+/**
+ * Token usage of several upstream calls, null unless all of them reported it
+ * @param {Array<Object|null>} usages - Upstream `usage` objects
+ * @returns {Object|null}
+ */
+function sumUsage(usages) {
+  if (usages.length === 0 || usages.some(usage => !usage)) {
+    return null;
+  }
+  return ['prompt_tokens', 'completion_tokens', 'total_tokens'].reduce((total, field) => {
+    total[field] = usages.reduce((sum, usage) => sum + (usage[field] || 0), 0);
+    return total;
+  }, {});
+}
+
+/**
+ * Answer a structured output request: fetch the complete answer, check it
+ * against the schema and, while it does not match and retries are left,
+ * ask again with the validation errors. The answer is sent with a
+ * `structured_output` field holding the result, as JSON or, when streaming
+ * was requested, as a simulated stream.
+ * @param {Object} client - Axios client instance
+ * @param {string} chatEndpoint - The chat endpoint URL
+ * @param {Object} minimalBody - The request body
+ * @param {boolean} stream - Whether to stream the response
+ * @param {Object} res - Express response object
+ * @param {Object} options
+ * @param {Object} options.structured - From buildUpstreamBody
+ * @param {AbortSignal} [options.signal] - Aborts the upstream call when the client disconnects
+ * @param {boolean} [options.failover] - See executeRequest
+ * @returns {Promise<Object>} Outcome of the request (see createOutcome)
+ */
+async function executeStructuredRequest(client, chatEndpoint, minimalBody, stream, res, options) {
+  const { structured, signal, failover = false } = options;
+  const outcome = createOutcome();
+  const usages = [];
+  let messages = minimalBody.messages;
+  let data;
+  let result;
+
+  try {
+    for (let attempt = 0; ; attempt++) {
+      const response = await client.post(chatEndpoint, { ...minimalBody, messages, stream: false }, { signal });
+      data = response.data;
+      usages.push(data && data.usage);
+
+      const message = data && data.choices && data.choices[0] && data.choices[0].message;
+      if (!message) {
+        throw new Error('Invalid response format from API');
       }
-      
-      res.write('data: [DONE]\n\n');
-      return res.end();
-    } else {
-      throw new Error('Invalid response format from API');
+      // A model calling tools has not answered yet, the client runs them and asks again
+      if (message.tool_calls && message.tool_calls.length > 0) {
+        break;
+      }
+
+      result = validateOutput(message.content, structured.schema);
+      if (result.valid) {
+        message.content = result.json;
+      }
+      if (result.valid || attempt >= structured.retries) {
+        data.structured_output = {
+          valid: result.valid,
+          errors: result.errors,
+          attempts: attempt + 1,
+          native: structured.native
+        };
+        break;
+      }
+
+      logger.info('Structured output does not match the schema, retrying', {
+        attempt: attempt + 1,
+        errors: result.errors.length
+      });
+      messages = [...messages, { role: 'assistant', content: message.content || '' }, retryInstruction(result.errors)];
     }
   } catch (error) {
-    console.error('Error in chat completions:', error.message);
-    
-    // Create a safe error response in streaming format
-    res.write(`data: ${JSON.stringify({ 
-      error: { message: 'Error processing request: ' + error.message } 
-    })}\n\n`);
-    res.write('data: [DONE]\n\n');
-    return res.end();
+    if (axios.isCancel(error)) {
+      logger.info('Client disconnected, upstream request cancelled');
+      outcome.cancelled = true;
+      return outcome;
+    }
+    const failure = describeUpstreamError(error);
+    logger.error('Structured output request failed', { error, upstreamMessage: failure.errorMessage });
+    return reportFailure(res, outcome, error, failure, failover);
+  }
+
+  data.usage = sumUsage(usages);
+  if (result && !result.valid) {
+    logger.warn('Structured output does not match the schema', { errors: result.errors.length });
+  }
+
+  if (!stream) {
+    trackChunk(outcome, data);
+    res.json(data);
+    return outcome;
   }
+  startEventStream(res);
+  return simulateStream(data, res, outcome);
 }
 
 /**
- * Create an axios instance with appropriate configuration
- * @param {string} apiKey - OpenAI API Key
- * @returns {Object} Configured axios instance
+ * Find the service and upstream model name serving a model key. Keys of the
+ * form `service_id|model` name both; simple model names, and keys the
+ * catalog does not know, go to the requested (or first) service.
+ * @param {string} modelKey - Model key from the request
+ * @param {string} [serviceId] - service_id from the request
+ * @returns {Promise<Object>} { config, serviceId, modelName, model }, where
+ *   model is the catalog entry when the key names one
  */
-function createAxiosInstance(apiKey) {
-  // Create an https agent that doesn't verify SSL certificates
-  // This matches the Python code's httpx.Client(verify=False)
-  const httpsAgent = new https.Agent({
-    rejectUnauthorized: false
-  });
-  
-  // Create an axios instance with the https agent
-  return axios.create({
-    headers: {
-      'Authorization': `Bearer ${apiKey}`,
-      'Content-Type': 'application/json'
-    },
-    httpsAgent: httpsAgent
+async function resolveTarget(modelKey, serviceId) {
+  if (modelKey.includes('|')) {
+    const [keyServiceId, keyModelName] = modelKey.split('|', 2);
+    const services = await getAllGenAIServices();
+    const service = services.find(s => s.id === keyServiceId);
+    const model = service && service.models.find(m => m.original_name === keyModelName);
+
+    if (model) {
+      const config = await getOpenAIConfig(keyServiceId);
+      if (!isMissingApiKey(config) && config.availableModels.includes(keyModelName)) {
+        return { config, serviceId: keyServiceId, modelName: keyModelName, model };
+      }
+    }
+  }
+
+  const config = await getOpenAIConfig(serviceId);
+  const modelName = config.availableModels.includes(modelKey) ? modelKey : config.defaultModel;
+  return { config, serviceId: serviceId || 'default', modelName, model: undefined };
+}
+
+/**
+ * Services as reported by /api/models-config, with the request parameters,
+ * image support, context size and price of each model
+ * @param {Array<Object>} services - Services from getAllGenAIServices
+ * @returns {Array<Object>}
+ */
+function describeServices(services) {
+  return services.map(service => ({
+    ...service,
+    models: service.models.map(model => ({
+      ...model,
+      parameters: allowedParameters(model),
+      vision: acceptsImages(model),
+      context_window: contextWindow(model),
+      pricing: pricing(model)
+    }))
+  }));
+}
+
+/**
+ * Send an OpenAI-style 400 error for an invalid request parameter
+ * @param {Object} res - Express response object
+ * @param {{ message: string, param: string|null }} error - Validation error
+ */
+function sendInvalidRequest(res, error) {
+  return res.status(400).json({
+    error: {
+      message: error.message,
+      type: 'invalid_request_error',
+      param: error.param,
+      code: null
+    }
   });
 }
 
 /**
  * Sets up the OpenAI proxy routes on the Express app
  * @param {object} app - Express app instance
+ * @param {object} [options]
+ * @param {Array<Function>} [options.onCompletion] - Listeners called as
+ *   (req, outcome, details) after each chat completion, where details holds
+ *   modelKey, serviceId, model and startedAt
  */
-function setupProxyRoutes(app) {
+function setupProxyRoutes(app, options = {}) {
+  const completionListeners = options.onCompletion || [];
+
+  // Let listeners (rate limiting, usage accounting...) know how a completion went
+  const notifyCompletion = async (req, outcome, details) => {
+    for (const listener of completionListeners) {
+      try {
+        await listener(req, outcome, details);
+      } catch (error) {
+        logger.error('Completion listener failed', { error });
+      }
+    }
+  };
+
   // Test endpoint to check API connectivity
   app.get('/api/test-openai', async (req, res) => {
-    const config = await getOpenAIConfig();
-    const { apiKey, baseUrl } = config;
-    
-    if (!apiKey) {
-      return res.status(500).json({
-        success: false,
-        message: 'OpenAI API key is not configured'
-      });
-    }
-    
+    // Reading the configuration can fail too, e.g. when the model catalog cannot load
+    let config = null;
     try {
-      const client = createAxiosInstance(apiKey);
+      config = await getOpenAIConfig();
+      const { modelsEndpoint } = config;
+      
+      if (isMissingApiKey(config)) {
+        return res.status(500).json({
+          success: false,
+          message: 'OpenAI API key is not configured'
+        });
+      }
+      
+      const client = createUpstreamClient(config);
       
       // Send a simple request to check if the API is working
-      const response = await client.get(`${baseUrl}/models`);
+      const response = await client.get(modelsEndpoint);
       
       return res.json({
         success: true,
@@ -492,12 +780,12 @@ function setupProxyRoutes(app) {
         available_models: config.availableModels
       });
     } catch (error) {
-      console.error('Test OpenAI error details:', error);
+      logger.error('OpenAI API test failed', { error });
       
       return res.status(500).json({
         success: false,
         message: `OpenAI API test failed: ${error.message || 'Unknown error'}`,
-        url_used: baseUrl,
+        url_used: config ? config.baseUrl : null,
         status: error.response?.status
       });
     }
@@ -505,17 +793,32 @@ function setupProxyRoutes(app) {
 
   app.get('/api/models-config', async (req, res) => {
     try {
-      const services = await getAllGenAIServices();
       res.json({
-        services: services
+        services: describeServices(await getAllGenAIServices()),
+        attachments: { max_bytes: ATTACHMENT_MAX_BYTES, max_images: ATTACHMENT_MAX_IMAGES }
       });
     } catch (error) {
-      console.error('Error fetching services:', error.message);
+      logger.error('Error fetching services', { error });
       res.status(500).json({
         error: 'Failed to fetch service configuration'
       });
     }
   });
+
+  // Re-read the bindings and fetch every model list again, e.g. after a plan change
+  app.post('/api/models-config/refresh', requireAdmin, async (req, res) => {
+    try {
+      res.json({ services: describeServices(await serviceRegistry.refresh(true)) });
+    } catch (error) {
+      logger.error('Error refreshing services', { error });
+      res.status(500).json({
+        error: {
+          message: 'Failed to refresh service configuration',
+          type: 'server_error'
+        }
+      });
+    }
+  });
   
   // Configuration endpoint to provide API status and model info
   app.get('/api/config', async (req, res) => {
@@ -549,13 +852,13 @@ function setupProxyRoutes(app) {
       }
       
       // Get the configuration for the selected service
-      const { apiKey, baseUrl } = await getOpenAIConfig(
+      const config = await getOpenAIConfig(
         selectedService ? selectedService.id : undefined
       );
       
       res.json({
-        configured: !!apiKey,
-        baseUrl,
+        configured: !isMissingApiKey(config),
+        baseUrl: config.baseUrl,
         serviceType: process.env.VCAP_SERVICES ? 'cloud-foundry' : 'standalone',
         service: selectedService ? {
           id: selectedService.id,
@@ -574,185 +877,160 @@ function setupProxyRoutes(app) {
         } : null
       });
     } catch (error) {
-      console.error('Error in /api/config:', error.message);
+      logger.error('Error in /api/config', { error });
       res.status(500).json({
         error: 'Failed to get configuration'
       });
     }
   });
 
-  app.get('/health', async (req, res) => {
-    try {
-      const requestedModel = req.query.model;
-      
-      // Get all available services
-      const services = await getAllGenAIServices();
-      
-      // Find the service for the requested model
-      let selectedService = services.length > 0 ? services[0] : null;
-      
-      if (requestedModel && services.length > 0) {
-        for (const service of services) {
-          // Look for model by unique name (which now includes service ID)
-          const model = service.models.find(m => m.name === requestedModel);
-          if (model) {
-            selectedService = service;
-            break;
-          }
-        }
-      }
-      
-      // Get API key for the selected service
-      const { apiKey } = await getOpenAIConfig(
-        selectedService ? selectedService.id : undefined
-      );
-      
-      // Return 200 even without API key for CF health checks to pass
-      res.status(200).json({ 
-        status: 'ok',
-        api_configured: !!apiKey,
-        timestamp: new Date().toISOString()
-      });
-    } catch (error) {
-      console.error('Error in /health:', error.message);
-      res.status(200).json({ 
-        status: 'ok',
-        api_configured: false,
-        timestamp: new Date().toISOString(),
-        error: error.message
-      });
-    }
-  });
-
   // Main proxy endpoint for OpenAI chat completion
   app.post('/v1/chat/completions', async (req, res) => {
     const { stream = true } = req.body;
 
+    // Nothing below expects a message that is not an object with a role
+    const messagesProblem = validateMessages(req.body.messages);
+    if (messagesProblem) {
+      return sendInvalidRequest(res, messagesProblem);
+    }
+
     // Get the service_id from the request if available
     const serviceId = req.body.service_id;
+    const startedAt = Date.now();
+
+    // Cancel the upstream call if the client disconnects before we are done,
+    // so we stop paying for tokens nobody reads
+    const abortController = new AbortController();
+    res.on('close', () => {
+      if (!res.writableFinished) {
+        abortController.abort();
+      }
+    });
     
     try {
-      // Get OpenAI configuration using the service ID if provided
-      const { apiKey, baseUrl, availableModels, defaultModel } = await getOpenAIConfig(serviceId);
-      
-      if (!apiKey) {
-        return res.status(500).json({
-          error: {
-            message: 'OpenAI API key is not configured',
-            type: 'server_config_error'
-          }
-        });
-      }
-      
-      // Create the axios client with SSL verification disabled
-      const client = createAxiosInstance(apiKey);
-      
-      // Handle model selection - now with unique names
       const requestedModel = req.body.model || 'gpt-4';
-      let modelToUse = defaultModel;
-      let selectedServiceId = serviceId;
-      
-      // The model name now includes service ID, so we need to extract the original model name
-      if (requestedModel.includes('|')) {
-        const [reqServiceId, reqModelName] = requestedModel.split('|', 2);
+      // `failover: false` asks for this model or nothing (e.g. when comparing models)
+      const chain = req.body.failover === false ? [requestedModel] : [requestedModel, ...failoverChain(requestedModel)];
+      const tried = new Set();
+      let attempt = null;
+      let skipped = null;
 
-        // Get all services to find the right one
-        const services = await getAllGenAIServices();
-        const targetService = services.find(s => s.id === reqServiceId);
-        
+      for (const [index, modelKey] of chain.entries()) {
+        const isRequested = index === 0;
+        const target = await resolveTarget(modelKey, serviceId);
+        const targetKey = `${target.serviceId}|${target.modelName}`;
+        if (tried.has(targetKey)) continue;
+        tried.add(targetKey);
 
+        if (isMissingApiKey(target.config)) {
+          skipped = skipped || { status: 500, message: 'OpenAI API key is not configured', type: 'server_config_error' };
+          continue;
+        }
 
-        if (targetService) {
-          const targetModel = targetService.models.find(m => m.original_name === reqModelName);
-
-          if (targetModel) {
-            // Reconfigure for the specific service and model
-
-            const serviceConfig = await getOpenAIConfig(reqServiceId);
-            if (serviceConfig.apiKey && serviceConfig.availableModels.includes(reqModelName)) {
-              modelToUse = reqModelName; // Use original model name for API call
-              selectedServiceId = reqServiceId;
-              
-              // Update client configuration for the target service
-              const updatedClient = createAxiosInstance(serviceConfig.apiKey);
-              
-              // Update endpoint configuration
-
-              const updatedBaseUrl = serviceConfig.baseUrl.replace(/\/+$/, '');
-              let chatEndpoint;
-              
-              if (updatedBaseUrl === 'https://api.openai.com/v1') {
-                chatEndpoint = `${updatedBaseUrl}/chat/completions`;
-              } else if (updatedBaseUrl.endsWith('/openai')) {
-                chatEndpoint = `${updatedBaseUrl}/v1/chat/completions`;
-              } else if (updatedBaseUrl.includes('/multi-')) {
-                chatEndpoint = `${updatedBaseUrl}/openai/v1/chat/completions`;
-              } else {
-                chatEndpoint = `${updatedBaseUrl}/chat/completions`;
-              }
-              
-              // Use the updated configuration
-              const minimalBody = {
-                model: modelToUse, // Use original model name for API
-                messages: req.body.messages,
-                max_tokens: req.body.max_tokens || 1024,
-                temperature: req.body.temperature || 0.5
-              };
-              
-              // Execute the request with the updated configuration
-              return await executeRequest(updatedClient, chatEndpoint, minimalBody, stream, res);
-            }
+        if (!circuitBreaker.allows(target.serviceId)) {
+          logger.warn('Skipping model, circuit open', { modelKey, service: target.serviceId });
+          skipped = {
+            status: 503,
+            message: `Service ${target.serviceId} is temporarily unavailable, please try again later`,
+            type: 'service_unavailable',
+            retryAfter: circuitBreaker.retryAfter(target.serviceId)
+          };
+          continue;
+        }
+
+        // Validate the parameters against what this model supports. Models
+        // without a catalog entry accept every known parameter.
+        const { upstreamBody: minimalBody, structured, error: paramError } =
+          buildUpstreamBody(req.body, target.modelName, target.model);
+        if (paramError) {
+          if (isRequested) {
+            return sendInvalidRequest(res, paramError);
           }
+          logger.info('Skipping failover model', { modelKey, reason: paramError.message });
+          continue;
         }
-      } else {
-        // For backward compatibility or simple model names, try to find in available models
-        modelToUse = availableModels.includes(requestedModel) 
-          ? requestedModel 
-          : defaultModel;
-      }
-      
-      if (modelToUse !== requestedModel) {
-        console.log(`Replacing requested model "${requestedModel}" with available model "${modelToUse}"`);
+
+        if (target.modelName !== modelKey && !target.model) {
+          logger.info('Replacing requested model with an available model', { modelKey, model: target.modelName });
+        }
+        logger.info('Chat completion', {
+          service: target.serviceId,
+          model: target.modelName,
+          endpoint: target.config.chatEndpoint,
+          stream,
+          ...(structured ? { structuredOutput: structured.native ? 'native' : 'validated' } : {}),
+          ...(isRequested ? {} : { failoverFrom: requestedModel })
+        });
+
+        // Tell the client which model answers, it may not be the one it asked for
+        res.setHeader('X-Served-Model', modelKey);
+        const lastChance = index === chain.length - 1;
+        const labels = { service: target.serviceId, model: target.modelName };
+        if (stream) streamsInFlight.inc(labels);
+        let outcome;
+        try {
+          const client = createUpstreamClient(target.config);
+          const execute = structured ? executeStructuredRequest : executeRequest;
+          outcome = await execute(client, target.config.chatEndpoint, minimalBody, stream, res, {
+            serviceKey: target.serviceId,
+            signal: abortController.signal,
+            failover: !lastChance,
+            structured
+          });
+        } finally {
+          if (stream) streamsInFlight.dec(labels);
+        }
+        attempt = { outcome, modelKey, target };
+        if (outcome.statusCode >= 400) {
+          upstreamErrors.inc({ ...labels, status: outcome.statusCode });
+        }
+
+        // Rate limiting by the upstream says nothing about the service's health
+        if (outcome.unavailable && outcome.statusCode !== 429) {
+          circuitBreaker.recordFailure(target.serviceId);
+        } else if (!outcome.cancelled) {
+          circuitBreaker.recordSuccess(target.serviceId);
+        }
+
+        if (!outcome.unavailable || res.headersSent || outcome.cancelled || lastChance) {
+          break;
+        }
+        logger.warn('Model unavailable, failing over', { modelKey, upstreamMessage: outcome.errorMessage });
       }
-      
-      // Create a minimal request body with just the essential parts
-
-      const minimalBody = {
-        model: modelToUse,
-        messages: req.body.messages,
-        max_tokens: req.body.max_tokens || 1024,
-        temperature: req.body.temperature || 0.5
-      };
-      
-      console.log(`Using model: ${modelToUse}`);
 
-      // Chat completions endpoint - properly handle OpenAI specifically
-      let chatEndpoint;
-      
-      // For OpenAI's API, ensure we're using the correct endpoint structure
-      if (baseUrl === 'https://api.openai.com/v1') {
-        chatEndpoint = `${baseUrl}/chat/completions`;
-        console.log('Using OpenAI chat completions endpoint:', chatEndpoint);
-      } 
-      // For other API providers, use their endpoint structure as is
-      else {
-        // Check if the baseUrl might already include the full endpoint
-        if (baseUrl.endsWith('/chat/completions')) {
-          chatEndpoint = baseUrl;
-        } else if (baseUrl.endsWith('/openai')) {
-          chatEndpoint = `${baseUrl}/v1/chat/completions`;
-        } else if (baseUrl.includes('/multi-')) {
-          chatEndpoint = `${baseUrl}/v1/chat/completions`;
-        } else {
-          chatEndpoint = `${baseUrl}/chat/completions`;
+      // Every model of the chain was skipped, or failed without an answer sent
+      if (!res.headersSent && !isClientGone(res)) {
+        if (attempt && attempt.outcome.unavailable) {
+          res.status(attempt.outcome.statusCode).json({
+            error: {
+              message: attempt.outcome.errorMessage,
+              type: 'api_error'
+            }
+          });
+        } else if (!attempt && skipped) {
+          if (skipped.retryAfter) {
+            res.setHeader('Retry-After', String(skipped.retryAfter));
+          }
+          res.status(skipped.status).json({
+            error: {
+              message: skipped.message,
+              type: skipped.type
+            }
+          });
         }
-        console.log('Using provider-specific chat endpoint:', chatEndpoint);
       }
 
-      return await executeRequest(client, chatEndpoint, minimalBody, stream, res);
+      if (attempt) {
+        return notifyCompletion(req, attempt.outcome, {
+          modelKey: attempt.modelKey,
+          serviceId: attempt.target.serviceId,
+          model: attempt.target.modelName,
+          startedAt
+        });
+      }
     } catch (error) {
       // Handle any other unexpected errors
-      console.error('Unexpected error in proxy:', error.message);
+      logger.error('Unexpected error in proxy', { error });
       
       // Create a completely new, safe error response
       let errorMessage = 'An unexpected error occurred';
@@ -780,9 +1058,9 @@ function setupProxyRoutes(app) {
   app.get('/v1/models', async (req, res) => {
     try {
       const config = await getOpenAIConfig();
-      const { apiKey, baseUrl } = config;
+      const { baseUrl, modelsEndpoint } = config;
       
-      if (!apiKey) {
+      if (isMissingApiKey(config)) {
         return res.status(500).json({
           error: {
             message: 'OpenAI API key is not configured',
@@ -791,27 +1069,26 @@ function setupProxyRoutes(app) {
         });
       }
       
-      const client = createAxiosInstance(apiKey);
+      const client = createUpstreamClient(config);
       
       try {
-        // Try without "/v1" prefix first
-        const modelsEndpoint = `${baseUrl}/models`;
-        console.log(`Using models endpoint: ${modelsEndpoint}`);
+        // Try the service's models endpoint first
+        logger.debug('Fetching models', { endpoint: modelsEndpoint });
         
         const response = await client.get(modelsEndpoint);
         return res.json(response.data);
       } catch (firstError) {
-        console.log('First models endpoint failed, trying alternative:', firstError.message);
+        logger.info('First models endpoint failed, trying alternative', { error: firstError });
         
         try {
           // Try with "/v1" prefix as fallback
           const fallbackEndpoint = `${baseUrl}/v1/models`;
-          console.log(`Trying fallback models endpoint: ${fallbackEndpoint}`);
+          logger.debug('Trying fallback models endpoint', { endpoint: fallbackEndpoint });
           
           const response = await client.get(fallbackEndpoint);
           return res.json(response.data);
         } catch (error) {
-          console.error('Error fetching models:', error.message);
+          logger.error('Error fetching models', { error });
           
           // Create a safe error response
           let errorMessage = 'Failed to fetch models';
@@ -837,7 +1114,7 @@ function setupProxyRoutes(app) {
         }
       }
     } catch (error) {
-      console.error('Unexpected error in /v1/models:', error.message);
+      logger.error('Unexpected error in /v1/models', { error });
       return res.status(500).json({
         error: {
           message: 'An unexpected error occurred',
@@ -848,4 +1125,15 @@ function setupProxyRoutes(app) {
   });
 }
 
-module.exports = { setupProxyRoutes, getOpenAIConfig, getAllGenAIServices };
+module.exports = {
+  setupProxyRoutes,
+  getOpenAIConfig,
+  getAllGenAIServices,
+  isMissingApiKey,
+  createAxiosInstance,
+  createUpstreamClient,
+  describeUpstreamError,
+  createOutcome,
+  failOutcome,
+  circuitBreaker
+};
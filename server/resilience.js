@@ -0,0 +1,268 @@
+// resilience.js
+const axios = require('axios');
+const { loadModelOverrides } = require('./params');
+const { logger } = require('./logger');
+
+/**
+ * Read a non-negative number from an environment variable
+ * @param {string} name - Environment variable name
+ * @param {number} fallback - Value used when the variable is unset or invalid
+ * @returns {number}
+ */
+function numberFromEnv(name, fallback) {
+  const value = Number(process.env[name]);
+  return process.env[name] && Number.isFinite(value) && value >= 0 ? value : fallback;
+}
+
+// Longest silence from an upstream before the request is abandoned
+const UPSTREAM_TIMEOUT_MS = numberFromEnv('UPSTREAM_TIMEOUT_MS', 120000);
+
+// Extra attempts for a request that failed with a transient error
+const UPSTREAM_RETRIES = numberFromEnv('UPSTREAM_RETRIES', 2);
+const RETRY_BASE_DELAY_MS = 500;
+// A longer Retry-After is not waited for, the error is reported instead
+const MAX_RETRY_DELAY_MS = 20000;
+
+// Consecutive failures that open a service's circuit, and how long it stays open
+const CIRCUIT_BREAKER_THRESHOLD = numberFromEnv('CIRCUIT_BREAKER_THRESHOLD', 5);
+const CIRCUIT_BREAKER_COOLDOWN_MS = numberFromEnv('CIRCUIT_BREAKER_COOLDOWN', 30) * 1000;
+
+// MODEL_FAILOVER maps model keys to the model keys tried, in order, when the
+// model's service is unavailable
+const failoverChains = loadModelOverrides('MODEL_FAILOVER');
+
+// Statuses meaning "try again later" rather than "this request is wrong"
+const TRANSIENT_STATUSES = [408, 429, 502, 503, 504];
+
+// Failures after which the upstream certainly did not start on the request:
+// it could not be reached, or it turned the request down. A timeout or a
+// reset may come after a completion was generated and billed, so those are
+// not sent again.
+const CONNECT_ERROR_CODES = ['ECONNREFUSED', 'ENOTFOUND', 'EAI_AGAIN'];
+const RETRYABLE_STATUSES = [429, 503];
+
+/**
+ * Whether an upstream error is worth failing over: the request could not be
+ * delivered, timed out, or the service is overloaded or down
+ * @param {Error} error - Axios error
+ * @returns {boolean}
+ */
+function isTransientError(error) {
+  if (!error || axios.isCancel(error)) {
+    return false;
+  }
+  if (!error.response) {
+    return Boolean(error.code || error.request);
+  }
+  return TRANSIENT_STATUSES.includes(error.response.status);
+}
+
+/**
+ * Whether a request can be sent again to the same service without the risk
+ * of paying twice for it
+ * @param {Error} error - Axios error
+ * @returns {boolean}
+ */
+function isRetryableError(error) {
+  if (!error || axios.isCancel(error)) {
+    return false;
+  }
+  if (!error.response) {
+    return CONNECT_ERROR_CODES.includes(error.code);
+  }
+  return RETRYABLE_STATUSES.includes(error.response.status);
+}
+
+/**
+ * Delay requested by a Retry-After header, in seconds or as an HTTP date
+ * @param {Object} [headers] - Upstream response headers
+ * @returns {number|null} Milliseconds, or null without a valid header
+ */
+function retryAfterMs(headers) {
+  const value = headers && headers['retry-after'];
+  if (!value) {
+    return null;
+  }
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) {
+    return Math.max(0, seconds * 1000);
+  }
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+/**
+ * Wait before the next attempt, returning early when the client goes away
+ * @param {number} ms - Delay in milliseconds
+ * @param {AbortSignal} [signal]
+ * @returns {Promise<void>}
+ */
+function sleep(ms, signal) {
+  return new Promise((resolve) => {
+    if (signal && signal.aborted) {
+      return resolve();
+    }
+    const timer = setTimeout(done, ms);
+    function done() {
+      clearTimeout(timer);
+      if (signal) signal.removeEventListener('abort', done);
+      resolve();
+    }
+    if (signal) signal.addEventListener('abort', done);
+  });
+}
+
+/**
+ * Wrap an HTTP client so failures the upstream did not act on (see
+ * isRetryableError) are retried with exponential backoff and jitter, or
+ * after the delay of a Retry-After header. A request can set its own
+ * `retries` next to the axios options.
+ * @param {Object} http - Axios instance (or anything with get and post)
+ * @param {Object} [options]
+ * @param {number} [options.retries] - Extra attempts, UPSTREAM_RETRIES by default
+ * @returns {{ get: Function, post: Function }}
+ */
+function withRetries(http, options = {}) {
+  const send = async (method, url, args, { retries = options.retries ?? UPSTREAM_RETRIES, ...requestOptions }) => {
+    const signal = requestOptions.signal;
+    for (let attempt = 0; ; attempt++) {
+      try {
+        return await http[method](url, ...args, requestOptions);
+      } catch (error) {
+        if (attempt >= retries || !isRetryableError(error) || (signal && signal.aborted)) {
+          throw error;
+        }
+
+        const backoff = RETRY_BASE_DELAY_MS * 2 ** attempt;
+        const delay = retryAfterMs(error.response && error.response.headers)
+          ?? Math.round(backoff / 2 + Math.random() * backoff / 2);
+        if (delay > MAX_RETRY_DELAY_MS) {
+          throw error;
+        }
+
+        // Free the connection held by an unread error body
+        const data = error.response && error.response.data;
+        if (data && typeof data.destroy === 'function') {
+          data.destroy();
+        }
+
+        const reason = error.response ? `status ${error.response.status}` : error.code || error.message;
+        logger.warn('Upstream request failed, retrying', { url, reason, delayMs: delay, attempt: attempt + 1 });
+        await sleep(delay, signal);
+      }
+    }
+  };
+
+  return {
+    get: (url, requestOptions = {}) => send('get', url, [], requestOptions),
+    post: (url, body, requestOptions = {}) => send('post', url, [body], requestOptions)
+  };
+}
+
+/**
+ * Create a circuit breaker tracking each service separately. After
+ * `threshold` consecutive failures the service's circuit opens and requests
+ * skip it for `cooldownMs`. Then a single trial request is let through: it
+ * closes the circuit on success, or keeps it open for another cooldown.
+ * @param {Object} [options]
+ * @param {number} [options.threshold] - Failures that open the circuit
+ * @param {number} [options.cooldownMs] - Time the circuit stays open
+ * @returns {Object} Circuit breaker
+ */
+function createCircuitBreaker(options = {}) {
+  const threshold = options.threshold ?? CIRCUIT_BREAKER_THRESHOLD;
+  const cooldownMs = options.cooldownMs ?? CIRCUIT_BREAKER_COOLDOWN_MS;
+  const circuits = new Map();
+
+  const circuitOf = (key) => {
+    if (!circuits.has(key)) {
+      circuits.set(key, { failures: 0, openUntil: null });
+    }
+    return circuits.get(key);
+  };
+
+  return {
+    /**
+     * Whether a request may be sent to the service now. Letting the trial
+     * request of an open circuit through starts a new cooldown, so a trial
+     * that never reports back cannot block the service for good.
+     * @param {string} key - Service ID
+     * @returns {boolean}
+     */
+    allows(key) {
+      const circuit = circuits.get(key);
+      if (!circuit || circuit.openUntil === null) {
+        return true;
+      }
+      if (Date.now() < circuit.openUntil) {
+        return false;
+      }
+      circuit.openUntil = Date.now() + cooldownMs;
+      return true;
+    },
+
+    /**
+     * Seconds until an open circuit lets a trial request through
+     * @param {string} key - Service ID
+     * @returns {number} 0 when the circuit is closed
+     */
+    retryAfter(key) {
+      const circuit = circuits.get(key);
+      if (!circuit || circuit.openUntil === null) {
+        return 0;
+      }
+      return Math.max(0, Math.ceil((circuit.openUntil - Date.now()) / 1000));
+    },
+
+    recordSuccess(key) {
+      circuits.delete(key);
+    },
+
+    recordFailure(key) {
+      const circuit = circuitOf(key);
+      circuit.failures += 1;
+      if (circuit.openUntil !== null || (threshold > 0 && circuit.failures >= threshold)) {
+        if (circuit.openUntil === null) {
+          logger.warn('Opening circuit', { service: key, failures: circuit.failures });
+        }
+        circuit.openUntil = Date.now() + cooldownMs;
+      }
+    },
+
+    /**
+     * State of every service that has failed recently
+     * @returns {Object} Service ID -> { state: 'open'|'half_open'|'closed', failures }
+     */
+    states() {
+      const now = Date.now();
+      const states = {};
+      for (const [key, circuit] of circuits) {
+        let state = 'closed';
+        if (circuit.openUntil !== null) {
+          state = now < circuit.openUntil ? 'open' : 'half_open';
+        }
+        states[key] = { state, failures: circuit.failures };
+      }
+      return states;
+    }
+  };
+}
+
+/**
+ * Model keys to try, in order, when a model's service is unavailable
+ * @param {string} modelKey - Requested model key
+ * @returns {Array<string>}
+ */
+function failoverChain(modelKey) {
+  const chain = failoverChains[modelKey];
+  return Array.isArray(chain) ? chain.filter(key => typeof key === 'string' && key !== modelKey) : [];
+}
+
+module.exports = {
+  UPSTREAM_TIMEOUT_MS,
+  isTransientError,
+  isRetryableError,
+  withRetries,
+  createCircuitBreaker,
+  failoverChain
+};
@@ -4,6 +4,20 @@ const path = require('path');
 const cors = require('cors');
 const dotenv = require('dotenv');
 const { setupProxyRoutes, getOpenAIConfig } = require('./proxy');
+const { serviceRegistry } = require('./services');
+const { setupConversationRoutes } = require('./conversations');
+const { createStore } = require('./store');
+const { createAuthMiddleware, getCorsOptions, setupAuthRoutes } = require('./auth');
+const { createRateLimiter } = require('./limits');
+const { createUsageRecorder, setupUsageRoutes } = require('./usage');
+const { setupToolRoutes } = require('./tools');
+const { setupEmbeddingRoutes } = require('./embeddings');
+const { createDocumentIndex, setupDocumentRoutes } = require('./documents');
+const { setupPresetRoutes } = require('./presets');
+const { setupComparisonRoutes } = require('./comparisons');
+const { logger, requestLogger, requestContext } = require('./logger');
+const { recordRequest, recordCompletion, setupMetricsRoutes } = require('./metrics');
+const { createHealthChecker, setupHealthRoutes } = require('./health');
 
 // Load environment variables
 dotenv.config();
@@ -13,44 +27,120 @@ const app = express();
 const PORT = process.env.PORT || 3000;
 
 // Print startup information
-console.log('Starting OpenAI Proxy Server');
-console.log(`Environment: ${process.env.NODE_ENV || 'development'}`);
+logger.info('Starting OpenAI Proxy Server', { environment: process.env.NODE_ENV || 'development' });
 
 // Check for VCAP_SERVICES (Cloud Foundry)
 if (process.env.VCAP_SERVICES) {
-  console.log('Running in Cloud Foundry environment');
-  try {
-    // Log service binding information (without sensitive data)
-    const { apiKey, baseUrl } = getOpenAIConfig();
-    console.log(`OpenAI Base URL: ${baseUrl}`);
-    console.log(`API Key configured: ${!!apiKey}`);
-  } catch (error) {
-    console.error('Error processing VCAP_SERVICES:', error);
-  }
+  logger.info('Running in Cloud Foundry environment');
+  // Log service binding information (without sensitive data)
+  getOpenAIConfig()
+    .then(({ apiKey, baseUrl }) => {
+      logger.info('OpenAI service binding', { baseUrl, apiKeyConfigured: !!apiKey });
+    })
+    .catch(error => logger.error('Error processing VCAP_SERVICES', { error }));
 }
 
 // Middleware
-app.use(cors());
-app.use(express.json());
+// Request IDs, access log and HTTP metrics
+app.use(requestLogger({ onFinish: [recordRequest] }));
+app.use(cors(getCorsOptions()));
+// Chat completions and synced conversations carry image attachments, so
+// only they get the larger limit
+const attachmentJson = express.json({ limit: process.env.ATTACHMENT_BODY_LIMIT || '20mb' });
+app.post(['/v1/chat/completions', '/api/conversations', '/api/conversations/:id/messages'], attachmentJson);
+app.put('/api/conversations/:id', attachmentJson);
+// Conversations are synced as a whole, so allow bodies well above the 100kb default
+app.use(express.json({ limit: process.env.JSON_BODY_LIMIT || '5mb' }));
+// Report bodies that are too large or not JSON in the API's error format
+app.use((error, req, res, next) => {
+  if (!error.type || !error.type.startsWith('entity.')) {
+    return next(error);
+  }
+  const tooLarge = error.type === 'entity.too.large';
+  res.status(error.status || 400).json({
+    error: {
+      message: tooLarge
+        ? `Request body of ${error.length} bytes exceeds the limit of ${error.limit} bytes`
+        : `Invalid request body: ${error.message}`,
+      type: 'invalid_request_error'
+    }
+  });
+});
+// Log entries and upstream calls made while serving a request carry its ID
+app.use(requestContext());
+
+// Persistent storage (file store by default, see store.js)
+const store = createStore();
+
+// Authenticate API calls and attach the identity to req.user
+app.use(['/v1', '/api'], createAuthMiddleware());
+setupAuthRoutes(app);
+
+// Per-user and per-model request and token budgets for chat completions and
+// embeddings, including those made to index and search documents
+const rateLimiter = createRateLimiter();
+app.post([
+  '/v1/chat/completions',
+  '/v1/embeddings',
+  '/api/conversations/:id/documents',
+  '/api/conversations/:id/documents/search'
+], rateLimiter.middleware());
+
+// Records tokens, latency and status of every completion
+const usageRecorder = createUsageRecorder(store);
+usageRecorder.start();
+
+// Keep the model catalog fresh without blocking requests on config URLs
+serviceRegistry.start();
+
+// Probes the bound services and remembers how each model's last completion went
+const healthChecker = createHealthChecker();
 
 // Set up OpenAI proxy routes
-setupProxyRoutes(app);
-
-// Health check endpoint (required for Cloud Foundry)
-app.get('/health', (req, res) => {
-  const { apiKey } = getOpenAIConfig();
-  // Return 200 even without API key for CF health checks to pass
-  // But include warning in the response
-  res.status(200).json({ 
-    status: 'ok',
-    api_configured: !!apiKey,
-    timestamp: new Date().toISOString()
-  });
+setupProxyRoutes(app, {
+  onCompletion: [rateLimiter.recordUsage, usageRecorder.record, recordCompletion, healthChecker.recordCompletion]
 });
 
+// Set up embeddings pass-through
+setupEmbeddingRoutes(app, {
+  onCompletion: [rateLimiter.recordUsage, usageRecorder.record]
+});
+
+// Documents attached to conversations, removed with their conversation. Their
+// embeddings are charged and reported like /v1/embeddings requests.
+const documentIndex = createDocumentIndex(store, {
+  onCompletion: [rateLimiter.recordUsage, usageRecorder.record]
+});
+
+// Set up conversation persistence routes
+setupConversationRoutes(app, store, {
+  onDelete: [documentIndex.removeConversation]
+});
+
+// Set up document upload and retrieval routes
+setupDocumentRoutes(app, store, documentIndex);
+
+// Set up shared prompt preset routes
+setupPresetRoutes(app, store);
+
+// Set up model comparison vote routes
+setupComparisonRoutes(app, store);
+
+// Set up usage reporting routes
+setupUsageRoutes(app, store);
+
+// Set up built-in tool routes
+setupToolRoutes(app);
+
+// Prometheus metrics
+setupMetricsRoutes(app);
+
+// Liveness, readiness and the Cloud Foundry health check
+setupHealthRoutes(app, healthChecker);
+
 // Serve static files from the Vue app in production
 if (process.env.NODE_ENV === 'production') {
-  console.log('Serving static frontend files');
+  logger.info('Serving static frontend files');
   // Serve any static files
   app.use(express.static(path.join(__dirname, '../client/dist')));
 
@@ -71,7 +161,7 @@ if (process.env.NODE_ENV === 'production') {
 
 // Error handling middleware
 app.use((err, req, res, next) => {
-  console.error('Server error:', err.message || 'Unknown error');
+  logger.error('Server error', { error: err });
   
   // Send a safe error response
   res.status(500).json({
@@ -84,12 +174,12 @@ app.use((err, req, res, next) => {
 
 // Start the server
 app.listen(PORT, () => {
-  console.log(`Server running on port ${PORT}`);
+  logger.info('Server running', { port: Number(PORT) });
   
   if (process.env.NODE_ENV === 'production') {
-    console.log('Production mode: Serving frontend from ./client/dist');
+    logger.info('Production mode: Serving frontend from ./client/dist');
   } else {
-    console.log('Development mode: API available at http://localhost:' + PORT);
-    console.log('Frontend should be started separately with npm run client');
+    logger.info(`Development mode: API available at http://localhost:${PORT}`);
+    logger.info('Frontend should be started separately with npm run client');
   }
 });
@@ -0,0 +1,660 @@
+// services.js
+const fs = require('fs');
+const axios = require('axios');
+const YAML = require('yaml');
+const { adapterNames, adapterOf, fetchServiceModels } = require('./adapters');
+const { agentsFor, isInsecureService } = require('./agents');
+const { logger } = require('./logger');
+
+const SERVICE_TYPES = ['genai'];
+
+// How long a model list fetched from a config URL is served before it is
+// fetched again, and how soon a failed fetch is retried
+const DEFAULT_CATALOG_TTL_SECONDS = 300;
+const RETRY_AFTER_FAILURE_MS = 30 * 1000;
+// Longest wait for a model list. Requests wait for the first load and for
+// forced refreshes, so a hanging config URL must not hold them for long.
+const DISCOVERY_TIMEOUT_MS = Number(process.env.MODEL_DISCOVERY_TIMEOUT_MS) || 10000;
+
+/**
+ * Fetch models from config URL for multi-plan services
+ * @param {string} configUrl - The config URL to fetch models from
+ * @param {string} apiKey - API key for authentication
+ * @param {Object} [binding] - Service the URL belongs to, for its connection pool
+ * @param {string} [binding.id]
+ * @param {boolean} [binding.tlsVerify]
+ * @returns {Promise<Array>} Array of model objects
+ * @throws {Error} When the config URL cannot be read
+ */
+async function fetchModelsFromConfig(configUrl, apiKey, binding = {}) {
+  const { httpAgent, httpsAgent } = agentsFor(binding.id || 'default', { verify: binding.tlsVerify });
+
+  const response = await axios.get(configUrl, {
+    headers: {
+      'Authorization': `Bearer ${apiKey}`,
+      'Content-Type': 'application/json'
+    },
+    httpAgent,
+    httpsAgent,
+    timeout: DISCOVERY_TIMEOUT_MS,
+    // The timeout above only covers silences, this bounds the whole download
+    signal: AbortSignal.timeout(DISCOVERY_TIMEOUT_MS)
+  });
+
+  if (response.data && response.data.advertisedModels) {
+    return response.data.advertisedModels.map(model => ({
+      name: model.name,
+      display_name: model.description || model.name,
+      is_default: false, // We'll set the first one as default later
+      capabilities: model.capabilities || []
+    }));
+  }
+
+  return [];
+}
+
+/**
+ * Remove trailing slashes and add the `/v1` path OpenAI's own API needs
+ * @param {string} baseUrl - Base URL from a binding or the environment
+ * @returns {string}
+ */
+function normalizeBaseUrl(baseUrl) {
+  const url = baseUrl.replace(/\/+$/, '');
+  return url === 'https://api.openai.com' ? `${url}/v1` : url;
+}
+
+/**
+ * Upstream paths for services that do not declare them, following the URL
+ * conventions of the GenAI bindings
+ * @param {string} baseUrl - Normalized base URL
+ * @returns {{ chat: string, embeddings: string, models: string }}
+ */
+function guessPaths(baseUrl) {
+  if (baseUrl.endsWith('/chat/completions')) {
+    return { chat: '', embeddings: '/embeddings', models: '/models' };
+  }
+  if (baseUrl === 'https://api.openai.com/v1') {
+    return { chat: '/chat/completions', embeddings: '/embeddings', models: '/models' };
+  }
+  if (baseUrl.endsWith('/openai')) {
+    return { chat: '/v1/chat/completions', embeddings: '/v1/embeddings', models: '/v1/models' };
+  }
+  if (baseUrl.includes('/multi-')) {
+    return { chat: '/openai/v1/chat/completions', embeddings: '/openai/v1/embeddings', models: '/openai/v1/models' };
+  }
+  return { chat: '/chat/completions', embeddings: '/embeddings', models: '/models' };
+}
+
+/**
+ * Upstream endpoints of a service: declared paths first, then the native
+ * paths of its adapter, then the ones guessed from the URL
+ * @param {string} baseUrl - Normalized base URL
+ * @param {string} adapter - Adapter name
+ * @param {Object} [paths] - Declared chat, embeddings and models paths
+ * @returns {{ chatEndpoint: string, embeddingsEndpoint: string|null, modelsEndpoint: string }}
+ */
+function resolveEndpoints(baseUrl, adapter, paths = {}) {
+  const defaults = adapterOf({ adapter }).paths || guessPaths(baseUrl);
+  const endpoint = (name) => {
+    const path = paths[name] ?? defaults[name];
+    return path === null ? null : `${baseUrl}${path}`;
+  };
+  return {
+    chatEndpoint: endpoint('chat'),
+    embeddingsEndpoint: endpoint('embeddings'),
+    modelsEndpoint: endpoint('models')
+  };
+}
+
+/**
+ * Replace `${NAME}` references with environment variables, in every string
+ * of a parsed providers file
+ * @param {*} value - Parsed value
+ * @returns {*}
+ */
+function expandEnv(value) {
+  if (typeof value === 'string') {
+    return value.replace(/\$\{(\w+)\}/g, (match, name) => {
+      if (process.env[name] === undefined) {
+        logger.warn('Providers file references an unset environment variable', { name });
+      }
+      return process.env[name] || '';
+    });
+  }
+  if (Array.isArray(value)) {
+    return value.map(expandEnv);
+  }
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, expandEnv(item)]));
+  }
+  return value;
+}
+
+/**
+ * Validate a provider declared in the providers file and turn it into a binding
+ * @param {Object} provider - Entry of the providers file
+ * @returns {{ binding?: Object, error?: string }}
+ */
+function providerBinding(provider) {
+  if (!provider || typeof provider !== 'object') {
+    return { error: 'each provider must be an object' };
+  }
+  const {
+    id,
+    name,
+    adapter = 'openai',
+    base_url: baseUrl,
+    api_key: apiKey,
+    api_version: apiVersion,
+    headers = {},
+    models = 'auto',
+    tls_verify: tlsVerify = true
+  } = provider;
+  if (typeof id !== 'string' || !id || id.includes('|')) {
+    return { error: 'each provider needs an id without "|"' };
+  }
+  if (!adapterNames().includes(adapter)) {
+    return { error: `adapter of provider ${id} must be one of: ${adapterNames().join(', ')}` };
+  }
+  if (typeof baseUrl !== 'string' || !/^https?:\/\//.test(baseUrl)) {
+    return { error: `provider ${id} needs an http(s) base_url` };
+  }
+  if (!headers || typeof headers !== 'object' || Array.isArray(headers)) {
+    return { error: `headers of provider ${id} must be an object` };
+  }
+  for (const field of ['chat_path', 'embeddings_path', 'models_path']) {
+    if (provider[field] !== undefined && typeof provider[field] !== 'string') {
+      return { error: `${field} of provider ${id} must be a string` };
+    }
+  }
+  if (typeof tlsVerify !== 'boolean') {
+    return { error: `tls_verify of provider ${id} must be true or false` };
+  }
+  if (models !== 'auto' && !Array.isArray(models)) {
+    return { error: `models of provider ${id} must be a list or "auto"` };
+  }
+  // Azure lists base models, not the deployments requests are sent to
+  if (adapter === 'azure' && !Array.isArray(models)) {
+    return { error: `provider ${id} must list its deployments in models` };
+  }
+
+  const serviceName = typeof name === 'string' && name ? name : id;
+  const declared = [];
+  if (Array.isArray(models)) {
+    for (const model of models) {
+      const entry = typeof model === 'string' ? { name: model } : model;
+      if (!entry || typeof entry.name !== 'string' || !entry.name) {
+        return { error: `models of provider ${id} must be names or objects with a name` };
+      }
+      declared.push({
+        id: `${id}|${entry.name}`,
+        name: `${id}|${entry.name}`,
+        original_name: entry.name,
+        display_name: entry.display_name || entry.name,
+        is_default: declared.length === 0,
+        capabilities: Array.isArray(entry.capabilities) ? entry.capabilities : [],
+        service_id: id,
+        service_name: serviceName
+      });
+    }
+  }
+
+  return {
+    binding: {
+      id,
+      name: serviceName,
+      aliases: [id, serviceName],
+      type: 'provider',
+      plan: 'default',
+      multiPlan: false,
+      adapter,
+      apiVersion: apiVersion ? String(apiVersion) : null,
+      baseUrl,
+      apiKey: apiKey || null,
+      tlsVerify,
+      headers: Object.fromEntries(Object.entries(headers).map(([key, value]) => [key, String(value)])),
+      paths: {
+        chat: provider.chat_path,
+        embeddings: provider.embeddings_path,
+        models: provider.models_path
+      },
+      // Without a declared list, the models endpoint is asked
+      models: declared,
+      discover: Array.isArray(models) ? null : binding => fetchServiceModels({
+        serviceId: binding.id,
+        tlsVerify: binding.tlsVerify,
+        adapter: binding.adapter,
+        apiKey: binding.apiKey,
+        apiVersion: binding.apiVersion,
+        headers: binding.headers,
+        ...resolveEndpoints(normalizeBaseUrl(binding.baseUrl), binding.adapter, binding.paths)
+      }, { timeout: DISCOVERY_TIMEOUT_MS, signal: AbortSignal.timeout(DISCOVERY_TIMEOUT_MS) }),
+      source: 'models endpoint'
+    }
+  };
+}
+
+/**
+ * Read the upstreams declared in PROVIDERS_FILE (YAML, or JSON for `.json`
+ * files): a `providers` list, or the list itself
+ * @returns {Array<Object>} Bindings
+ */
+function readProvidersFile() {
+  const file = process.env.PROVIDERS_FILE;
+  if (!file) {
+    return [];
+  }
+
+  let providers;
+  try {
+    const text = fs.readFileSync(file, 'utf8');
+    const parsed = expandEnv(file.endsWith('.json') ? JSON.parse(text) : YAML.parse(text));
+    providers = Array.isArray(parsed) ? parsed : parsed && parsed.providers;
+    if (!Array.isArray(providers)) {
+      throw new Error('expected a list of providers');
+    }
+  } catch (error) {
+    logger.error('Error reading providers file', { file, error });
+    return [];
+  }
+
+  const bindings = [];
+  for (const provider of providers) {
+    const { binding, error } = providerBinding(provider);
+    if (error) {
+      logger.error('Skipping invalid provider', { file, reason: error });
+    } else {
+      bindings.push(binding);
+    }
+  }
+  return bindings;
+}
+
+/**
+ * Models of a legacy (single model) binding
+ * @param {Object} credentials - Binding credentials
+ * @param {string} serviceId - Service ID
+ * @param {string} serviceName - Service name
+ * @returns {Array<Object>}
+ */
+function legacyModels(credentials, serviceId, serviceName) {
+  const models = [];
+
+  // Primary model from model_name
+  if (credentials.model_name) {
+    models.push({
+      id: `${serviceId}|${credentials.model_name}`, // Unique identifier
+      name: `${serviceId}|${credentials.model_name}`, // Unique name for frontend (includes service)
+      original_name: credentials.model_name, // Original model name for API calls
+      display_name: `${credentials.model_name}`, // User-friendly name with service context
+      is_default: true,
+      capabilities: [],
+      service_id: serviceId,
+      service_name: serviceName
+    });
+  }
+
+  // Model aliases if available
+  if (credentials.model_aliases && Array.isArray(credentials.model_aliases)) {
+    credentials.model_aliases.forEach(alias => {
+      // Check if this alias is already added by name (not ID)
+      if (!models.some(m => m.name === alias)) {
+        models.push({
+          id: `${serviceId}|${alias}`, // Unique identifier
+          name: `${serviceId}|${alias}`, // Unique name for frontend (includes service)
+          original_name: alias, // Original model name for API calls
+          display_name: `${alias} (${serviceName})`, // User-friendly name with service context
+          is_default: false,
+          capabilities: [],
+          service_id: serviceId,
+          service_name: serviceName
+        });
+      }
+    });
+  }
+
+  return models;
+}
+
+// Models listed for the OPENAI_API_KEY service until its models endpoint
+// answers, and the capabilities of those models when it does
+const LOCAL_OPENAI_MODELS = [
+  { name: 'gpt-4', display_name: 'GPT-4', capabilities: ['CHAT'] },
+  { name: 'gpt-3.5-turbo', display_name: 'GPT-3.5 Turbo', capabilities: ['CHAT'] },
+  { name: 'text-embedding-3-small', display_name: 'Text Embedding 3 Small', capabilities: ['EMBEDDING'] }
+];
+
+/**
+ * Service for OPENAI_API_KEY and OPENAI_BASE_URL. Its models are fetched
+ * from the models endpoint like those of a provider with `models: auto`.
+ * @returns {Object} Binding
+ */
+function localOpenAIBinding() {
+  const id = 'local-openai';
+  const name = 'Local OpenAI';
+  const known = new Map(LOCAL_OPENAI_MODELS.map(model => [model.name, model]));
+  return {
+    id,
+    name,
+    aliases: [id],
+    type: 'environment',
+    plan: 'default',
+    multiPlan: false,
+    adapter: 'openai',
+    apiVersion: null,
+    baseUrl: process.env.OPENAI_BASE_URL || 'https://api.openai.com',
+    apiKey: process.env.OPENAI_API_KEY,
+    tlsVerify: !isInsecureService([id]),
+    headers: {},
+    paths: {},
+    models: LOCAL_OPENAI_MODELS.map((model, index) => ({
+      id: `${id}|${model.name}`,
+      name: `${id}|${model.name}`,
+      original_name: model.name,
+      display_name: model.display_name,
+      is_default: index === 0,
+      capabilities: model.capabilities,
+      service_id: id,
+      service_name: name
+    })),
+    discover: async binding => {
+      const models = await fetchServiceModels({
+        serviceId: binding.id,
+        tlsVerify: binding.tlsVerify,
+        adapter: binding.adapter,
+        apiKey: binding.apiKey,
+        headers: binding.headers,
+        ...resolveEndpoints(normalizeBaseUrl(binding.baseUrl), binding.adapter, binding.paths)
+      }, { timeout: DISCOVERY_TIMEOUT_MS, signal: AbortSignal.timeout(DISCOVERY_TIMEOUT_MS) });
+      // Known models first, so that the default stays a chat model
+      return [
+        ...models.filter(model => known.has(model.name))
+          .map(model => ({ ...model, capabilities: known.get(model.name).capabilities })),
+        ...models.filter(model => !known.has(model.name))
+      ];
+    },
+    source: 'models endpoint'
+  };
+}
+
+/**
+ * Read the GenAI service bindings from VCAP_SERVICES and the providers file,
+ * with their credentials. Without either, OPENAI_API_KEY provides a local
+ * service.
+ * @returns {Array<Object>} Bindings; those with a `discover` function fetch
+ *   their models instead of listing them in `models`
+ */
+function readBindings() {
+  const bindings = [];
+
+  // Check for VCAP_SERVICES (Cloud Foundry)
+  if (process.env.VCAP_SERVICES) {
+    try {
+      const vcapServices = JSON.parse(process.env.VCAP_SERVICES);
+
+      for (const serviceType of SERVICE_TYPES) {
+        if (!Array.isArray(vcapServices[serviceType])) continue;
+
+        // Loop through each instance of this service type
+        vcapServices[serviceType].forEach((service, index) => {
+          if (!service.credentials) return;
+
+          const credentials = service.credentials;
+          const serviceId = service.instance_guid || `${serviceType}-${index}`;
+          const serviceName = service.instance_name || service.name || `${serviceType}-${index}`;
+          const plan = service.plan || 'unknown';
+          // Names a service can be requested by
+          const aliases = [service.instance_guid, service.instance_name, service.name].filter(Boolean);
+          const binding = {
+            id: serviceId,
+            name: serviceName,
+            aliases,
+            type: serviceType,
+            plan,
+            // Multi-plan credentials hold the key and URL in `endpoint`
+            multiPlan: plan === 'multi' && !!credentials.endpoint,
+            adapter: 'openai',
+            apiVersion: null,
+            baseUrl: null,
+            apiKey: null,
+            // Certificate checks are only turned off on request, see agents.js
+            tlsVerify: !isInsecureService(aliases),
+            headers: {},
+            paths: {},
+            models: [],
+            discover: null,
+            source: null
+          };
+
+          // Handle multi-plan services (new format)
+          if (binding.multiPlan) {
+            binding.baseUrl = credentials.endpoint.api_base;
+            binding.apiKey = credentials.endpoint.api_key || null;
+            if (credentials.endpoint.config_url && credentials.endpoint.api_key) {
+              const configUrl = credentials.endpoint.config_url;
+              binding.discover = () => fetchModelsFromConfig(configUrl, credentials.endpoint.api_key, binding);
+              binding.source = `config URL ${configUrl}`;
+            }
+          }
+          // Handle legacy format
+          else {
+            binding.baseUrl = credentials.api_base || credentials.base_url || null;
+            binding.apiKey = credentials.api_key || null;
+            binding.models = legacyModels(credentials, serviceId, serviceName);
+          }
+
+          bindings.push(binding);
+        });
+      }
+    } catch (error) {
+      logger.error('Error parsing VCAP_SERVICES for all GenAI services', { error });
+    }
+  }
+
+  // Declared providers join the bound services, unless their ID is taken
+  for (const binding of readProvidersFile()) {
+    if (bindings.some(existing => existing.id === binding.id)) {
+      logger.error('Skipping provider: a service with this ID already exists', { service: binding.id });
+    } else {
+      bindings.push(binding);
+    }
+  }
+
+  // If no services found and environment has OPENAI_API_KEY, add a local service
+  if (bindings.length === 0 && process.env.OPENAI_API_KEY) {
+    bindings.push(localOpenAIBinding());
+  }
+
+  return bindings;
+}
+
+/**
+ * Create the service registry: the catalog of services and models, built
+ * from the bindings once and kept in memory. Model lists that are fetched
+ * (config URLs of multi-plan services, models endpoints of providers) are
+ * served for `ttlSeconds` and refreshed in the background. When the list
+ * cannot be fetched, the last one fetched is kept, or before any was the
+ * models listed with the binding.
+ * @param {Object} [options]
+ * @param {number} [options.ttlSeconds] - Defaults to MODEL_CATALOG_TTL or 300
+ * @returns {Object} Registry
+ */
+function createServiceRegistry(options = {}) {
+  const ttlSeconds = Number(options.ttlSeconds ?? process.env.MODEL_CATALOG_TTL);
+  const ttlMs = (ttlSeconds > 0 ? ttlSeconds : DEFAULT_CATALOG_TTL_SECONDS) * 1000;
+
+  // Bindings and the catalog built from them, replaced together so that a
+  // caller never pairs a model of one with a binding of the other. Null
+  // until the first load completes.
+  let snapshot = null;
+  // Service ID -> { models, updatedAt, checkedAt, error } of fetched model lists
+  const catalogs = new Map();
+  // Load in progress: { promise, forced }
+  let pending = null;
+  let timer = null;
+
+  const isStale = (catalog) =>
+    !catalog || Date.now() - catalog.checkedAt > (catalog.error ? RETRY_AFTER_FAILURE_MS : ttlMs);
+
+  const needsFetch = (binding, force) => !!binding.discover && (force || isStale(catalogs.get(binding.id)));
+
+  // Fetch the model list of a binding, keeping the previous one on failure
+  async function fetchCatalog(binding) {
+    const previous = catalogs.get(binding.id);
+    try {
+      const fetched = await binding.discover(binding);
+      // Create unique model identifiers that include the service
+      const models = fetched.map((model, index) => ({
+        id: `${binding.id}|${model.name}`, // Unique identifier
+        name: `${binding.id}|${model.name}`, // Unique name for frontend (includes service)
+        original_name: model.name, // Original model name for API calls
+        display_name: `${model.display_name}`, // User-friendly name with service context
+        is_default: index === 0, // First model is default
+        capabilities: model.capabilities || [],
+        service_id: binding.id,
+        service_name: binding.name
+      }));
+      const now = Date.now();
+      catalogs.set(binding.id, { models, updatedAt: now, checkedAt: now, error: null });
+    } catch (error) {
+      logger.error('Error fetching model list', { service: binding.name, source: binding.source, error });
+      catalogs.set(binding.id, {
+        // Models listed with the binding stand in until a fetch succeeds
+        models: previous ? previous.models : binding.models,
+        updatedAt: previous ? previous.updatedAt : null,
+        checkedAt: Date.now(),
+        error: error.message
+      });
+    }
+  }
+
+  // Services as listed by /api/models-config, without credentials
+  function buildServices(bindings) {
+    return bindings.map(binding => {
+      const catalog = binding.discover ? catalogs.get(binding.id) : null;
+      return {
+        id: binding.id,
+        name: binding.name,
+        type: binding.type,
+        plan: binding.plan,
+        base_url: binding.baseUrl,
+        models: catalog ? catalog.models : binding.models,
+        // Do NOT include the API key for security reasons
+        has_api_key: !!binding.apiKey,
+        // When the model list was last fetched, and why the last attempt failed
+        models_updated_at: catalog ? catalog.updatedAt : null,
+        models_error: catalog ? catalog.error : null
+      };
+    });
+  }
+
+  async function load(force) {
+    const bindings = force || !snapshot ? readBindings() : snapshot.bindings;
+    const fetches = bindings.filter(binding => needsFetch(binding, force)).map(fetchCatalog);
+    await Promise.all(fetches);
+    snapshot = { bindings, services: buildServices(bindings) };
+    return snapshot;
+  }
+
+  /**
+   * Rebuild the catalog, fetching stale model lists (or all of them when
+   * forced). Concurrent calls share the same refresh, except that a forced
+   * one does not settle for a load that was not: it runs after it.
+   * @param {boolean} [force]
+   * @returns {Promise<{ bindings: Array<Object>, services: Array<Object> }>} Snapshot
+   */
+  function loadShared(force) {
+    if (pending && (pending.forced || !force)) {
+      return pending.promise;
+    }
+    const previous = pending ? pending.promise.catch(() => {}) : Promise.resolve();
+    const entry = { forced: force };
+    entry.promise = previous.then(() => load(force)).finally(() => {
+      if (pending === entry) {
+        pending = null;
+      }
+    });
+    pending = entry;
+    return entry.promise;
+  }
+
+  /**
+   * Current snapshot. Only the first call waits for model lists to be
+   * fetched; afterwards stale lists are refreshed in the background while
+   * the last known catalog is served.
+   * @returns {Promise<{ bindings: Array<Object>, services: Array<Object> }>}
+   */
+  async function currentSnapshot() {
+    if (!snapshot) {
+      return loadShared(false);
+    }
+    if (snapshot.bindings.some(binding => needsFetch(binding, false))) {
+      loadShared(false).catch(error => logger.error('Error refreshing model catalog', { error }));
+    }
+    return snapshot;
+  }
+
+  /**
+   * Rebuild the catalog, fetching stale model lists (or all of them when
+   * forced). Concurrent calls share the same refresh.
+   * @param {boolean} [force]
+   * @returns {Promise<Array<Object>>} Services
+   */
+  async function refresh(force = false) {
+    return (await loadShared(force)).services;
+  }
+
+  /**
+   * Current services and models
+   * @returns {Promise<Array<Object>>} Services (shared, do not modify)
+   */
+  async function getServices() {
+    return (await currentSnapshot()).services;
+  }
+
+  /**
+   * Binding of a service, with its credentials
+   * @param {string} [serviceId] - ID or name of the service; the first service when omitted or unknown
+   * @returns {Promise<{ binding: Object|null, models: Array<Object> }>}
+   */
+  async function getBinding(serviceId) {
+    const { bindings, services } = await currentSnapshot();
+    const index = serviceId ? bindings.findIndex(binding => binding.aliases.includes(serviceId)) : -1;
+    const position = index >= 0 ? index : 0;
+    return {
+      binding: bindings[position] || null,
+      models: services[position] ? services[position].models : []
+    };
+  }
+
+  return {
+    getServices,
+    getBinding,
+    refresh,
+
+    /** Refresh the model lists every TTL, without keeping the process alive */
+    start() {
+      if (timer) return;
+      timer = setInterval(() => {
+        refresh().catch(error => logger.error('Error refreshing model catalog', { error }));
+      }, ttlMs);
+      timer.unref();
+    },
+
+    stop() {
+      clearInterval(timer);
+      timer = null;
+    }
+  };
+}
+
+// Registry shared by the proxy, embeddings and health routes
+const serviceRegistry = createServiceRegistry();
+
+module.exports = {
+  createServiceRegistry,
+  serviceRegistry,
+  fetchModelsFromConfig,
+  normalizeBaseUrl,
+  resolveEndpoints
+};
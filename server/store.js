@@ -0,0 +1,248 @@
+// store.js
+const fs = require('fs');
+const path = require('path');
+const { logger } = require('./logger');
+
+/**
+ * Storage interface shared by the persistence features.
+ *
+ * Documents are plain JSON objects with an `id`, grouped in named collections
+ * (e.g. "conversations"). Every method is async so that backends talking to a
+ * database or a shared service can implement the same interface:
+ *
+ *   list(collection, filter?)    -> Promise<Array<Object>>
+ *   get(collection, id)          -> Promise<Object|null>
+ *   put(collection, doc)         -> Promise<Object>
+ *   append(collection, doc)      -> Promise<Object>
+ *   delete(collection, id)       -> Promise<boolean>
+ *   prune(collection, field, before) -> Promise<number>
+ *
+ * `filter` is an object of top-level fields that must match exactly.
+ * `append` adds a document that is never updated, such as a usage record;
+ * backends may write it to a log rather than rewrite the collection.
+ * `prune` deletes the documents whose numeric `field` is below `before`
+ * and returns how many were deleted.
+ */
+
+/**
+ * Check whether a document matches a simple equality filter
+ * @param {Object} doc - Stored document
+ * @param {Object} [filter] - Field/value pairs that must match
+ * @returns {boolean}
+ */
+function matchesFilter(doc, filter) {
+  if (!filter) return true;
+  return Object.entries(filter).every(([key, value]) => doc[key] === value);
+}
+
+/**
+ * Create a store that keeps one JSON file per collection in a directory.
+ * Collections are loaded lazily and kept in memory; writes are serialized
+ * and done atomically (write to a temp file, then rename). Appended
+ * documents go to a `.jsonl` log next to the file instead, so appending
+ * costs the same whatever the size of the collection; the log is folded
+ * into the file by the next full write.
+ * @param {string} dataDir - Directory holding the collection files
+ * @returns {Object} Store implementing the storage interface
+ */
+function createFileStore(dataDir) {
+  const collections = new Map();
+  const pendingWrites = new Map();
+
+  fs.mkdirSync(dataDir, { recursive: true });
+
+  const fileFor = (collection) => path.join(dataDir, `${collection}.json`);
+  const logFor = (collection) => path.join(dataDir, `${collection}.jsonl`);
+
+  const load = (collection) => {
+    if (!collections.has(collection)) {
+      let docs = new Map();
+      try {
+        const raw = fs.readFileSync(fileFor(collection), 'utf8');
+        docs = new Map(JSON.parse(raw).map(doc => [doc.id, doc]));
+      } catch (error) {
+        if (error.code !== 'ENOENT') {
+          logger.error('Failed to load store, starting empty', { collection, error });
+        }
+      }
+      try {
+        for (const line of fs.readFileSync(logFor(collection), 'utf8').split('\n')) {
+          if (!line) continue;
+          try {
+            const doc = JSON.parse(line);
+            docs.set(doc.id, doc);
+          } catch {
+            // A line cut short by a crash
+            logger.warn('Skipping unreadable line of store log', { collection });
+          }
+        }
+      } catch (error) {
+        if (error.code !== 'ENOENT') {
+          logger.error('Failed to load store log', { collection, error });
+        }
+      }
+      collections.set(collection, docs);
+    }
+    return collections.get(collection);
+  };
+
+  // Chain writes per collection so they never interleave
+  const queueWrite = (collection, write) => {
+    const previous = pendingWrites.get(collection) || Promise.resolve();
+    const next = previous.then(write).catch(error => {
+      logger.error('Failed to write store', { collection, error });
+    });
+    pendingWrites.set(collection, next);
+    return next;
+  };
+
+  const persist = (collection) => queueWrite(collection, async () => {
+    const file = fileFor(collection);
+    const tmpFile = `${file}.${process.pid}.tmp`;
+    const docs = [...load(collection).values()];
+    await fs.promises.writeFile(tmpFile, JSON.stringify(docs));
+    await fs.promises.rename(tmpFile, file);
+    // The file now holds everything the log did
+    await fs.promises.rm(logFor(collection), { force: true });
+  });
+
+  return {
+    async list(collection, filter) {
+      return [...load(collection).values()].filter(doc => matchesFilter(doc, filter));
+    },
+
+    async get(collection, id) {
+      return load(collection).get(id) || null;
+    },
+
+    async put(collection, doc) {
+      load(collection).set(doc.id, doc);
+      await persist(collection);
+      return doc;
+    },
+
+    async append(collection, doc) {
+      load(collection).set(doc.id, doc);
+      await queueWrite(collection, () => fs.promises.appendFile(logFor(collection), `${JSON.stringify(doc)}\n`));
+      return doc;
+    },
+
+    async delete(collection, id) {
+      const deleted = load(collection).delete(id);
+      if (deleted) {
+        await persist(collection);
+      }
+      return deleted;
+    },
+
+    async prune(collection, field, before) {
+      const docs = load(collection);
+      let deleted = 0;
+      for (const [id, doc] of docs) {
+        if (typeof doc[field] === 'number' && doc[field] < before) {
+          docs.delete(id);
+          deleted += 1;
+        }
+      }
+      if (deleted > 0) {
+        await persist(collection);
+      }
+      return deleted;
+    }
+  };
+}
+
+/**
+ * Create a store backed by a SQLite database using the built-in `node:sqlite`
+ * module (Node.js 22.5+). Each document is stored as a JSON blob keyed by
+ * collection and id.
+ * @param {string} dbFile - Path to the database file
+ * @returns {Object} Store implementing the storage interface
+ */
+function createSqliteStore(dbFile) {
+  let DatabaseSync;
+  try {
+    ({ DatabaseSync } = require('node:sqlite'));
+  } catch {
+    throw new Error('The sqlite store requires Node.js 22.5 or later (node:sqlite)');
+  }
+
+  fs.mkdirSync(path.dirname(dbFile), { recursive: true });
+  const db = new DatabaseSync(dbFile);
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS documents (
+      collection TEXT NOT NULL,
+      id TEXT NOT NULL,
+      data TEXT NOT NULL,
+      PRIMARY KEY (collection, id)
+    )
+  `);
+
+  const listStmt = db.prepare('SELECT data FROM documents WHERE collection = ?');
+  const getStmt = db.prepare('SELECT data FROM documents WHERE collection = ? AND id = ?');
+  const putStmt = db.prepare(
+    'INSERT INTO documents (collection, id, data) VALUES (?, ?, ?) ' +
+    'ON CONFLICT (collection, id) DO UPDATE SET data = excluded.data'
+  );
+  const deleteStmt = db.prepare('DELETE FROM documents WHERE collection = ? AND id = ?');
+  const pruneStmt = db.prepare(
+    'DELETE FROM documents WHERE collection = ? AND json_extract(data, ?) < ?'
+  );
+
+  return {
+    async list(collection, filter) {
+      return listStmt.all(collection)
+        .map(row => JSON.parse(row.data))
+        .filter(doc => matchesFilter(doc, filter));
+    },
+
+    async get(collection, id) {
+      const row = getStmt.get(collection, id);
+      return row ? JSON.parse(row.data) : null;
+    },
+
+    async put(collection, doc) {
+      putStmt.run(collection, doc.id, JSON.stringify(doc));
+      return doc;
+    },
+
+    async append(collection, doc) {
+      putStmt.run(collection, doc.id, JSON.stringify(doc));
+      return doc;
+    },
+
+    async delete(collection, id) {
+      return deleteStmt.run(collection, id).changes > 0;
+    },
+
+    async prune(collection, field, before) {
+      return Number(pruneStmt.run(collection, `$.${field}`, before).changes);
+    }
+  };
+}
+
+/**
+ * Create the store configured through the environment.
+ * STORE_BACKEND selects the backend ("file" by default, or "sqlite") and
+ * DATA_DIR the directory where data is kept (defaults to ./data).
+ * @returns {Object} Store implementing the storage interface
+ */
+function createStore() {
+  const backend = (process.env.STORE_BACKEND || 'file').toLowerCase();
+  const dataDir = path.resolve(process.env.DATA_DIR || path.join(__dirname, '../data'));
+
+  if (backend === 'sqlite') {
+    const dbFile = path.join(dataDir, 'genai-chat.db');
+    logger.info('Using SQLite store', { file: dbFile });
+    return createSqliteStore(dbFile);
+  }
+
+  if (backend !== 'file') {
+    logger.warn('Unknown STORE_BACKEND, falling back to file store', { backend });
+  }
+
+  logger.info('Using file store', { dir: dataDir });
+  return createFileStore(dataDir);
+}
+
+module.exports = { createStore, createFileStore, createSqliteStore };
@@ -0,0 +1,141 @@
+// structured.js
+const Ajv = require('ajv');
+
+// Extra attempts, with the validation errors, for an answer that does not
+// match the requested schema
+const MAX_VALIDATION_RETRIES = 3;
+const configuredRetries = Number(process.env.STRUCTURED_OUTPUT_RETRIES);
+const DEFAULT_VALIDATION_RETRIES = process.env.STRUCTURED_OUTPUT_RETRIES && Number.isInteger(configuredRetries)
+  ? Math.min(Math.max(configuredRetries, 0), MAX_VALIDATION_RETRIES)
+  : 1;
+
+// Conversations send their schema with every request, so compiled schemas are kept
+const MAX_CACHED_SCHEMAS = 100;
+// Validation errors reported to the client and to the model
+const MAX_REPORTED_ERRORS = 20;
+
+const validators = new Map();
+
+/**
+ * Compiled validator of a schema, from the cache when it was seen before.
+ * Each schema gets its own Ajv instance: Ajv keeps every schema it compiled,
+ * and refuses a second schema with the same `$id`, so a shared instance
+ * would grow with every schema clients send and fail on reused IDs. An
+ * evicted validator takes its instance with it.
+ * @param {Object} schema - JSON Schema
+ * @returns {Function} Ajv validate function
+ */
+function compile(schema) {
+  const key = JSON.stringify(schema);
+  if (!validators.has(key)) {
+    const validate = new Ajv({ allErrors: true, strict: false }).compile(schema);
+    if (validators.size >= MAX_CACHED_SCHEMAS) {
+      validators.delete(validators.keys().next().value);
+    }
+    validators.set(key, validate);
+  }
+  return validators.get(key);
+}
+
+/**
+ * Check that a value is a usable JSON Schema
+ * @param {*} schema
+ * @returns {string|null} What is wrong with it, or null
+ */
+function schemaProblem(schema) {
+  if (!schema || typeof schema !== 'object' || Array.isArray(schema)) {
+    return 'must be a JSON Schema object';
+  }
+  try {
+    compile(schema);
+    return null;
+  } catch (error) {
+    return `is not a valid JSON Schema: ${error.message}`;
+  }
+}
+
+/**
+ * The JSON text of an answer. Models asked for JSON without native support
+ * often wrap it in a code fence or a sentence; the outermost object or
+ * array is taken then.
+ * @param {string} text - Answer content
+ * @returns {string}
+ */
+function extractJson(text) {
+  const trimmed = text.trim();
+  const fenced = /^```(?:json)?\s*\n([\s\S]*?)\n?```$/i.exec(trimmed);
+  if (fenced) {
+    return fenced[1].trim();
+  }
+  if (/^[[{]/.test(trimmed)) {
+    return trimmed;
+  }
+  const start = trimmed.search(/[[{]/);
+  const end = Math.max(trimmed.lastIndexOf('}'), trimmed.lastIndexOf(']'));
+  return start !== -1 && end > start ? trimmed.slice(start, end + 1) : trimmed;
+}
+
+/**
+ * Validate an answer against a schema
+ * @param {string|null} text - Answer content
+ * @param {Object} schema - JSON Schema
+ * @returns {{ valid: boolean, json: string, errors: Array<string> }} json is
+ *   the answer's JSON text, without any fence or surrounding prose
+ */
+function validateOutput(text, schema) {
+  const json = extractJson(text || '');
+  let value;
+  try {
+    value = JSON.parse(json);
+  } catch (error) {
+    return { valid: false, json, errors: [`The answer is not valid JSON: ${error.message}`] };
+  }
+
+  const validate = compile(schema);
+  if (validate(value)) {
+    return { valid: true, json, errors: [] };
+  }
+  const errors = validate.errors.slice(0, MAX_REPORTED_ERRORS).map(error => {
+    const detail = error.keyword === 'additionalProperties'
+      ? ` (${error.params.additionalProperty})`
+      : '';
+    return `${error.instancePath || '/'} ${error.message}${detail}`;
+  });
+  return { valid: false, json, errors };
+}
+
+/**
+ * System message asking a model without native structured output for JSON
+ * @param {Object} schema - JSON Schema
+ * @returns {{ role: string, content: string }}
+ */
+function schemaInstruction(schema) {
+  return {
+    role: 'system',
+    content: 'Answer with a single JSON value that matches the JSON Schema below. ' +
+      'Do not add explanations or a code fence.\n\n' + JSON.stringify(schema, null, 2)
+  };
+}
+
+/**
+ * Message asking for a corrected answer
+ * @param {Array<string>} errors - From validateOutput
+ * @returns {{ role: string, content: string }}
+ */
+function retryInstruction(errors) {
+  return {
+    role: 'user',
+    content: 'Your answer does not match the JSON Schema:\n' +
+      errors.map(error => `- ${error}`).join('\n') +
+      '\n\nAnswer again with only the corrected JSON.'
+  };
+}
+
+module.exports = {
+  DEFAULT_VALIDATION_RETRIES,
+  MAX_VALIDATION_RETRIES,
+  schemaProblem,
+  validateOutput,
+  schemaInstruction,
+  retryInstruction
+};
@@ -0,0 +1,87 @@
+// tools.js
+
+/**
+ * Built-in tools executed on the server. Each entry has an OpenAI function
+ * definition and a handler receiving the parsed arguments. The browser
+ * registers them next to its own tools and calls /api/tools/:name when the
+ * model asks for them.
+ */
+const SERVER_TOOLS = {
+  current_time: {
+    definition: {
+      type: 'function',
+      function: {
+        name: 'current_time',
+        description: 'Get the current date and time, optionally in a given IANA time zone.',
+        parameters: {
+          type: 'object',
+          properties: {
+            timezone: {
+              type: 'string',
+              description: 'IANA time zone name, e.g. "Europe/Paris". Defaults to UTC.'
+            }
+          }
+        }
+      }
+    },
+    handler: ({ timezone = 'UTC' } = {}) => {
+      const now = new Date();
+      let formatted;
+      try {
+        formatted = new Intl.DateTimeFormat('en-US', {
+          timeZone: timezone,
+          dateStyle: 'full',
+          timeStyle: 'long'
+        }).format(now);
+      } catch {
+        throw new Error(`Unknown time zone: ${timezone}`);
+      }
+      return {
+        timezone,
+        iso: now.toISOString(),
+        formatted
+      };
+    }
+  }
+};
+
+/**
+ * Sets up the built-in tool routes on the Express app
+ * @param {object} app - Express app instance
+ */
+function setupToolRoutes(app) {
+  // Definitions of the tools the server can run
+  app.get('/api/tools', (req, res) => {
+    res.json({
+      tools: Object.values(SERVER_TOOLS).map(tool => tool.definition)
+    });
+  });
+
+  // Run a tool with the arguments produced by the model
+  app.post('/api/tools/:name', async (req, res) => {
+    const tool = SERVER_TOOLS[req.params.name];
+    if (!tool) {
+      return res.status(404).json({
+        error: {
+          message: `Unknown tool: ${req.params.name}`,
+          type: 'invalid_request_error'
+        }
+      });
+    }
+
+    try {
+      const result = await tool.handler(req.body.arguments || {});
+      res.json({ result });
+    } catch (error) {
+      // Tool errors are reported to the model, not treated as server failures
+      res.status(400).json({
+        error: {
+          message: error.message,
+          type: 'tool_error'
+        }
+      });
+    }
+  });
+}
+
+module.exports = { setupToolRoutes };
@@ -0,0 +1,267 @@
+// usage.js
+const crypto = require('crypto');
+const { countTokens } = require('./limits');
+const { isAdmin } = require('./auth');
+const { logger } = require('./logger');
+
+const COLLECTION = 'usage';
+// Days usage records are kept, 0 to keep them forever
+const DEFAULT_RETENTION_DAYS = 90;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const GROUP_BY_FIELDS = ['user', 'model', 'service', 'status', 'day'];
+const RECORD_FIELDS = [
+  'timestamp', 'user', 'model', 'upstreamModel', 'service', 'status', 'statusCode',
+  'promptTokens', 'completionTokens', 'totalTokens', 'estimated', 'latencyMs', 'ttftMs'
+];
+
+/**
+ * Status of a completion for reporting
+ * @param {Object} outcome - Outcome returned by executeRequest
+ * @returns {string} "success", "error" or "cancelled"
+ */
+function statusOf(outcome) {
+  if (outcome.cancelled) return 'cancelled';
+  return outcome.statusCode >= 400 ? 'error' : 'success';
+}
+
+/**
+ * Create the usage recorder. Its `record` method is a completion listener
+ * for setupProxyRoutes and appends one record per chat completion. Records
+ * older than the retention are deleted once a day after `start`.
+ * @param {object} store - Store implementing the storage interface (see store.js)
+ * @param {Object} [options]
+ * @param {number} [options.retentionDays] - Defaults to USAGE_RETENTION_DAYS or 90
+ * @returns {{ record: Function, prune: Function, start: Function, stop: Function }}
+ */
+function createUsageRecorder(store, options = {}) {
+  const configured = Number(options.retentionDays ?? process.env.USAGE_RETENTION_DAYS);
+  const retentionDays = Number.isFinite(configured) && configured >= 0 ? configured : DEFAULT_RETENTION_DAYS;
+  let timer = null;
+
+  /**
+   * Delete the records older than the retention
+   * @returns {Promise<number>} Records deleted
+   */
+  async function prune() {
+    if (retentionDays === 0) return 0;
+    const deleted = await store.prune(COLLECTION, 'timestamp', Date.now() - retentionDays * DAY_MS);
+    if (deleted > 0) {
+      logger.info('Deleted expired usage records', { deleted, retentionDays });
+    }
+    return deleted;
+  }
+
+  const pruneLogged = () => prune().catch(error => logger.error('Error deleting expired usage records', { error }));
+
+  return {
+    prune,
+
+    /** Prune now and every day, without keeping the process alive */
+    start() {
+      if (timer) return;
+      pruneLogged();
+      timer = setInterval(pruneLogged, DAY_MS);
+      timer.unref();
+    },
+
+    stop() {
+      clearInterval(timer);
+      timer = null;
+    },
+
+    async record(req, outcome, details) {
+      const finishedAt = Date.now();
+      const { promptTokens, completionTokens, estimated } = countTokens(req, outcome);
+
+      await store.append(COLLECTION, {
+        id: crypto.randomUUID(),
+        timestamp: details.startedAt,
+        user: (req.user && req.user.id) || 'anonymous',
+        model: details.modelKey,
+        upstreamModel: details.model,
+        service: details.serviceId,
+        status: statusOf(outcome),
+        statusCode: outcome.statusCode,
+        promptTokens,
+        completionTokens,
+        totalTokens: promptTokens + completionTokens,
+        estimated,
+        latencyMs: finishedAt - details.startedAt,
+        ttftMs: outcome.firstTokenAt ? outcome.firstTokenAt - details.startedAt : null
+      });
+    }
+  };
+}
+
+/**
+ * Parse a time-range bound given as epoch milliseconds or an ISO date
+ * @param {string} value - Query parameter value
+ * @returns {number|null|undefined} Timestamp, undefined when absent, null when invalid
+ */
+function parseTime(value) {
+  if (value === undefined || value === '') return undefined;
+  const timestamp = /^\d+$/.test(value) ? Number(value) : Date.parse(value);
+  return Number.isNaN(timestamp) ? null : timestamp;
+}
+
+/**
+ * Aggregate usage records by one or more fields
+ * @param {Array<Object>} records - Usage records
+ * @param {Array<string>} fields - Fields to group by
+ * @returns {Array<Object>} One row per group
+ */
+function groupRecords(records, fields) {
+  const groups = new Map();
+
+  for (const record of records) {
+    const keyValues = {};
+    for (const field of fields) {
+      keyValues[field] = field === 'day'
+        ? new Date(record.timestamp).toISOString().substring(0, 10)
+        : record[field];
+    }
+    const key = JSON.stringify(keyValues);
+
+    if (!groups.has(key)) {
+      groups.set(key, {
+        ...keyValues,
+        requests: 0,
+        errors: 0,
+        promptTokens: 0,
+        completionTokens: 0,
+        totalTokens: 0,
+        latencyMsTotal: 0,
+        ttftMsTotal: 0,
+        ttftCount: 0
+      });
+    }
+
+    const group = groups.get(key);
+    group.requests += 1;
+    group.errors += record.status === 'error' ? 1 : 0;
+    group.promptTokens += record.promptTokens;
+    group.completionTokens += record.completionTokens;
+    group.totalTokens += record.totalTokens;
+    group.latencyMsTotal += record.latencyMs;
+    if (record.ttftMs !== null) {
+      group.ttftMsTotal += record.ttftMs;
+      group.ttftCount += 1;
+    }
+  }
+
+  return [...groups.values()].map(({ latencyMsTotal, ttftMsTotal, ttftCount, ...group }) => ({
+    ...group,
+    avgLatencyMs: Math.round(latencyMsTotal / group.requests),
+    avgTtftMs: ttftCount > 0 ? Math.round(ttftMsTotal / ttftCount) : null
+  }));
+}
+
+/**
+ * Convert rows to CSV, quoting values when needed
+ * @param {Array<Object>} rows - Rows to export
+ * @param {Array<string>} columns - Column names, in order
+ * @returns {string}
+ */
+function toCsv(rows, columns) {
+  const escape = (value) => {
+    if (value === null || value === undefined) return '';
+    const text = String(value);
+    return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  };
+
+  return [
+    columns.join(','),
+    ...rows.map(row => columns.map(column => escape(row[column])).join(','))
+  ].join('\n') + '\n';
+}
+
+/**
+ * Sets up the usage reporting routes on the Express app
+ * @param {object} app - Express app instance
+ * @param {object} store - Store implementing the storage interface (see store.js)
+ */
+function setupUsageRoutes(app, store) {
+  /**
+   * Query parameters:
+   *   from, to   - time range (epoch ms or ISO date), inclusive
+   *   user, model, service, status - exact-match filters
+   *   groupBy    - comma-separated list of user, model, service, status, day
+   *   format     - "json" (default) or "csv"
+   * Non-admin users only see their own usage.
+   */
+  app.get('/api/usage', async (req, res) => {
+    try {
+      const from = parseTime(req.query.from);
+      const to = parseTime(req.query.to);
+      if (from === null || to === null) {
+        return res.status(400).json({
+          error: {
+            message: 'from and to must be epoch milliseconds or ISO dates',
+            type: 'invalid_request_error'
+          }
+        });
+      }
+
+      const groupBy = req.query.groupBy
+        ? String(req.query.groupBy).split(',').map(field => field.trim()).filter(Boolean)
+        : [];
+      const invalidField = groupBy.find(field => !GROUP_BY_FIELDS.includes(field));
+      if (invalidField) {
+        return res.status(400).json({
+          error: {
+            message: `Cannot group by "${invalidField}", use one of: ${GROUP_BY_FIELDS.join(', ')}`,
+            type: 'invalid_request_error'
+          }
+        });
+      }
+
+      const filter = {};
+      for (const field of ['user', 'model', 'service', 'status']) {
+        if (req.query[field]) {
+          filter[field] = String(req.query[field]);
+        }
+      }
+      if (!isAdmin(req.user)) {
+        filter.user = req.user.id;
+      }
+
+      const records = (await store.list(COLLECTION, filter))
+        .filter(record =>
+          (from === undefined || record.timestamp >= from) &&
+          (to === undefined || record.timestamp <= to))
+        .sort((a, b) => a.timestamp - b.timestamp);
+
+      const rows = groupBy.length > 0 ? groupRecords(records, groupBy) : records;
+      const columns = groupBy.length > 0
+        ? [...groupBy, 'requests', 'errors', 'promptTokens', 'completionTokens', 'totalTokens', 'avgLatencyMs', 'avgTtftMs']
+        : RECORD_FIELDS;
+
+      if (req.query.format === 'csv') {
+        const exportRows = groupBy.length > 0
+          ? rows
+          : rows.map(row => ({ ...row, timestamp: new Date(row.timestamp).toISOString() }));
+        res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+        res.setHeader('Content-Disposition', 'attachment; filename="usage.csv"');
+        return res.send(toCsv(exportRows, columns));
+      }
+
+      res.json({
+        from: from === undefined ? null : from,
+        to: to === undefined ? null : to,
+        groupBy,
+        count: rows.length,
+        data: rows
+      });
+    } catch (error) {
+      logger.error('Error in /api/usage', { error });
+      res.status(500).json({
+        error: {
+          message: 'Failed to read usage',
+          type: 'server_error'
+        }
+      });
+    }
+  });
+}
+
+module.exports = { createUsageRecorder, setupUsageRoutes, parseTime };
@@ -0,0 +1,205 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { createUpstreamClient } = require('../server/adapters');
+const { resolveEndpoints } = require('../server/services');
+const { listen } = require('./helpers');
+
+/**
+ * Mock provider answering every request with a native stream, and keeping
+ * the requests it received
+ * @param {string} contentType - Content type of the stream
+ * @param {Array<string>} lines - Stream lines, sent one write at a time
+ */
+async function mockProvider(contentType, lines) {
+  const requests = [];
+  const server = await listen((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      const url = new URL(req.url, 'http://localhost');
+      requests.push({ path: url.pathname, query: Object.fromEntries(url.searchParams), headers: req.headers, body: JSON.parse(body) });
+      res.writeHead(200, { 'Content-Type': contentType });
+      for (const line of lines) res.write(`${line}\n`);
+      res.end();
+    });
+  });
+  return Object.assign(server, { requests });
+}
+
+/**
+ * Send a streamed chat completion through the adapter client of a provider
+ * @returns {Promise<Array<Object>>} The OpenAI chunks the client produced
+ */
+async function streamChat(provider, adapter, body, config = {}) {
+  const client = createUpstreamClient({
+    serviceId: `test-${adapter}`,
+    adapter,
+    apiKey: 'secret',
+    apiVersion: null,
+    headers: {},
+    ...resolveEndpoints(provider.url, adapter),
+    ...config
+  });
+  const endpoint = resolveEndpoints(provider.url, adapter).chatEndpoint;
+  const response = await client.post(endpoint, { stream: true, ...body }, { responseType: 'stream' });
+  assert.match(response.headers['content-type'], /^text\/event-stream/);
+
+  let text = '';
+  for await (const chunk of response.data) text += chunk;
+  return text.split('\n')
+    .filter(line => line.startsWith('data: ') && line !== 'data: [DONE]')
+    .map(line => JSON.parse(line.substring(6)));
+}
+
+const contentOf = (chunks) => chunks.map(chunk => (chunk.choices && chunk.choices[0] && chunk.choices[0].delta.content) || '').join('');
+const finishOf = (chunks) => chunks.map(chunk => chunk.choices && chunk.choices[0] && chunk.choices[0].finish_reason).filter(Boolean);
+
+const sse = (data) => `data: ${JSON.stringify(data)}\n`;
+const openaiChunk = (delta, finishReason = null) => sse({
+  id: 'chatcmpl-1', object: 'chat.completion.chunk', created: 1, model: 'gpt-4o',
+  choices: [{ index: 0, delta, finish_reason: finishReason }]
+});
+
+test('openai streams are passed through', async () => {
+  const provider = await mockProvider('text/event-stream', [
+    openaiChunk({ role: 'assistant', content: 'Hel' }),
+    openaiChunk({ content: 'lo' }),
+    openaiChunk({}, 'stop'),
+    'data: [DONE]\n'
+  ]);
+  try {
+    const chunks = await streamChat(provider, 'openai', { model: 'gpt-4o', messages: [{ role: 'user', content: 'hi' }] });
+
+    assert.strictEqual(contentOf(chunks), 'Hello');
+    assert.deepStrictEqual(finishOf(chunks), ['stop']);
+    const [request] = provider.requests;
+    assert.strictEqual(request.path, '/chat/completions');
+    assert.strictEqual(request.headers.authorization, 'Bearer secret');
+  } finally {
+    await provider.close();
+  }
+});
+
+test('azure requests go to the deployment URL with an api-key header', async () => {
+  const provider = await mockProvider('text/event-stream', [
+    openaiChunk({ role: 'assistant', content: 'Hi' }),
+    openaiChunk({}, 'stop'),
+    'data: [DONE]\n'
+  ]);
+  try {
+    const chunks = await streamChat(provider, 'azure',
+      { model: 'my deployment', messages: [{ role: 'user', content: 'hi' }] },
+      { apiVersion: '2024-06-01' });
+
+    assert.strictEqual(contentOf(chunks), 'Hi');
+    const [request] = provider.requests;
+    assert.strictEqual(request.path, '/openai/deployments/my%20deployment/chat/completions');
+    assert.deepStrictEqual(request.query, { 'api-version': '2024-06-01' });
+    assert.strictEqual(request.headers['api-key'], 'secret');
+    assert.strictEqual(request.headers.authorization, undefined);
+  } finally {
+    await provider.close();
+  }
+});
+
+test('ollama NDJSON streams become OpenAI chunks', async () => {
+  const provider = await mockProvider('application/x-ndjson', [
+    JSON.stringify({ model: 'llama3', message: { role: 'assistant', content: 'Hel' }, done: false }),
+    JSON.stringify({ model: 'llama3', message: { role: 'assistant', content: 'lo' }, done: false }),
+    JSON.stringify({
+      model: 'llama3',
+      message: { role: 'assistant', content: '', tool_calls: [{ function: { name: 'calculator', arguments: { expression: '2+2' } } }] },
+      done: false
+    }),
+    JSON.stringify({ model: 'llama3', message: { role: 'assistant', content: '' }, done: true, done_reason: 'stop', prompt_eval_count: 12, eval_count: 5 })
+  ]);
+  try {
+    const chunks = await streamChat(provider, 'ollama', {
+      model: 'llama3',
+      max_tokens: 50,
+      messages: [
+        { role: 'user', content: 'What is 2+2?' },
+        { role: 'assistant', content: null, tool_calls: [{ id: 'call_1', type: 'function', function: { name: 'calculator', arguments: '{"expression":"2+2"}' } }] },
+        { role: 'tool', tool_call_id: 'call_1', name: 'calculator', content: '4' }
+      ]
+    });
+
+    assert.strictEqual(contentOf(chunks), 'Hello');
+    const toolCall = chunks.find(chunk => chunk.choices[0].delta.tool_calls).choices[0].delta.tool_calls[0];
+    assert.strictEqual(toolCall.function.name, 'calculator');
+    assert.deepStrictEqual(JSON.parse(toolCall.function.arguments), { expression: '2+2' });
+    assert.deepStrictEqual(finishOf(chunks), ['tool_calls']);
+    assert.deepStrictEqual(chunks[chunks.length - 1].usage, { prompt_tokens: 12, completion_tokens: 5, total_tokens: 17 });
+
+    const [request] = provider.requests;
+    assert.strictEqual(request.path, '/api/chat');
+    assert.strictEqual(request.body.stream, true);
+    assert.strictEqual(request.body.options.num_predict, 50);
+    assert.deepStrictEqual(request.body.messages[1].tool_calls, [{ function: { name: 'calculator', arguments: { expression: '2+2' } } }]);
+    assert.deepStrictEqual(request.body.messages[2], { role: 'tool', content: '4', tool_name: 'calculator' });
+  } finally {
+    await provider.close();
+  }
+});
+
+test('anthropic event streams become OpenAI chunks', async () => {
+  const event = (type, data) => `event: ${type}\n${sse({ type, ...data })}`;
+  const provider = await mockProvider('text/event-stream', [
+    event('message_start', { message: { id: 'msg_1', usage: { input_tokens: 20 } } }),
+    event('content_block_start', { index: 0, content_block: { type: 'text', text: '' } }),
+    event('content_block_delta', { index: 0, delta: { type: 'text_delta', text: 'Let me ' } }),
+    event('content_block_delta', { index: 0, delta: { type: 'text_delta', text: 'check.' } }),
+    event('content_block_stop', { index: 0 }),
+    event('content_block_start', { index: 1, content_block: { type: 'tool_use', id: 'toolu_1', name: 'current_time', input: {} } }),
+    event('content_block_delta', { index: 1, delta: { type: 'input_json_delta', partial_json: '{"timezone":' } }),
+    event('content_block_delta', { index: 1, delta: { type: 'input_json_delta', partial_json: '"UTC"}' } }),
+    event('content_block_stop', { index: 1 }),
+    event('message_delta', { delta: { stop_reason: 'tool_use' }, usage: { output_tokens: 9 } }),
+    event('message_stop', {})
+  ]);
+  try {
+    const chunks = await streamChat(provider, 'anthropic', {
+      model: 'claude-sonnet',
+      temperature: 1.5,
+      messages: [
+        { role: 'system', content: 'Be brief.' },
+        { role: 'user', content: 'What time is it?' }
+      ]
+    });
+
+    assert.strictEqual(contentOf(chunks), 'Let me check.');
+    const toolDeltas = chunks.flatMap(chunk => chunk.choices[0].delta.tool_calls || []);
+    assert.strictEqual(toolDeltas[0].id, 'toolu_1');
+    assert.strictEqual(toolDeltas[0].function.name, 'current_time');
+    assert.ok(toolDeltas.every(delta => delta.index === 0));
+    assert.strictEqual(toolDeltas.map(delta => delta.function.arguments).join(''), '{"timezone":"UTC"}');
+    assert.deepStrictEqual(finishOf(chunks), ['tool_calls']);
+    assert.deepStrictEqual(chunks[chunks.length - 1].usage, { prompt_tokens: 20, completion_tokens: 9, total_tokens: 29 });
+
+    const [request] = provider.requests;
+    assert.strictEqual(request.path, '/v1/messages');
+    assert.strictEqual(request.headers['x-api-key'], 'secret');
+    assert.strictEqual(request.headers['anthropic-version'], '2023-06-01');
+    assert.strictEqual(request.body.system, 'Be brief.');
+    assert.strictEqual(request.body.temperature, 1);
+    assert.strictEqual(request.body.max_tokens, 1024);
+    assert.deepStrictEqual(request.body.messages, [{ role: 'user', content: [{ type: 'text', text: 'What time is it?' }] }]);
+  } finally {
+    await provider.close();
+  }
+});
+
+test('stream errors from ollama and anthropic are relayed as error chunks', async () => {
+  const ollamaProvider = await mockProvider('application/x-ndjson', [JSON.stringify({ error: 'model not found' })]);
+  const anthropicProvider = await mockProvider('text/event-stream', [
+    `event: error\n${sse({ type: 'error', error: { type: 'overloaded_error', message: 'Overloaded' } })}`
+  ]);
+  try {
+    const body = { model: 'm', messages: [{ role: 'user', content: 'hi' }] };
+    assert.deepStrictEqual(await streamChat(ollamaProvider, 'ollama', body), [{ error: { message: 'model not found' } }]);
+    assert.deepStrictEqual(await streamChat(anthropicProvider, 'anthropic', body), [{ error: { message: 'Overloaded' } }]);
+  } finally {
+    await ollamaProvider.close();
+    await anthropicProvider.close();
+  }
+});
@@ -0,0 +1,58 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createFileStore } = require('../server/store');
+const { createDocumentIndex } = require('../server/documents');
+const { listen } = require('./helpers');
+
+test('document embeddings are reported to the completion listeners for the requesting user', async () => {
+  const openai = await listen((req, res) => {
+    let raw = '';
+    req.on('data', chunk => { raw += chunk; });
+    req.on('end', () => {
+      res.setHeader('Content-Type', 'application/json');
+      if (req.url.endsWith('/embeddings')) {
+        const { input } = JSON.parse(raw);
+        res.end(JSON.stringify({
+          data: input.map((text, index) => ({ index, embedding: [text.length, 1] })),
+          usage: { prompt_tokens: input.length * 10, total_tokens: input.length * 10 }
+        }));
+      } else {
+        res.end(JSON.stringify({ data: [{ id: 'text-embedding-3-small' }] }));
+      }
+    });
+  });
+  process.env.OPENAI_API_KEY = 'key';
+  process.env.OPENAI_BASE_URL = openai.url;
+  process.env.EMBEDDING_MODEL = 'local-openai|text-embedding-3-small';
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'documents-test-'));
+  try {
+    const calls = [];
+    const index = createDocumentIndex(createFileStore(dir), {
+      onCompletion: [(req, outcome, details) => calls.push({ req, outcome, details })]
+    });
+    const user = { id: 'alice' };
+
+    await index.add({ id: 'c1', owner: 'alice' }, 'notes.txt', 'First paragraph.\n\nSecond paragraph.', user);
+    const passages = await index.search('c1', 'paragraph', 4, user);
+
+    assert.strictEqual(passages.length, 1);
+    assert.strictEqual(calls.length, 2);
+    for (const { req, outcome, details } of calls) {
+      assert.strictEqual(req.user, user);
+      assert.strictEqual(req.body.model, undefined);
+      assert.strictEqual(outcome.statusCode, 200);
+      assert.strictEqual(details.modelKey, 'local-openai|text-embedding-3-small');
+      assert.strictEqual(details.model, 'text-embedding-3-small');
+    }
+    assert.strictEqual(calls[0].outcome.usage.total_tokens, 10);
+  } finally {
+    delete process.env.OPENAI_API_KEY;
+    delete process.env.OPENAI_BASE_URL;
+    delete process.env.EMBEDDING_MODEL;
+    fs.rmSync(dir, { recursive: true, force: true });
+    await openai.close();
+  }
+});
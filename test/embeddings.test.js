@@ -0,0 +1,25 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const express = require('express');
+const { createOutcome } = require('../server/proxy');
+const { setupEmbeddingRoutes } = require('../server/embeddings');
+const { listen, postJson } = require('./helpers');
+
+test('embedding listeners get an outcome shaped like the chat completion ones', async () => {
+  const outcomes = [];
+  const app = express();
+  app.use(express.json());
+  setupEmbeddingRoutes(app, { onCompletion: [(req, outcome) => outcomes.push(outcome)] });
+  const server = await listen(app);
+  try {
+    // No service is configured, so the request fails
+    const { status } = await postJson(`${server.url}/v1/embeddings`, { model: 'missing|model', input: 'hello' });
+    assert.ok(status >= 400);
+    assert.strictEqual(outcomes.length, 1);
+    assert.deepStrictEqual(Object.keys(outcomes[0]).sort(), Object.keys(createOutcome()).sort());
+    assert.strictEqual(outcomes[0].statusCode, status);
+    assert.strictEqual(outcomes[0].unavailable, false);
+  } finally {
+    await server.close();
+  }
+});
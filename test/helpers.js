@@ -0,0 +1,46 @@
+// helpers.js
+const http = require('http');
+
+/**
+ * Start a server on a free port
+ * @param {Function|Object} handler - Express app or request listener
+ * @returns {Promise<{ url: string, close: Function }>}
+ */
+function listen(handler) {
+  const server = http.createServer(handler);
+  return new Promise(resolve => {
+    server.listen(0, '127.0.0.1', () => {
+      resolve({
+        url: `http://127.0.0.1:${server.address().port}`,
+        close: () => new Promise(done => {
+          server.closeAllConnections();
+          server.close(done);
+        })
+      });
+    });
+  });
+}
+
+/**
+ * POST a JSON body
+ * @param {string} url
+ * @param {Object} body
+ * @returns {Promise<{ status: number, body: * }>} body is parsed when it is JSON
+ */
+async function postJson(url, body) {
+  const response = await fetch(url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body)
+  });
+  const text = await response.text();
+  let parsed = text;
+  try {
+    parsed = JSON.parse(text);
+  } catch {
+    // Event streams and plain text stay as they are
+  }
+  return { status: response.status, headers: response.headers, body: parsed };
+}
+
+module.exports = { listen, postJson };
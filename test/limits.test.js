@@ -0,0 +1,64 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { createRateLimiter, createMemoryCounterStore, countTokens } = require('../server/limits');
+
+const chatRequest = (model) => ({
+  user: { id: 'alice' },
+  body: { model, messages: [{ role: 'user', content: 'x'.repeat(400) }] }
+});
+
+// Enough of an Express response for the middleware
+const mockResponse = () => ({
+  statusCode: 200,
+  headers: {},
+  setHeader(name, value) { this.headers[name.toLowerCase()] = value; },
+  status(code) { this.statusCode = code; return this; },
+  json(body) { this.body = body; return this; }
+});
+
+const runMiddleware = async (limiter, req) => {
+  const res = mockResponse();
+  let passed = false;
+  await limiter.middleware()(req, res, () => { passed = true; });
+  return { res, passed };
+};
+
+const successOutcome = { statusCode: 200, usage: { prompt_tokens: 60, completion_tokens: 60, total_tokens: 120 }, completionChars: 10 };
+
+test('tokens are charged to the budget of the requested model, not the failover model', async () => {
+  const counters = createMemoryCounterStore();
+  const limiter = createRateLimiter({
+    default: {},
+    users: {},
+    models: { 'svc|primary': { tokensPerDay: 100 }, 'svc|fallback': { tokensPerDay: 100 } }
+  }, counters);
+
+  const req = chatRequest('svc|primary');
+  assert.ok((await runMiddleware(limiter, req)).passed);
+  await limiter.recordUsage(req, successOutcome, { modelKey: 'svc|fallback' });
+
+  const { res, passed } = await runMiddleware(limiter, chatRequest('svc|primary'));
+  assert.ok(!passed);
+  assert.strictEqual(res.statusCode, 429);
+  assert.ok((await runMiddleware(limiter, chatRequest('svc|fallback'))).passed);
+});
+
+test('a request failing before any output is not charged', async () => {
+  const counters = createMemoryCounterStore();
+  const limiter = createRateLimiter({ default: { tokensPerDay: 1 }, users: {}, models: {} }, counters);
+
+  const req = chatRequest('svc|primary');
+  for (const outcome of [
+    { statusCode: 503, usage: null, completionChars: 0, cancelled: false },
+    { statusCode: 200, usage: null, completionChars: 0, cancelled: true }
+  ]) {
+    assert.deepStrictEqual(countTokens(req, outcome), { promptTokens: 0, completionTokens: 0, estimated: false });
+    await limiter.recordUsage(req, outcome, { modelKey: 'svc|primary' });
+  }
+  assert.ok((await runMiddleware(limiter, req)).passed);
+});
+
+test('a request failing part way through is charged its estimate', () => {
+  const tokens = countTokens(chatRequest('svc|primary'), { statusCode: 502, usage: null, completionChars: 40 });
+  assert.deepStrictEqual(tokens, { promptTokens: 100, completionTokens: 10, estimated: true });
+});
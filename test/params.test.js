@@ -0,0 +1,36 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const express = require('express');
+const { buildUpstreamBody, validateMessages } = require('../server/params');
+const { setupProxyRoutes } = require('../server/proxy');
+const { listen, postJson } = require('./helpers');
+
+test('validateMessages rejects entries that are not messages', () => {
+  for (const entry of [null, 'hello', 42, [], {}, { role: 'robot', content: 'hi' }]) {
+    assert.deepStrictEqual(validateMessages([{ role: 'user', content: 'hi' }, entry]), {
+      message: 'messages[1] must be an object with a valid role',
+      param: 'messages'
+    });
+  }
+  assert.strictEqual(validateMessages([{ role: 'user', content: 'hi' }]), null);
+});
+
+test('buildUpstreamBody rejects a null message', () => {
+  const { error } = buildUpstreamBody({ messages: [null] }, 'gpt-4');
+  assert.strictEqual(error.message, 'messages[0] must be an object with a valid role');
+});
+
+test('chat completions answer 400 for a null message', async () => {
+  const app = express();
+  app.use(express.json());
+  setupProxyRoutes(app);
+  const server = await listen(app);
+  try {
+    const { status, body } = await postJson(`${server.url}/v1/chat/completions`, { model: 'gpt-4', messages: [null] });
+    assert.strictEqual(status, 400);
+    assert.strictEqual(body.error.type, 'invalid_request_error');
+    assert.strictEqual(body.error.message, 'messages[0] must be an object with a valid role');
+  } finally {
+    await server.close();
+  }
+});
@@ -0,0 +1,24 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const express = require('express');
+const { serviceRegistry } = require('../server/services');
+const { setupProxyRoutes } = require('../server/proxy');
+const { listen } = require('./helpers');
+
+test('the API test reports a catalog that cannot load instead of hanging', async () => {
+  serviceRegistry.getBinding = async () => {
+    throw new Error('timeout of 10000ms exceeded');
+  };
+  const app = express();
+  setupProxyRoutes(app);
+  const server = await listen(app);
+  try {
+    const response = await fetch(`${server.url}/api/test-openai`, { signal: AbortSignal.timeout(5000) });
+    assert.strictEqual(response.status, 500);
+    const body = await response.json();
+    assert.strictEqual(body.success, false);
+    assert.match(body.message, /timeout of 10000ms exceeded/);
+  } finally {
+    await server.close();
+  }
+});
@@ -0,0 +1,87 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const axios = require('axios');
+const { withRetries, isRetryableError } = require('../server/resilience');
+const { listen } = require('./helpers');
+
+/**
+ * Mock upstream answering each request with the next handler, counting requests
+ * @param {Array<Function>} handlers - (req, res) handlers, the last one repeats
+ */
+async function mockUpstream(handlers) {
+  const upstream = { requests: 0 };
+  const server = await listen((req, res) => {
+    const handler = handlers[Math.min(upstream.requests, handlers.length - 1)];
+    upstream.requests += 1;
+    req.resume();
+    req.on('end', () => handler(req, res));
+  });
+  return Object.assign(upstream, server);
+}
+
+const answer = (res) => {
+  res.setHeader('Content-Type', 'application/json');
+  res.end(JSON.stringify({ choices: [{ message: { role: 'assistant', content: 'ok' } }] }));
+};
+
+const failWith = (status) => (req, res) => {
+  res.statusCode = status;
+  res.setHeader('Retry-After', '0');
+  res.end(JSON.stringify({ error: { message: `status ${status}` } }));
+};
+
+const post = (upstream, options = {}) =>
+  withRetries(axios.create()).post(`${upstream.url}/chat/completions`, { model: 'm' }, { retries: 2, ...options });
+
+test('a request timing out after it was sent is not retried', async () => {
+  // Accepts the request and never answers, like a slow generation
+  const upstream = await mockUpstream([() => {}]);
+  try {
+    await assert.rejects(post(upstream, { timeout: 200 }), error => error.code === 'ECONNABORTED');
+    assert.strictEqual(upstream.requests, 1);
+  } finally {
+    await upstream.close();
+  }
+});
+
+test('a connection reset after the request was sent is not retried', async () => {
+  const upstream = await mockUpstream([(req) => req.socket.destroy()]);
+  try {
+    await assert.rejects(post(upstream), error => error.code === 'ECONNRESET');
+    assert.strictEqual(upstream.requests, 1);
+  } finally {
+    await upstream.close();
+  }
+});
+
+test('502 and 504 are not retried', async () => {
+  for (const status of [502, 504]) {
+    const upstream = await mockUpstream([failWith(status)]);
+    try {
+      await assert.rejects(post(upstream), error => error.response.status === status);
+      assert.strictEqual(upstream.requests, 1);
+    } finally {
+      await upstream.close();
+    }
+  }
+});
+
+test('429 and 503 are retried after Retry-After', async () => {
+  const upstream = await mockUpstream([failWith(429), failWith(503), (req, res) => answer(res)]);
+  try {
+    const response = await post(upstream);
+    assert.strictEqual(response.data.choices[0].message.content, 'ok');
+    assert.strictEqual(upstream.requests, 3);
+  } finally {
+    await upstream.close();
+  }
+});
+
+test('a refused connection is retried', async () => {
+  const upstream = await mockUpstream([(req, res) => answer(res)]);
+  const url = upstream.url;
+  await upstream.close();
+  const error = await withRetries(axios.create()).post(`${url}/chat/completions`, {}, { retries: 0 }).catch(e => e);
+  assert.strictEqual(error.code, 'ECONNREFUSED');
+  assert.ok(isRetryableError(error));
+});
@@ -0,0 +1,152 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+
+// Read when services.js loads
+process.env.MODEL_DISCOVERY_TIMEOUT_MS = '300';
+
+const { createServiceRegistry } = require('../server/services');
+const { listen } = require('./helpers');
+
+const multiPlanService = (id, configUrl) => ({
+  instance_guid: id,
+  instance_name: id,
+  plan: 'multi',
+  credentials: {
+    endpoint: { api_base: 'http://127.0.0.1:9/openai', api_key: 'key', config_url: configUrl }
+  }
+});
+
+const legacyService = (id, model) => ({
+  instance_guid: id,
+  instance_name: id,
+  plan: 'default',
+  credentials: { api_base: 'http://127.0.0.1:9', api_key: 'key', model_name: model }
+});
+
+test('a config URL that never answers does not hold up the catalog', async () => {
+  // Accepts the request and never answers
+  const hanging = await listen(() => {});
+  process.env.VCAP_SERVICES = JSON.stringify({ genai: [multiPlanService('multi', `${hanging.url}/config`)] });
+  try {
+    const registry = createServiceRegistry();
+    const startedAt = Date.now();
+    const services = await registry.getServices();
+    assert.ok(Date.now() - startedAt < 3000);
+    assert.deepStrictEqual(services[0].models, []);
+    assert.ok(services[0].models_error);
+  } finally {
+    delete process.env.VCAP_SERVICES;
+    await hanging.close();
+  }
+});
+
+test('a timed out refresh keeps the last model list', async () => {
+  let hang = false;
+  const config = await listen((req, res) => {
+    if (hang) return;
+    res.setHeader('Content-Type', 'application/json');
+    res.end(JSON.stringify({ advertisedModels: [{ name: 'llama', capabilities: ['CHAT'] }] }));
+  });
+  process.env.VCAP_SERVICES = JSON.stringify({ genai: [multiPlanService('multi', `${config.url}/config`)] });
+  try {
+    const registry = createServiceRegistry();
+    assert.strictEqual((await registry.getServices())[0].models[0].name, 'multi|llama');
+    hang = true;
+    const services = await registry.refresh(true);
+    assert.strictEqual(services[0].models[0].name, 'multi|llama');
+    assert.ok(services[0].models_error);
+  } finally {
+    delete process.env.VCAP_SERVICES;
+    await config.close();
+  }
+});
+
+test('bindings and models are swapped together on a forced refresh', async () => {
+  process.env.VCAP_SERVICES = JSON.stringify({ genai: [legacyService('old', 'gpt-old')] });
+  try {
+    const registry = createServiceRegistry();
+    await registry.getServices();
+
+    process.env.VCAP_SERVICES = JSON.stringify({ genai: [legacyService('new', 'gpt-new')] });
+    const refreshing = registry.refresh(true);
+    // Until the refresh completes, the old snapshot is served whole
+    const during = await registry.getBinding();
+    assert.strictEqual(during.binding.id, during.models[0].service_id);
+    await refreshing;
+    const after = await registry.getBinding();
+    assert.strictEqual(after.binding.id, 'new');
+    assert.strictEqual(after.models[0].service_id, 'new');
+  } finally {
+    delete process.env.VCAP_SERVICES;
+  }
+});
+
+test('OPENAI_API_KEY models are discovered and keyed like the other services', async () => {
+  const openai = await listen((req, res) => {
+    res.setHeader('Content-Type', 'application/json');
+    res.end(JSON.stringify({ data: [{ id: 'gpt-4o' }, { id: 'text-embedding-3-small' }] }));
+  });
+  process.env.OPENAI_API_KEY = 'key';
+  process.env.OPENAI_BASE_URL = openai.url;
+  try {
+    const [service] = await createServiceRegistry().getServices();
+    assert.strictEqual(service.id, 'local-openai');
+    assert.deepStrictEqual(service.models.map(model => model.name), ['local-openai|text-embedding-3-small', 'local-openai|gpt-4o']);
+    assert.deepStrictEqual(service.models[0].capabilities, ['EMBEDDING']);
+    assert.strictEqual(service.models[1].original_name, 'gpt-4o');
+  } finally {
+    delete process.env.OPENAI_API_KEY;
+    delete process.env.OPENAI_BASE_URL;
+    await openai.close();
+  }
+});
+
+test('OPENAI_API_KEY models fall back to the known list when discovery fails', async () => {
+  const openai = await listen((req, res) => {
+    res.statusCode = 500;
+    res.end();
+  });
+  process.env.OPENAI_API_KEY = 'key';
+  process.env.OPENAI_BASE_URL = openai.url;
+  try {
+    const [service] = await createServiceRegistry().getServices();
+    assert.ok(service.models_error);
+    assert.ok(service.models.every(model => model.name.startsWith('local-openai|')));
+    assert.ok(service.models.some(model => model.original_name === 'gpt-4'));
+  } finally {
+    delete process.env.OPENAI_API_KEY;
+    delete process.env.OPENAI_BASE_URL;
+    await openai.close();
+  }
+});
+
+test('a forced refresh during a background load fetches the model lists again', async () => {
+  let fetches = 0;
+  let release = null;
+  const config = await listen((req, res) => {
+    fetches += 1;
+    const answer = () => {
+      res.setHeader('Content-Type', 'application/json');
+      res.end(JSON.stringify({ advertisedModels: [{ name: `model-${fetches}` }] }));
+    };
+    // The first fetch hangs until the refresh was requested
+    if (fetches === 1) release = answer;
+    else answer();
+  });
+  process.env.VCAP_SERVICES = JSON.stringify({ genai: [multiPlanService('multi', `${config.url}/config`)] });
+  try {
+    const registry = createServiceRegistry();
+    const first = registry.getServices();
+    while (!release) await new Promise(resolve => setTimeout(resolve, 10));
+
+    const refreshing = registry.refresh(true);
+    release();
+    await first;
+    const services = await refreshing;
+    assert.strictEqual(fetches, 2);
+    assert.strictEqual(services[0].models[0].name, 'multi|model-2');
+  } finally {
+    delete process.env.VCAP_SERVICES;
+    await config.close();
+  }
+});
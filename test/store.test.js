@@ -0,0 +1,60 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createFileStore } = require('../server/store');
+const { createUsageRecorder } = require('../server/usage');
+
+const tempDir = () => fs.mkdtempSync(path.join(os.tmpdir(), 'store-test-'));
+
+test('appended documents go to a log, not a rewrite of the collection', async () => {
+  const dir = tempDir();
+  try {
+    const store = createFileStore(dir);
+    await store.put('usage', { id: 'a', timestamp: 1 });
+    await store.append('usage', { id: 'b', timestamp: 2 });
+    await store.append('usage', { id: 'c', timestamp: 3 });
+
+    assert.deepStrictEqual(JSON.parse(fs.readFileSync(path.join(dir, 'usage.json'), 'utf8')).map(doc => doc.id), ['a']);
+    assert.strictEqual(fs.readFileSync(path.join(dir, 'usage.jsonl'), 'utf8').trim().split('\n').length, 2);
+
+    // A new process reads the file and the log
+    const reloaded = createFileStore(dir);
+    assert.deepStrictEqual((await reloaded.list('usage')).map(doc => doc.id), ['a', 'b', 'c']);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('pruning folds the log into the file', async () => {
+  const dir = tempDir();
+  try {
+    const store = createFileStore(dir);
+    for (const timestamp of [1, 2, 3, 4]) {
+      await store.append('usage', { id: String(timestamp), timestamp });
+    }
+    assert.strictEqual(await store.prune('usage', 'timestamp', 3), 2);
+    assert.ok(!fs.existsSync(path.join(dir, 'usage.jsonl')));
+    const reloaded = createFileStore(dir);
+    assert.deepStrictEqual((await reloaded.list('usage')).map(doc => doc.id), ['3', '4']);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('usage records older than the retention are deleted', async () => {
+  const dir = tempDir();
+  try {
+    const store = createFileStore(dir);
+    const day = 24 * 60 * 60 * 1000;
+    await store.append('usage', { id: 'old', timestamp: Date.now() - 31 * day });
+    await store.append('usage', { id: 'recent', timestamp: Date.now() - day });
+
+    assert.strictEqual(await createUsageRecorder(store, { retentionDays: 0 }).prune(), 0);
+    assert.strictEqual(await createUsageRecorder(store, { retentionDays: 30 }).prune(), 1);
+    assert.deepStrictEqual((await store.list('usage')).map(doc => doc.id), ['recent']);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
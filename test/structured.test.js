@@ -0,0 +1,38 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const Ajv = require('ajv');
+
+// Instances structured.js compiles schemas with, to look at what they keep
+const instances = new Set();
+const compile = Ajv.prototype.compile;
+Ajv.prototype.compile = function (...args) {
+  instances.add(this);
+  return compile.apply(this, args);
+};
+
+const { validateOutput, schemaProblem } = require('../server/structured');
+
+test('schemas reusing an $id with other content are validated against their own content', () => {
+  const numbers = { $id: 'answer', type: 'object', properties: { value: { type: 'number' } }, required: ['value'] };
+  const strings = { $id: 'answer', type: 'object', properties: { value: { type: 'string' } }, required: ['value'] };
+
+  assert.strictEqual(schemaProblem(numbers), null);
+  assert.strictEqual(schemaProblem(strings), null);
+  assert.strictEqual(validateOutput('{"value": 1}', numbers).valid, true);
+  assert.deepStrictEqual(validateOutput('{"value": 1}', strings).errors, ['/value must be string']);
+  assert.strictEqual(validateOutput('{"value": "one"}', strings).valid, true);
+});
+
+test('compiled schemas do not pile up in Ajv', () => {
+  for (let index = 0; index < 300; index++) {
+    validateOutput('{}', { type: 'object', properties: { [`field${index}`]: { type: 'string' } } });
+  }
+  // Every instance holds no more than one compiled schema does; evicted
+  // ones are left to the garbage collector
+  const single = new Ajv({ allErrors: true, strict: false });
+  compile.call(single, { type: 'object' });
+  assert.ok(instances.size >= 300);
+  for (const ajv of instances) {
+    assert.ok(ajv._cache.size <= single._cache.size);
+  }
+});